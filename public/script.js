@@ -2,9 +2,14 @@
 window.submittedSurveys = window.submittedSurveys || new Set()
 let currentDepartment = null
 let currentTenure = null
+let currentParticipantToken = null
 let isAdmin = false
 let currentUser = null
 let sessionTimeout
+let editingSurveyId = null
+let activeSurveyQuestions = []
+const adminSurveys = new Map()
+const surveyTemplates = new Map()
 const savedResponses = JSON.parse(localStorage.getItem("savedSurveyResponses") || "{}")
 
 // Declare necessary variables
@@ -30,13 +35,88 @@ const DEPARTMENTS = [
   { value: "SNMCC", label: "SNMCC" },
 ]
 
-// Add the missing exportResponses function
-window.exportResponses = async () => {
+// Admin tokens issued by /api/login
+function getAuthTokens() {
+  return {
+    accessToken: localStorage.getItem("accessToken"),
+    refreshToken: localStorage.getItem("refreshToken"),
+  }
+}
+
+function setAuthTokens({ accessToken, refreshToken }) {
+  localStorage.setItem("accessToken", accessToken)
+  localStorage.setItem("refreshToken", refreshToken)
+}
+
+function clearAuthTokens() {
+  localStorage.removeItem("accessToken")
+  localStorage.removeItem("refreshToken")
+}
+
+// Read the expiry (ms since epoch) from a JWT without verifying it
+function getTokenExpiry(token) {
   try {
-    const response = await fetch("/api/responses/export")
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")))
+    return payload.exp * 1000
+  } catch (error) {
+    return 0
+  }
+}
+
+// Exchange the refresh token for a new token pair
+async function refreshAuthTokens() {
+  const { refreshToken } = getAuthTokens()
+  if (!refreshToken) return false
+
+  const response = await fetch("/api/refresh-token", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken }),
+  })
+
+  if (!response.ok) {
+    clearAuthTokens()
+    return false
+  }
+
+  setAuthTokens(await response.json())
+  startSession()
+  return true
+}
+
+// fetch() wrapper for admin endpoints: sends the access token and retries once after a refresh
+async function authFetch(url, options = {}) {
+  const withAuth = () => ({
+    ...options,
+    headers: { ...(options.headers || {}), Authorization: `Bearer ${getAuthTokens().accessToken}` },
+  })
+
+  let response = await fetch(url, withAuth())
+
+  if (response.status === 401 && (await refreshAuthTokens())) {
+    response = await fetch(url, withAuth())
+  }
+
+  if (response.status === 401) {
+    endAdminSession()
+  }
+
+  return response
+}
+
+// Download an export matching the report filters, in the format and layout picked next to the export buttons
+async function downloadExport(path, name, description) {
+  try {
+    const format = document.getElementById("export-format").value
+    const layout = document.getElementById("export-layout").value
+    const params = new URLSearchParams(getAnalysisFilterQuery())
+    params.set("format", format)
+    params.set("layout", layout)
+    const response = await authFetch(`${path}?${params}`)
 
     if (!response.ok) {
-      throw new Error("Failed to export responses")
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || `Failed to export ${description}`)
     }
 
     const blob = await response.blob()
@@ -44,16 +124,67 @@ window.exportResponses = async () => {
     const a = document.createElement("a")
     a.style.display = "none"
     a.href = url
-    a.download = "survey_responses.csv"
+    a.download = `${name}.${format}`
     document.body.appendChild(a)
     a.click()
     window.URL.revokeObjectURL(url)
     document.body.removeChild(a)
 
-    alert("Responses exported successfully!")
+    alert(`Exported the ${description} successfully!`)
   } catch (error) {
     console.error("Export error:", error)
-    alert("Failed to export responses: " + error.message)
+    alert(`Failed to export ${description}: ` + error.message)
+  }
+}
+
+window.exportResponses = () => {
+  const layout = document.getElementById("export-layout").value
+  return downloadExport("/api/responses/export", `survey_responses_${layout}`, "responses")
+}
+
+// What every exported column holds, for exports without a codebook sheet
+window.exportCodebook = () => downloadExport("/api/responses/export/codebook", "survey_codebook", "codebook")
+
+// Surveys selected in the report filters, in list order
+function getSelectedSurveyIds() {
+  return Array.from(document.getElementById("analysis-surveys").selectedOptions, (option) => option.value)
+}
+
+// Query string for the report filters in the admin panel; empty filters are left out.
+// includeSurveys: false leaves out the survey selection (for endpoints scoped to one survey).
+function getAnalysisFilterQuery({ includeSurveys = true } = {}) {
+  const params = new URLSearchParams()
+  const surveyIds = getSelectedSurveyIds()
+  if (includeSurveys && surveyIds.length > 0) params.set("surveyId", surveyIds.join(","))
+
+  const filters = {
+    department: document.getElementById("analysis-department").value,
+    tenure: document.getElementById("analysis-tenure").value,
+    from: document.getElementById("analysis-from").value,
+    to: document.getElementById("analysis-to").value,
+  }
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value)
+  })
+
+  return params.toString()
+}
+
+// Fill the report filter lists from the loaded surveys, keeping the current selection
+function populateAnalysisFilters() {
+  const surveySelect = document.getElementById("analysis-surveys")
+  const selected = new Set(Array.from(surveySelect.selectedOptions, (option) => option.value))
+  surveySelect.innerHTML = Array.from(adminSurveys.values())
+    .map((survey) => {
+      const department = survey.isAllDepartments ? "All Departments" : survey.department
+      const isSelected = selected.has(survey._id) ? "selected" : ""
+      return `<option value="${survey._id}" ${isSelected}>${escapeHtml(survey.title)} (${escapeHtml(department)})</option>`
+    })
+    .join("")
+
+  const departmentSelect = document.getElementById("analysis-department")
+  if (departmentSelect.options.length === 1) {
+    DEPARTMENTS.forEach(({ value, label }) => departmentSelect.add(new Option(label, value)))
   }
 }
 
@@ -71,10 +202,11 @@ window.generateAnalysis = async (event) => {
       button.disabled = true
     }
 
-    const response = await fetch("/api/responses/analysis")
+    const response = await authFetch(`/api/responses/analysis?${getAnalysisFilterQuery()}`)
 
     if (!response.ok) {
-      throw new Error("Failed to generate analysis")
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || "Failed to generate analysis")
     }
 
     const blob = await response.blob()
@@ -101,23 +233,794 @@ window.generateAnalysis = async (event) => {
   }
 }
 
+// Results dashboard: charts built from /api/surveys/:id/results. Response counts refresh while a survey is selected.
+const RESULTS_REFRESH_INTERVAL = 30 * 1000
+const RESULTS_GROUP_COLORS = ["#253074", "#e67e22", "#27ae60", "#8e44ad", "#c0392b", "#16a085", "#f1c40f", "#7f8c8d"]
+const RESULTS_TYPE_LABELS = {
+  text: "Text",
+  radio: "Multiple Choice",
+  checkbox: "Checkbox",
+  star: "Star Rating",
+  matrix: "Likert Matrix",
+  nps: "Net Promoter",
+  number: "Number",
+  date: "Date",
+  dropdown: "Dropdown",
+  ranking: "Ranking",
+}
+let surveyResults = null
+let resultsCharts = []
+let resultsRefreshTimer = null
+
+// Answers, department and tenure names come from employees, so escape them before building HTML. Quotes are escaped
+// too, so the result is also safe inside attribute values.
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+}
+
+const formatResultNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1))
+
+// Fill the dashboard's survey list from the loaded surveys, keeping the current selection
+function populateResultsSurveys() {
+  const select = document.getElementById("results-survey")
+  const selected = select.value
+  select.innerHTML =
+    `<option value="">Select a survey</option>` +
+    Array.from(adminSurveys.values())
+      .map(
+        (survey) => `<option value="${survey._id}">${escapeHtml(survey.title)} (${survey.status || "open"})</option>`,
+      )
+      .join("")
+  select.value = adminSurveys.has(selected) ? selected : ""
+}
+
+function stopResultsRefresh() {
+  clearTimeout(resultsRefreshTimer)
+  resultsRefreshTimer = null
+}
+
+// countsOnly only re-fetches the live response counts and rates (/api/surveys/:id/participation), without
+// redrawing the charts
+window.loadSurveyResults = async ({ countsOnly = false } = {}) => {
+  stopResultsRefresh()
+  const surveyId = document.getElementById("results-survey").value
+  if (!surveyId) {
+    surveyResults = null
+    renderSurveyResults()
+    return
+  }
+
+  try {
+    const query = getAnalysisFilterQuery({ includeSurveys: false })
+    const participationOnly = countsOnly && surveyResults?.survey.id === surveyId
+    const endpoint = participationOnly ? "participation" : "results"
+    const response = await authFetch(`/api/surveys/${surveyId}/${endpoint}?${query}`)
+    const data = await response.json().catch(() => ({}))
+    // Another survey was picked while this one was loading
+    if (document.getElementById("results-survey").value !== surveyId) return
+
+    // No responses yet, or too few for the anonymity threshold
+    if (response.status === 404 || response.status === 403) {
+      surveyResults = null
+      renderSurveyResults(data.error)
+    } else if (!response.ok) {
+      throw new Error(data.error || "Failed to load results")
+    } else if (participationOnly) {
+      surveyResults.survey.status = data.survey.status
+      surveyResults.participation = data.participation
+      surveyResults.anonymity = data.anonymity
+      renderResultsSummary()
+    } else {
+      surveyResults = data
+      renderSurveyResults()
+    }
+
+    if (isAdmin) {
+      resultsRefreshTimer = setTimeout(() => loadSurveyResults({ countsOnly: true }), RESULTS_REFRESH_INTERVAL)
+    }
+  } catch (error) {
+    console.error("Results error:", error)
+    if (!countsOnly) alert("Failed to load results: " + error.message)
+  }
+}
+
+function renderResultsSummary(message = "") {
+  const container = document.getElementById("results-summary")
+  if (!surveyResults) {
+    container.innerHTML = message ? `<p class="results-hint">${escapeHtml(message)}</p>` : ""
+    return
+  }
+
+  const { survey, overview, participation, anonymity } = surveyResults
+  // Response rates are only known for groups with a headcount
+  const formatParticipation = ({ responseCount, expectedResponses, responseRate }) =>
+    responseRate === null
+      ? String(responseCount)
+      : `${responseCount} of ${expectedResponses} (${Math.round(responseRate * 100)}%)`
+  const groupList = (groups) =>
+    Object.entries(groups)
+      .map(([group, counts]) => `<li>${escapeHtml(group)}: ${formatParticipation(counts)}</li>`)
+      .join("")
+  const responseRate = participation.responseRate === null ? "-" : `${Math.round(participation.responseRate * 100)}%`
+
+  container.innerHTML = `
+    <div class="results-counts">
+      <div class="results-count"><strong>${participation.responseCount}</strong><span>Responses</span></div>
+      <div class="results-count"><strong>${responseRate}</strong><span>Response rate</span></div>
+      <div class="results-count"><strong>${overview.numberOfDepartments}</strong><span>Departments</span></div>
+      <div class="results-count"><strong>${overview.totalQuestions}</strong><span>Questions</span></div>
+    </div>
+    <div class="results-groups">
+      <div><h4>By department</h4><ul>${groupList(participation.departments)}</ul></div>
+      <div><h4>By tenure</h4><ul>${groupList(participation.tenures)}</ul></div>
+    </div>
+    ${anonymity.note ? `<p class="results-hint">${escapeHtml(anonymity.note)}</p>` : ""}
+    <p class="results-hint">Status: ${survey.status} | Updated ${new Date().toLocaleTimeString()}</p>
+  `
+}
+
+// Department or tenure breakdown chosen in "Compare by", or null
+function getResultsGroups(question) {
+  const compareBy = document.getElementById("results-compare").value
+  if (compareBy === "department") return question.byDepartment
+  if (compareBy === "tenure") return question.byTenure
+  return null
+}
+
+function buildResultsChartConfig(question) {
+  const surveyColor = adminSurveys.get(surveyResults.survey.id)?.color || "#253074"
+  const groupColor = (index) => RESULTS_GROUP_COLORS[index % RESULTS_GROUP_COLORS.length]
+  const groups = getResultsGroups(question)
+  const groupEntries = groups ? Object.entries(groups) : []
+  const options = { responsive: true, maintainAspectRatio: false }
+
+  // Ranking: average position of each option, 1 being most preferred
+  if (question.type === "ranking") {
+    const datasets = groups
+      ? groupEntries.map(([group, stats], index) => ({
+          label: group,
+          data: question.options.map((option) => stats.averageRanks[option]),
+          backgroundColor: groupColor(index),
+        }))
+      : [
+          {
+            label: "Average rank",
+            data: question.options.map((option) => question.averageRanks[option]),
+            backgroundColor: surveyColor,
+          },
+        ]
+    return {
+      type: "bar",
+      data: { labels: question.options, datasets },
+      options: {
+        ...options,
+        indexAxis: "y",
+        scales: { x: { min: 1, title: { display: true, text: "Average rank" } } },
+      },
+    }
+  }
+
+  // Compared ratings and numbers: the average of each group
+  if (groups && question.summary) {
+    return {
+      type: "bar",
+      data: {
+        labels: groupEntries.map(([group]) => group),
+        datasets: [
+          {
+            label: "Average",
+            data: groupEntries.map(([, stats]) => stats.summary?.mean ?? null),
+            backgroundColor: groupEntries.map((_, index) => groupColor(index)),
+          },
+        ],
+      },
+      options: { ...options, plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true } } },
+    }
+  }
+
+  const labels = Object.keys(question.distribution)
+  if (question.type === "number") labels.sort((a, b) => a - b)
+  if (question.type === "date") labels.sort()
+
+  // Compared distributions use percentages, since groups differ in size
+  if (groups) {
+    return {
+      type: "bar",
+      data: {
+        labels,
+        datasets: groupEntries.map(([group, stats], index) => ({
+          label: group,
+          data: labels.map((label) =>
+            stats.responseCount > 0 ? ((stats.distribution[label] || 0) / stats.responseCount) * 100 : 0,
+          ),
+          backgroundColor: groupColor(index),
+        })),
+      },
+      options: { ...options, scales: { y: { beginAtZero: true, title: { display: true, text: "% of responses" } } } },
+    }
+  }
+
+  const data = labels.map((label) => question.distribution[label])
+  if (question.type === "radio" || question.type === "dropdown") {
+    return {
+      type: "pie",
+      data: { labels, datasets: [{ data, backgroundColor: labels.map((_, index) => groupColor(index)) }] },
+      options: { ...options, plugins: { legend: { position: "right" } } },
+    }
+  }
+
+  return {
+    type: "bar",
+    data: { labels, datasets: [{ label: "Responses", data, backgroundColor: surveyColor }] },
+    options: {
+      ...options,
+      plugins: { legend: { display: false } },
+      scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+    },
+  }
+}
+
+function renderResultsQuestionCard(question, index) {
+  const stats = [RESULTS_TYPE_LABELS[question.type] || question.type, `${question.responseCount} responses`]
+  if (question.summary) stats.push(`Average ${formatResultNumber(question.summary.mean)}`)
+  if (question.npsScore !== undefined) stats.push(`NPS ${question.npsScore}`)
+
+  const body =
+    question.type === "text"
+      ? `<button onclick="toggleTextAnswers(${index})" class="transition-button">View answers</button>
+         <ul id="results-answers-${index}" class="results-answers hidden"></ul>`
+      : `<div class="results-chart"><canvas id="results-chart-${index}"></canvas></div>`
+
+  return `
+    <div class="results-question">
+      <h4>${escapeHtml(question.question)}</h4>
+      <p class="results-hint">${stats.join(" | ")}</p>
+      ${body}
+    </div>
+  `
+}
+
+window.renderSurveyResults = (message = "") => {
+  resultsCharts.forEach((chart) => chart.destroy())
+  resultsCharts = []
+  renderResultsSummary(message)
+
+  const container = document.getElementById("results-questions")
+  if (!surveyResults) {
+    container.innerHTML = ""
+    return
+  }
+
+  container.innerHTML = surveyResults.questions.map(renderResultsQuestionCard).join("")
+  if (typeof Chart === "undefined") {
+    container.insertAdjacentHTML("afterbegin", `<p class="results-hint">Charts could not be loaded.</p>`)
+    return
+  }
+  surveyResults.questions.forEach((question, index) => {
+    if (question.type === "text") return
+    const canvas = document.getElementById(`results-chart-${index}`)
+    resultsCharts.push(new Chart(canvas, buildResultsChartConfig(question)))
+  })
+}
+
+// Drill down into a text question's answers, grouped like the charts
+window.toggleTextAnswers = (index) => {
+  const list = document.getElementById(`results-answers-${index}`)
+  if (!list.classList.toggle("hidden")) {
+    const question = surveyResults.questions[index]
+    const groups = getResultsGroups(question)
+    list.innerHTML = ""
+
+    const addItem = (text, className) => {
+      const item = document.createElement("li")
+      item.textContent = text
+      if (className) item.className = className
+      list.appendChild(item)
+    }
+    Object.entries(groups || { "": question }).forEach(([group, stats]) => {
+      if (group) addItem(`${group} (${stats.responseCount} responses)`, "results-answers-group")
+      Object.entries(stats.distribution).forEach(([answer, count]) =>
+        addItem(count > 1 ? `${answer} (x${count})` : answer),
+      )
+    })
+  }
+}
+
+// Survey series: waves of the same questionnaire and their trend report
+async function loadSeries() {
+  const container = document.getElementById("series-list")
+  try {
+    const response = await authFetch("/api/series")
+    if (!response.ok) {
+      throw new Error("Failed to fetch survey series")
+    }
+    const series = await response.json()
+    container.innerHTML = series.length > 0 ? series.map(renderSeriesCard).join("") : "<p>No survey series yet</p>"
+  } catch (error) {
+    console.error("Error loading survey series:", error)
+    container.innerHTML = "<p>Error loading survey series</p>"
+  }
+}
+
+function renderSeriesCard(series) {
+  const waves = series.waves
+    .map(
+      (wave) => `
+        <li>
+          Wave ${wave.wave}: ${escapeHtml(wave.title)}
+          <span class="survey-status-badge status-${wave.status}">${wave.status}</span>
+          <button onclick="removeSeriesWave('${series._id}', '${wave._id}')" class="delete-button">Remove</button>
+        </li>`,
+    )
+    .join("")
+
+  return `
+    <div class="series-card">
+      <h4>${escapeHtml(series.name)}</h4>
+      ${series.description ? `<p>${escapeHtml(series.description)}</p>` : ""}
+      <ul class="series-waves">${waves || "<li>No waves yet</li>"}</ul>
+      <div class="survey-card-actions">
+        <button onclick="addSeriesWave('${series._id}', true)" class="transition-button">Add Selected Survey</button>
+        <button onclick="addSeriesWave('${series._id}', false)" class="transition-button">Copy Latest Wave</button>
+        <button onclick="downloadTrendReport('${series._id}', event)" class="transition-button">Trend Report</button>
+        <button onclick="deleteSeries('${series._id}')" class="delete-button">Delete Series</button>
+      </div>
+    </div>
+  `
+}
+
+// Send a series change and reload the surveys and series
+async function updateSeries(url, options, errorMessage) {
+  try {
+    const response = await authFetch(url, { headers: { "Content-Type": "application/json" }, ...options })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || errorMessage)
+    }
+    await loadDepartmentSurveys()
+  } catch (error) {
+    console.error("Survey series error:", error)
+    alert(`${errorMessage}: ${error.message}`)
+  }
+}
+
+window.createSeries = async () => {
+  const name = document.getElementById("series-name").value.trim()
+  if (!name) {
+    alert("Please enter a series name")
+    return
+  }
+
+  await updateSeries(
+    "/api/series",
+    { method: "POST", body: JSON.stringify({ name, surveyIds: getSelectedSurveyIds() }) },
+    "Failed to create series",
+  )
+  document.getElementById("series-name").value = ""
+}
+
+// Add the survey selected in the report filters as the next wave, or a draft copy of the latest wave
+window.addSeriesWave = async (seriesId, useSelected) => {
+  const [surveyId] = getSelectedSurveyIds()
+  if (useSelected && !surveyId) {
+    alert("Select the survey to add in the report filters first")
+    return
+  }
+
+  await updateSeries(
+    `/api/series/${seriesId}/waves`,
+    { method: "POST", body: JSON.stringify(useSelected ? { surveyId } : {}) },
+    "Failed to add wave",
+  )
+}
+
+window.removeSeriesWave = async (seriesId, surveyId) => {
+  if (!confirm("Remove this survey from the series? The survey and its responses are kept.")) return
+  await updateSeries(`/api/series/${seriesId}/waves/${surveyId}`, { method: "DELETE" }, "Failed to remove wave")
+}
+
+window.deleteSeries = async (seriesId) => {
+  if (!confirm("Delete this series? Its surveys and responses are kept.")) return
+  await updateSeries(`/api/series/${seriesId}`, { method: "DELETE" }, "Failed to delete series")
+}
+
+// Download the trend report PDF of a series, for the department, tenure and date filters
+window.downloadTrendReport = async (seriesId, event) => {
+  const button = event?.target
+  try {
+    if (button) button.disabled = true
+
+    const response = await authFetch(
+      `/api/series/${seriesId}/trends/pdf?${getAnalysisFilterQuery({ includeSurveys: false })}`,
+    )
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || "Failed to generate trend report")
+    }
+
+    const blob = await response.blob()
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.style.display = "none"
+    a.href = url
+    a.download = "survey_trends.pdf"
+    document.body.appendChild(a)
+    a.click()
+    window.URL.revokeObjectURL(url)
+    document.body.removeChild(a)
+  } catch (error) {
+    console.error("Trend report error:", error)
+    alert("Failed to generate trend report: " + error.message)
+  } finally {
+    if (button) button.disabled = false
+  }
+}
+
+// Department headcounts, the denominators of the response rates (super-admins only)
+let headcounts = new Map()
+
+async function loadHeadcounts() {
+  const container = document.getElementById("headcount-list")
+  try {
+    const response = await authFetch("/api/headcounts")
+    if (!response.ok) {
+      throw new Error("Failed to fetch headcounts")
+    }
+    headcounts = new Map((await response.json()).map((record) => [record.department, record]))
+
+    // Every known department, with or without a headcount
+    const departments = [...new Set([...DEPARTMENTS.map((department) => department.value), ...headcounts.keys()])]
+    container.innerHTML = departments.map(renderHeadcountRow).join("")
+  } catch (error) {
+    console.error("Error loading headcounts:", error)
+    container.innerHTML = "<p>Error loading headcounts</p>"
+  }
+}
+
+function renderHeadcountRow(department) {
+  const record = headcounts.get(department)
+  const tenures = record?.tenures.map((entry) => `${escapeHtml(entry.tenure)}: ${entry.headcount}`).join(", ")
+  const source = record ? (record.source === "users" ? "from employee accounts" : "entered by hand") : "not set"
+
+  return `
+    <div class="headcount-row">
+      <label>${escapeHtml(department)}</label>
+      <input type="number" min="0" step="1" value="${record ? record.headcount : ""}" data-department="${escapeHtml(department)}">
+      <span class="results-hint">${source}${tenures ? ` (${tenures})` : ""}</span>
+      <button onclick="saveHeadcount(this)" class="transition-button">Save</button>
+      ${record ? `<button onclick="deleteHeadcount(this)" class="delete-button">Clear</button>` : ""}
+    </div>
+  `
+}
+
+// Send a headcount change and reload the list
+async function updateHeadcounts(url, options, errorMessage) {
+  try {
+    const response = await authFetch(url, { headers: { "Content-Type": "application/json" }, ...options })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || errorMessage)
+    }
+    await loadHeadcounts()
+    return data
+  } catch (error) {
+    console.error("Headcount error:", error)
+    alert(`${errorMessage}: ${error.message}`)
+    return null
+  }
+}
+
+window.saveHeadcount = async (button) => {
+  const input = button.parentElement.querySelector("input")
+  const department = input.dataset.department
+  const headcount = Number(input.value)
+  if (input.value === "" || !Number.isInteger(headcount) || headcount < 0) {
+    alert("Please enter a whole number of 0 or more")
+    return
+  }
+
+  // The tenure breakdown only still applies while the total is unchanged
+  const record = headcounts.get(department)
+  const tenures = record && record.headcount === headcount ? record.tenures : []
+  await updateHeadcounts(
+    `/api/headcounts/${encodeURIComponent(department)}`,
+    { method: "PUT", body: JSON.stringify({ headcount, tenures }) },
+    "Failed to save headcount",
+  )
+}
+
+window.deleteHeadcount = async (button) => {
+  const department = button.parentElement.querySelector("input").dataset.department
+  if (!confirm(`Clear the headcount of ${department}? Its response rates will show as unknown.`)) return
+  await updateHeadcounts(
+    `/api/headcounts/${encodeURIComponent(department)}`,
+    { method: "DELETE" },
+    "Failed to clear headcount",
+  )
+}
+
+// Count the active employee accounts; headcounts entered by hand are only replaced when confirmed
+window.deriveHeadcounts = async () => {
+  const overwrite = confirm("Also replace headcounts entered by hand? Cancel keeps them.")
+  const data = await updateHeadcounts(
+    "/api/headcounts/derive",
+    { method: "POST", body: JSON.stringify({ overwrite }) },
+    "Failed to count employee accounts",
+  )
+  if (data?.skipped.length > 0) {
+    alert(`Kept the headcounts entered by hand for: ${data.skipped.join(", ")}`)
+  }
+}
+
+// Response import: historical responses from a CSV file, checked with a dry run before they are added
+
+function populateImportSurveys() {
+  const select = document.getElementById("import-survey")
+  const selected = select.value
+  select.innerHTML =
+    `<option value="">Select a survey</option>` +
+    Array.from(adminSurveys.values())
+      .map((survey) => `<option value="${survey._id}">${escapeHtml(survey.title)}</option>`)
+      .join("")
+  select.value = adminSurveys.has(selected) ? selected : ""
+}
+
+function renderImportReport(report) {
+  const columns = report.columns
+    .map(({ column, readAs }) => `${escapeHtml(column)} &rarr; ${readAs ? escapeHtml(readAs) : "<em>ignored</em>"}`)
+    .join("<br>")
+  const skipped = report.skipped.map(({ row, reason }) => `<li>Row ${row}: ${escapeHtml(reason)}</li>`).join("")
+  const errors = report.errors.map(({ row, message }) => `<li>Row ${row}: ${escapeHtml(message)}</li>`).join("")
+  const more =
+    report.errorCount > report.errors.length ? `<p>...and ${report.errorCount - report.errors.length} more</p>` : ""
+  const outcome = report.dryRun
+    ? `${report.responseCount} of ${report.rowCount} rows can be imported`
+    : `Imported ${report.imported} responses from ${report.rowCount} rows`
+
+  return `
+    <p><strong>${outcome}</strong> into "${escapeHtml(report.survey.title)}" (${report.layout === "long" ? "one row per answer" : "one row per response"}).</p>
+    <details><summary>Columns</summary><p class="results-hint">${columns}</p></details>
+    ${skipped ? `<p>Skipped:</p><ul>${skipped}</ul>` : ""}
+    ${errors ? `<p>${report.errorCount} errors to fix before importing:</p><ul class="import-errors">${errors}</ul>${more}` : ""}
+  `
+}
+
+window.importResponses = async (dryRun) => {
+  const surveyId = document.getElementById("import-survey").value
+  const file = document.getElementById("import-file").files[0]
+  const mapping = document.getElementById("import-mapping").value.trim()
+  const container = document.getElementById("import-report")
+  if (!surveyId || !file) {
+    alert("Please select a survey and a CSV file")
+    return
+  }
+  if (!dryRun && !confirm(`Import the responses in ${file.name}? Imported responses appear in every report.`)) return
+
+  try {
+    const params = new URLSearchParams({ dryRun })
+    if (mapping) params.set("mapping", mapping)
+    const response = await authFetch(`/api/surveys/${surveyId}/responses/import?${params}`, {
+      method: "POST",
+      headers: { "Content-Type": "text/csv" },
+      body: file,
+    })
+    const data = await response.json()
+    if (!response.ok && !data.columns) {
+      throw new Error(data.error || "Failed to import responses")
+    }
+    container.innerHTML = renderImportReport(data)
+  } catch (error) {
+    console.error("Import error:", error)
+    container.innerHTML = `<p>${escapeHtml(error.message)}</p>`
+  }
+}
+
+// Survey templates and definition files: start a survey from a template, copy a survey, move surveys between servers
+
+async function loadTemplates() {
+  const container = document.getElementById("template-list")
+  try {
+    const response = await authFetch("/api/templates")
+    if (!response.ok) {
+      throw new Error("Failed to fetch templates")
+    }
+    const templates = await response.json()
+    surveyTemplates.clear()
+    templates.forEach((template) => surveyTemplates.set(template._id, template))
+    container.innerHTML = templates.map(renderTemplateCard).join("")
+  } catch (error) {
+    console.error("Error loading templates:", error)
+    container.innerHTML = "<p>Error loading templates</p>"
+  }
+}
+
+function renderTemplateCard(template) {
+  return `
+    <div class="series-card">
+      <h4>${escapeHtml(template.name)} ${template.builtIn ? `<span class="template-badge">Built-in</span>` : ""}</h4>
+      ${template.description ? `<p>${escapeHtml(template.description)}</p>` : ""}
+      <p class="results-hint">${template.questions.length} questions</p>
+      <div class="survey-card-actions">
+        <button onclick="useTemplate('${template._id}')" class="transition-button">Use Template</button>
+        ${template.builtIn ? "" : `<button onclick="deleteTemplate('${template._id}')" class="delete-button">Delete Template</button>`}
+      </div>
+    </div>
+  `
+}
+
+// Load a template's questions into the builder as a new survey
+window.useTemplate = (templateId) => {
+  const template = surveyTemplates.get(templateId)
+  if (!template) return
+
+  cancelSurveyEdit()
+  document.getElementById("survey-title").value = template.name
+  const questionsContainer = document.getElementById("questions-container")
+  questionsContainer.innerHTML = ""
+  template.questions.forEach((question) => addQuestion(question))
+
+  document.getElementById("admin-panel").scrollIntoView({ behavior: "smooth" })
+}
+
+window.saveAsTemplate = async (surveyId) => {
+  const survey = adminSurveys.get(surveyId)
+  const name = prompt("Template name:", survey?.title || "")
+  if (!name || !name.trim()) return
+  const description = prompt("Description (optional):") || ""
+
+  try {
+    const response = await authFetch("/api/templates", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ surveyId, name: name.trim(), description }),
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to save template")
+    }
+    await loadTemplates()
+    alert(`Saved "${data.template.name}" as a template`)
+  } catch (error) {
+    console.error("Template save error:", error)
+    alert("Error saving template: " + error.message)
+  }
+}
+
+window.deleteTemplate = async (templateId) => {
+  if (!confirm("Delete this template? Surveys created from it are kept.")) return
+
+  try {
+    const response = await authFetch(`/api/templates/${templateId}`, { method: "DELETE" })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to delete template")
+    }
+    await loadTemplates()
+  } catch (error) {
+    console.error("Template delete error:", error)
+    alert("Error deleting template: " + error.message)
+  }
+}
+
+// Copy a survey into a new draft and open it in the builder
+window.cloneSurvey = async (surveyId) => {
+  try {
+    const response = await authFetch(`/api/surveys/${surveyId}/clone`, { method: "POST" })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to copy survey")
+    }
+    await loadDepartmentSurveys()
+    editSurvey(data.survey._id)
+  } catch (error) {
+    console.error("Survey clone error:", error)
+    alert("Error copying survey: " + error.message)
+  }
+}
+
+window.exportSurveyDefinition = async (surveyId) => {
+  try {
+    const response = await authFetch(`/api/surveys/${surveyId}/definition`)
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || "Failed to export survey")
+    }
+
+    const blob = await response.blob()
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.style.display = "none"
+    a.href = url
+    a.download = `survey_definition_${surveyId}.json`
+    document.body.appendChild(a)
+    a.click()
+    window.URL.revokeObjectURL(url)
+    document.body.removeChild(a)
+  } catch (error) {
+    console.error("Survey definition export error:", error)
+    alert("Error exporting survey: " + error.message)
+  }
+}
+
+// Create a draft from a definition file exported by this or another server
+window.importSurveyDefinition = async () => {
+  const file = document.getElementById("definition-file").files[0]
+  if (!file) {
+    alert("Please select a survey definition file")
+    return
+  }
+
+  try {
+    let definition
+    try {
+      definition = JSON.parse(await file.text())
+    } catch (error) {
+      throw new Error(`${file.name} is not a JSON file`)
+    }
+
+    const response = await authFetch("/api/surveys/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(definition),
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to import survey")
+    }
+
+    document.getElementById("definition-file").value = ""
+    await loadDepartmentSurveys()
+    alert(`Imported "${data.survey.title}" as a draft`)
+  } catch (error) {
+    console.error("Survey definition import error:", error)
+    alert("Error importing survey: " + error.message)
+  }
+}
+
 // Add the new functions for the simplified user flow
-window.startSurvey = () => {
+window.startSurvey = async () => {
   const department = document.getElementById("department").value
   const tenure = document.getElementById("tenure").value
+  const username = document.getElementById("employee-username").value.trim()
+  const password = document.getElementById("employee-password").value
+
+  if (!department || !tenure || !username || !password) {
+    alert("Please select Department and Tenure and sign in with your username and password")
+    return
+  }
 
-  if (!department || !tenure) {
-    alert("Please select both Department and Tenure")
+  // Employees sign in so each of them can answer a survey only once
+  let participantToken
+  try {
+    const response = await fetch("/api/employee-login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      alert(response.status === 401 ? "Invalid username or password" : data.error || "Sign-in failed")
+      return
+    }
+    participantToken = data.participantToken
+  } catch (error) {
+    console.error("Employee sign-in error:", error)
+    alert("Sign-in failed: " + error.message)
     return
   }
+  document.getElementById("employee-password").value = ""
 
   // Store the user info
   currentDepartment = department
   currentTenure = tenure
+  currentParticipantToken = participantToken
 
   // Store in localStorage to persist between page refreshes
   localStorage.setItem("surveyDepartment", department)
   localStorage.setItem("surveyTenure", tenure)
+  localStorage.setItem("surveyParticipantToken", participantToken)
 
   // Hide the user info form and show the employee panel
   document.getElementById("user-info-container").classList.add("hidden")
@@ -151,8 +1054,8 @@ window.adminLogin = async () => {
   const username = document.getElementById("admin-username").value.trim()
   const password = document.getElementById("admin-password").value
 
-  if (username !== "admin") {
-    alert("Invalid admin credentials")
+  if (!username || !password) {
+    alert("Please enter your admin username and password")
     return
   }
 
@@ -168,7 +1071,9 @@ window.adminLogin = async () => {
 
     if (response.ok && data.user.role === "admin") {
       isAdmin = true
-      localStorage.setItem("isAdmin", "true")
+      setAuthTokens(data)
+      startSession()
+      applyAdminPermissions(data.user)
 
       // Show admin panel and logout button
       document.getElementById("admin-login-container").classList.add("hidden")
@@ -185,9 +1090,28 @@ window.adminLogin = async () => {
   }
 }
 
-window.adminLogout = () => {
+window.adminLogout = async () => {
+  const { accessToken, refreshToken } = getAuthTokens()
+
+  try {
+    await fetch("/api/logout", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${accessToken}` },
+      body: JSON.stringify({ refreshToken }),
+    })
+  } catch (error) {
+    console.error("Logout error:", error)
+  }
+
+  endAdminSession()
+}
+
+// Drop the local admin session and return to the user form
+function endAdminSession() {
   isAdmin = false
-  localStorage.removeItem("isAdmin")
+  stopResultsRefresh()
+  clearAuthTokens()
+  clearSession()
 
   // Hide admin panel and logout button
   document.getElementById("admin-panel").classList.add("hidden")
@@ -222,10 +1146,13 @@ window.togglePassword = (inputId) => {
 }
 
 // Replace the checkLoginState function with this improved version
-function checkLoginState() {
-  // Check if user is admin
-  if (localStorage.getItem("isAdmin") === "true") {
+async function checkLoginState() {
+  // Check if there is a valid admin session
+  const adminUser = getAuthTokens().accessToken ? await verifyAdminSession() : null
+  if (adminUser) {
     isAdmin = true
+    startSession()
+    applyAdminPermissions(adminUser)
     // Hide all other containers first
     document.getElementById("user-info-container").classList.add("hidden")
     document.getElementById("admin-login-container").classList.add("hidden")
@@ -240,10 +1167,12 @@ function checkLoginState() {
   // Check if user has department and tenure stored
   const department = localStorage.getItem("surveyDepartment")
   const tenure = localStorage.getItem("surveyTenure")
+  const participantToken = localStorage.getItem("surveyParticipantToken")
 
-  if (department && tenure) {
+  if (department && tenure && participantToken) {
     currentDepartment = department
     currentTenure = tenure
+    currentParticipantToken = participantToken
     // Hide all other containers first
     document.getElementById("admin-login-container").classList.add("hidden")
     document.getElementById("admin-panel").classList.add("hidden")
@@ -263,15 +1192,54 @@ function checkLoginState() {
   return false
 }
 
-// Session management
+// Ask the server whether the stored access token is still valid; resolves to the admin user or null
+async function verifyAdminSession() {
+  try {
+    const response = await authFetch("/api/verify-session")
+    if (!response.ok) return null
+
+    const data = await response.json()
+    return data.user
+  } catch (error) {
+    console.error("Session verification error:", error)
+    return null
+  }
+}
+
+// Only show admin actions the signed-in admin is allowed to use (the server enforces the same rules)
+function applyAdminPermissions(user) {
+  const permissions = user?.permissions || []
+  document.querySelectorAll("#admin-panel [data-permission]").forEach((element) => {
+    const required = element.dataset.permission.split(" ")
+    const allowed = permissions.includes("super-admin") || required.some((p) => permissions.includes(p))
+    element.classList.toggle("hidden", !allowed)
+  })
+
+  // Department viewers can only report on their own department
+  const departmentSelect = document.getElementById("analysis-department")
+  const isDepartmentViewer = !permissions.includes("super-admin") && !permissions.includes("exporter")
+  if (isDepartmentViewer && user?.department) {
+    if (!Array.from(departmentSelect.options).some((option) => option.value === user.department)) {
+      departmentSelect.add(new Option(user.department, user.department))
+    }
+    departmentSelect.value = user.department
+  }
+  departmentSelect.disabled = isDepartmentViewer
+}
+
+// Session management: refresh the access token a minute before it expires
 function startSession() {
   clearSession()
-  sessionTimeout = setTimeout(
-    () => {
-      logout()
-    },
-    30 * 60 * 1000,
-  ) // 30 minutes
+
+  const { accessToken } = getAuthTokens()
+  if (!accessToken) return
+
+  const refreshIn = Math.max(getTokenExpiry(accessToken) - Date.now() - 60 * 1000, 0)
+  sessionTimeout = setTimeout(async () => {
+    if (!(await refreshAuthTokens())) {
+      endAdminSession()
+    }
+  }, refreshIn)
 }
 
 function clearSession() {
@@ -561,6 +1529,17 @@ function deleteQuestion(button) {
   // Only delete if there's more than one question
   if (questionInputs.length > 1) {
     const questionDiv = button.closest(".question-input")
+    const deletedIndex = Array.from(questionInputs).indexOf(questionDiv)
+
+    // Conditions refer to questions by position: drop the ones on this question and shift the later ones
+    questionsContainer.querySelectorAll(".condition-question").forEach((select) => {
+      const triggerIndex = Number(select.value)
+      if (triggerIndex === deletedIndex) {
+        select.closest(".condition-container").remove()
+      } else if (triggerIndex > deletedIndex) {
+        select.value = String(triggerIndex - 1)
+      }
+    })
 
     // If this question has options, remove them too
     const optionsContainer = questionDiv.querySelector(".options-container")
@@ -575,12 +1554,19 @@ function deleteQuestion(button) {
   }
 }
 
+// Question types answered by picking from a list of options (mirrors OPTION_QUESTION_TYPES in survey.model.js)
+const OPTION_QUESTION_TYPES = ["radio", "checkbox", "dropdown", "ranking", "matrix"]
+
+// Question types that can be scored for satisfaction metrics (mirrors SCALE_QUESTION_TYPES in survey.model.js)
+const SCALE_QUESTION_TYPES = ["radio", "dropdown", "matrix", "star"]
+const STAR_OPTIONS = ["1", "2", "3", "4", "5"]
+
 function addOptions(button) {
   const questionDiv = button.parentElement
   const questionType = questionDiv.querySelector(".question-type").value
 
-  // Don't show options for text or star rating questions
-  if (questionType === "text" || questionType === "star") {
+  // Only show options for types answered from a list
+  if (!OPTION_QUESTION_TYPES.includes(questionType)) {
     return
   }
 
@@ -598,21 +1584,71 @@ function addOptions(button) {
             <input type="text" class="options-input" placeholder="Enter option" />
             <button onclick="addNewOption(this)" class="add-option-btn">+</button>
         </div>
-        <span class="options-help">Add your options here. Click + to add more options.</span>
+        <span class="options-help">${
+          questionType === "matrix"
+            ? "Add the answer scale here (e.g. Disagree, Neutral, Agree). Click + to add more."
+            : "Add your options here. Click + to add more options."
+        }</span>
     `
 
   questionDiv.appendChild(optionsContainer)
 }
 
+// Show the settings that belong to the selected question type: statements for a matrix, bounds for a number
+function updateQuestionTypeSettings(questionDiv) {
+  const questionType = questionDiv.querySelector(".question-type").value
+
+  const statementsContainer = questionDiv.querySelector(".statements-container")
+  if (questionType === "matrix" && !statementsContainer) {
+    const container = document.createElement("div")
+    container.className = "statements-container"
+    container.innerHTML = `
+        <div class="option-input-group">
+            <input type="text" class="statement-input" placeholder="Enter statement" />
+            <button onclick="addNewStatement(this)" class="add-option-btn">+</button>
+        </div>
+        <span class="options-help">Each statement is rated on the answer scale. Click + to add more statements.</span>
+    `
+    questionDiv.appendChild(container)
+  } else if (questionType !== "matrix" && statementsContainer) {
+    statementsContainer.remove()
+  }
+
+  const numberRange = questionDiv.querySelector(".number-range")
+  if (questionType === "number" && !numberRange) {
+    const container = document.createElement("div")
+    container.className = "number-range"
+    container.innerHTML = `
+        <input type="number" class="number-min" placeholder="Minimum (optional)" />
+        <input type="number" class="number-max" placeholder="Maximum (optional)" />
+    `
+    questionDiv.appendChild(container)
+  } else if (questionType !== "number" && numberRange) {
+    numberRange.remove()
+  }
+
+  // Options from the previous type don't apply any more
+  const optionsContainer = questionDiv.querySelector(".options-container")
+  if (!OPTION_QUESTION_TYPES.includes(questionType) && optionsContainer) {
+    optionsContainer.remove()
+  }
+
+  const scaleContainer = questionDiv.querySelector(".scale-container")
+  if (!SCALE_QUESTION_TYPES.includes(questionType) && scaleContainer) {
+    scaleContainer.remove()
+  }
+}
+
 // Add an event listener to handle question type changes
 document.addEventListener("change", (e) => {
   if (e.target.classList.contains("question-type")) {
     const addOptionsButton = e.target.parentElement.querySelector("button")
-    if (e.target.value === "text" || e.target.value === "star") {
-      addOptionsButton.style.display = "none"
-    } else {
+    if (OPTION_QUESTION_TYPES.includes(e.target.value)) {
       addOptionsButton.style.display = "inline-block"
+    } else {
+      addOptionsButton.style.display = "none"
     }
+    updateQuestionTypeSettings(e.target.closest(".question-input"))
   }
 })
 
@@ -624,15 +1660,121 @@ function addNewOption(button) {
         <input type="text" class="options-input" placeholder="Enter option" />
         <button onclick="removeOption(this)" class="remove-option-btn">-</button>
     `
-  optionsContainer.insertBefore(newOptionGroup, optionsContainer.querySelector(".options-help"))
+  optionsContainer.insertBefore(newOptionGroup, optionsContainer.querySelector(".options-help"))
+}
+
+function removeOption(button) {
+  button.closest(".option-input-group").remove()
+}
+
+function addNewStatement(button) {
+  const statementsContainer = button.closest(".statements-container")
+  const newStatementGroup = document.createElement("div")
+  newStatementGroup.className = "option-input-group"
+  newStatementGroup.innerHTML = `
+        <input type="text" class="statement-input" placeholder="Enter statement" />
+        <button onclick="removeOption(this)" class="remove-option-btn">-</button>
+    `
+  statementsContainer.insertBefore(newStatementGroup, statementsContainer.querySelector(".options-help"))
+}
+
+const CONDITION_OPERATOR_LABELS = {
+  equals: "is",
+  notEquals: "is not",
+  contains: "includes",
+  gte: "is at least",
+  lte: "is at most",
+}
+
+// Add a "show only if" rule to a builder row. The trigger must be an earlier question.
+function addCondition(button) {
+  const questionDiv = button.closest(".question-input")
+  if (questionDiv.querySelector(".condition-container")) return
+
+  const rows = Array.from(document.querySelectorAll("#questions-container .question-input"))
+  if (rows.indexOf(questionDiv) === 0) {
+    alert("The first question is always shown. Conditions can only depend on an earlier question.")
+    return
+  }
+
+  const conditionContainer = document.createElement("div")
+  conditionContainer.className = "condition-container"
+  conditionContainer.innerHTML = `
+        <span class="condition-label">Show only if</span>
+        <select class="condition-question"></select>
+        <select class="condition-operator">
+            ${Object.entries(CONDITION_OPERATOR_LABELS)
+              .map(([operator, label]) => `<option value="${operator}">${label}</option>`)
+              .join("")}
+        </select>
+        <input type="text" class="condition-value" placeholder="Answer" />
+        <button onclick="removeCondition(this)" class="remove-option-btn">-</button>
+    `
+  questionDiv.appendChild(conditionContainer)
+
+  const questionSelect = conditionContainer.querySelector(".condition-question")
+  refreshConditionQuestions(questionSelect)
+  // Question texts can change after the condition is added, so rebuild the list whenever it is opened
+  questionSelect.addEventListener("focus", () => refreshConditionQuestions(questionSelect))
+  return conditionContainer
+}
+
+function removeCondition(button) {
+  button.closest(".condition-container").remove()
+}
+
+// List the questions above this row as possible triggers (value = position in the builder)
+function refreshConditionQuestions(select) {
+  const questionDiv = select.closest(".question-input")
+  const rows = Array.from(document.querySelectorAll("#questions-container .question-input"))
+  const earlierRows = rows.slice(0, rows.indexOf(questionDiv))
+  const selected = select.value
+
+  select.innerHTML = earlierRows
+    .map((row, index) => {
+      const text = row.querySelector(".question").value || "(untitled question)"
+      return `<option value="${index}">Q${index + 1}: ${text}</option>`
+    })
+    .join("")
+
+  if (selected !== "" && Number(selected) < earlierRows.length) {
+    select.value = selected
+  }
+}
+
+// Add scores to a rating question's options, used for the satisfaction metrics in reports
+function addScale(button) {
+  const questionDiv = button.closest(".question-input")
+  if (questionDiv.querySelector(".scale-container")) return
+
+  const questionType = questionDiv.querySelector(".question-type").value
+  if (!SCALE_QUESTION_TYPES.includes(questionType)) {
+    alert("Only star rating, multiple choice, dropdown and Likert matrix questions can be scored.")
+    return
+  }
+
+  const scaleContainer = document.createElement("div")
+  scaleContainer.className = "scale-container"
+  scaleContainer.innerHTML = `
+        <span class="condition-label">Scores</span>
+        <input type="text" class="scale-scores" placeholder="${questionType === "star" ? "1, 2, 3, 4, 5" : "e.g. 5, 4, 3, 2, 1"}" />
+        <label class="scale-satisfaction-label">
+            <input type="checkbox" class="scale-satisfaction" checked />
+            Counts toward satisfaction
+        </label>
+        <button onclick="removeScale(this)" class="remove-option-btn">-</button>
+        <span class="options-help">One score per option, in option order (star ratings: 1 to 5 stars). Leave a score empty to leave that option out.</span>
+    `
+  questionDiv.appendChild(scaleContainer)
+  return scaleContainer
 }
 
-function removeOption(button) {
-  button.closest(".option-input-group").remove()
+function removeScale(button) {
+  button.closest(".scale-container").remove()
 }
 
 // Update your existing addQuestion function to include the delete button
-function addQuestion() {
+function addQuestion(question) {
   const questionsContainer = document.getElementById("questions-container")
   const newQuestion = document.createElement("div")
   newQuestion.className = "question-input"
@@ -643,11 +1785,83 @@ function addQuestion() {
             <option value="radio">Multiple Choice</option>
             <option value="checkbox">Checkbox</option>
             <option value="star">Star Rating</option>
+            <option value="dropdown">Dropdown</option>
+            <option value="matrix">Likert Matrix</option>
+            <option value="nps">Net Promoter (0-10)</option>
+            <option value="number">Number</option>
+            <option value="date">Date</option>
+            <option value="ranking">Ranking</option>
         </select>
         <button onclick="addOptions(this)">Add Options</button>
+        <button onclick="addCondition(this)" class="condition-btn">Show If</button>
+        <button onclick="addScale(this)" class="scale-btn">Scoring</button>
         <button onclick="deleteQuestion(this)" class="delete-btn">❌</button>
     `
   questionsContainer.appendChild(newQuestion)
+
+  if (question) {
+    fillQuestionInput(newQuestion, question)
+  }
+}
+
+// Prefill a builder row from an existing survey question
+function fillQuestionInput(questionDiv, question) {
+  // Keep the question's stable ID so existing answers stay linked to it; template questions have none yet
+  if (question._id) questionDiv.dataset.questionId = question._id
+  questionDiv.querySelector(".question").value = question.text
+  const typeSelect = questionDiv.querySelector(".question-type")
+  typeSelect.value = question.type
+  typeSelect.dispatchEvent(new Event("change", { bubbles: true }))
+
+  const options = question.options || []
+  if (OPTION_QUESTION_TYPES.includes(question.type) && options.length > 0) {
+    addOptions(questionDiv.querySelector("button"))
+    const optionsContainer = questionDiv.querySelector(".options-container")
+    options.slice(1).forEach(() => addNewOption(optionsContainer.querySelector(".add-option-btn")))
+    optionsContainer.querySelectorAll(".options-input").forEach((input, index) => {
+      input.value = options[index]
+    })
+  }
+
+  const statements = question.statements || []
+  if (question.type === "matrix" && statements.length > 0) {
+    const statementsContainer = questionDiv.querySelector(".statements-container")
+    statements.slice(1).forEach(() => addNewStatement(statementsContainer.querySelector(".add-option-btn")))
+    statementsContainer.querySelectorAll(".statement-input").forEach((input, index) => {
+      input.value = statements[index]
+    })
+  }
+
+  if (question.type === "number") {
+    questionDiv.querySelector(".number-min").value = question.min ?? ""
+    questionDiv.querySelector(".number-max").value = question.max ?? ""
+  }
+
+  if (question.scale) {
+    const scaleContainer = addScale(questionDiv.querySelector(".scale-btn"))
+    if (scaleContainer) {
+      const scores = new Map((question.scale.scores || []).map(({ option, score }) => [option, score]))
+      const scaleOptions = question.type === "star" ? STAR_OPTIONS : options
+      scaleContainer.querySelector(".scale-scores").value = scaleOptions
+        .map((option) => scores.get(option) ?? "")
+        .join(", ")
+      scaleContainer.querySelector(".scale-satisfaction").checked = question.scale.countsTowardSatisfaction !== false
+    }
+  }
+
+  // Conditions point at earlier questions, whose rows have already been added
+  if (question.condition) {
+    const rows = Array.from(document.querySelectorAll("#questions-container .question-input"))
+    const triggerIndex =
+      question.condition.questionIndex ??
+      rows.findIndex((row) => row.dataset.questionId === question.condition.questionId)
+    const conditionContainer = triggerIndex !== -1 && addCondition(questionDiv.querySelector(".condition-btn"))
+    if (conditionContainer) {
+      conditionContainer.querySelector(".condition-question").value = String(triggerIndex)
+      conditionContainer.querySelector(".condition-operator").value = question.condition.operator
+      conditionContainer.querySelector(".condition-value").value = question.condition.value || ""
+    }
+  }
 }
 
 // Handle question type change
@@ -672,79 +1886,200 @@ window.addOption = (button) => {
   }
 }
 
+// Lifecycle transitions the admin panel offers for each survey status (mirrors survey.model.js)
+const SURVEY_TRANSITIONS = {
+  draft: ["scheduled", "open"],
+  scheduled: ["draft", "open"],
+  open: ["closed"],
+  closed: ["open", "archived"],
+  archived: ["closed"],
+}
+
+const TRANSITION_LABELS = {
+  draft: "Move to Draft",
+  scheduled: "Schedule",
+  open: "Open Now",
+  closed: "Close",
+  archived: "Archive",
+}
+
+// Render one survey card for the admin panel, with its status and lifecycle actions
+function renderAdminSurveyCard(survey) {
+  const color = survey.color || "#253074"
+  const status = survey.status || "open"
+  const formatDate = (date) => (date ? new Date(date).toLocaleString() : null)
+  const schedule = [
+    survey.opensAt && status === "scheduled" ? `Opens: ${formatDate(survey.opensAt)}` : null,
+    survey.closesAt && (status === "open" || status === "scheduled") ? `Closes: ${formatDate(survey.closesAt)}` : null,
+  ].filter(Boolean)
+
+  return `
+    <div class="survey-card" data-survey-id="${survey._id}" style="--survey-color: ${color}; border-color: ${color}">
+        <div class="survey-title-box" style="background-color: ${color}">${survey.title}</div>
+        <p>Department: ${survey.isAllDepartments ? "All Departments" : survey.department}</p>
+        <p>Status: <span class="survey-status-badge status-${status}">${status}</span></p>
+        ${schedule.map((line) => `<p>${line}</p>`).join("")}
+        <div class="survey-card-actions">
+          ${status !== "archived" ? `<button onclick="editSurvey('${survey._id}')" class="transition-button">Edit</button>` : ""}
+          <button onclick="cloneSurvey('${survey._id}')" class="transition-button">Copy as Draft</button>
+          <button onclick="saveAsTemplate('${survey._id}')" class="transition-button">Save as Template</button>
+          <button onclick="exportSurveyDefinition('${survey._id}')" class="transition-button">Export JSON</button>
+          ${(SURVEY_TRANSITIONS[status] || [])
+            .map(
+              (next) =>
+                `<button onclick="transitionSurvey('${survey._id}', '${next}')" class="transition-button">${TRANSITION_LABELS[next]}</button>`,
+            )
+            .join("")}
+          <button onclick="deleteSurvey('${survey._id}')" class="delete-button">Delete Survey</button>
+        </div>
+    </div>
+  `
+}
+
 // Load Department Surveys
 // Update the loadDepartmentSurveys function to display surveys with the title outside the card
 async function loadDepartmentSurveys() {
   try {
-    // Get all available departments
-    const deptResponse = await fetch("/api/departments")
-    const allDepartments = await deptResponse.json()
-
     const container = document.getElementById("department-surveys")
-    let html = ""
 
-    // First, fetch and display "All Departments" surveys
-    const allDeptResponse = await fetch("/api/surveys/all")
-    const allDeptSurveys = await allDeptResponse.json()
+    const response = await authFetch("/api/surveys/all")
+    if (!response.ok) {
+      throw new Error("Failed to fetch surveys")
+    }
+    const surveys = await response.json()
 
-    const allDepartmentSurveys = allDeptSurveys.filter((survey) => survey.isAllDepartments === true)
+    adminSurveys.clear()
+    surveys.forEach((survey) => adminSurveys.set(survey._id, survey))
+    populateAnalysisFilters()
+    populateResultsSurveys()
+    loadSeries()
+    loadHeadcounts()
+    loadTemplates()
+    populateImportSurveys()
+
+    // "All Departments" surveys first, then one section per department
+    const sections = new Map([["All Departments", []]])
+    surveys.forEach((survey) => {
+      const section = survey.isAllDepartments ? "All Departments" : survey.department
+      if (!sections.has(section)) {
+        sections.set(section, [])
+      }
+      sections.get(section).push(survey)
+    })
 
-    if (allDepartmentSurveys.length > 0) {
+    let html = ""
+    sections.forEach((sectionSurveys, section) => {
+      if (sectionSurveys.length === 0) return
       html += `
         <div class="department-section">
-          <h4>All Departments</h4>
-          ${allDepartmentSurveys
-            .map(
-              (survey) => `
-              <div class="survey-card" style="--survey-color: ${survey.color || "#253074"}; border-color: ${survey.color || "#253074"}">
-                  <div class="survey-title-box" style="background-color: ${survey.color || "#253074"}">${survey.title}</div>
-                  <p>Department: All Departments</p>
-                  <button onclick="deleteSurvey('${survey._id}')" class="delete-button">Delete Survey</button>
-              </div>
-          `,
-            )
-            .join("")}
+          <h4>${section}</h4>
+          ${sectionSurveys.map(renderAdminSurveyCard).join("")}
         </div>
       `
-    }
+    })
+
+    container.innerHTML = html || "<p>No surveys available</p>"
+  } catch (error) {
+    console.error("Error loading department surveys:", error)
+    document.getElementById("department-surveys").innerHTML = "<p>Error loading surveys</p>"
+  }
+}
 
-    // Then fetch and display surveys for each specific department
-    for (const dept of allDepartments) {
-      const response = await fetch(`/api/surveys/${dept}`)
-      const surveys = await response.json()
+// Parse a "YYYY-MM-DD HH:MM" style prompt answer; empty input means no date
+function parsePromptDate(value) {
+  if (!value || !value.trim()) return null
+  const date = new Date(value.trim().replace(" ", "T"))
+  return isNaN(date.getTime()) ? undefined : date.toISOString()
+}
 
-      // Filter out "All Departments" surveys (they're already shown above) and duplicates
-      const deptSpecificSurveys = surveys.filter(
-        (survey) => survey.isAllDepartments !== true && survey.department === dept,
-      )
+// Move a survey to another lifecycle state
+window.transitionSurvey = async (surveyId, status) => {
+  const body = { status }
 
-      if (deptSpecificSurveys.length > 0) {
-        html += `
-          <div class="department-section">
-              <h4>${dept}</h4>
-              ${deptSpecificSurveys
-                .map(
-                  (survey) => `
-                  <div class="survey-card" style="--survey-color: ${survey.color || "#253074"}; border-color: ${survey.color || "#253074"}">
-                      <div class="survey-title-box" style="background-color: ${survey.color || "#253074"}">${survey.title}</div>
-                      <p>Department: ${survey.department}</p>
-                      <button onclick="deleteSurvey('${survey._id}')" class="delete-button">Delete Survey</button>
-                  </div>
-              `,
-                )
-                .join("")}
-          </div>
-        `
-      }
+  if (status === "scheduled") {
+    const opensAt = parsePromptDate(prompt("Open date and time (YYYY-MM-DD HH:MM):"))
+    if (!opensAt) {
+      alert("Please enter a valid open date")
+      return
+    }
+    const closesAt = parsePromptDate(prompt("Close date and time (YYYY-MM-DD HH:MM), leave empty for none:"))
+    if (closesAt === undefined) {
+      alert("Please enter a valid close date")
+      return
     }
+    body.opensAt = opensAt
+    body.closesAt = closesAt
+  } else if (
+    (status === "closed" || status === "archived") &&
+    !confirm(`Are you sure you want to ${status === "closed" ? "close" : "archive"} this survey?`)
+  ) {
+    return
+  }
 
-    container.innerHTML = html || "<p>No surveys available</p>"
+  try {
+    const response = await authFetch(`/api/surveys/${surveyId}/transition`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to update survey status")
+    }
+
+    await loadDepartmentSurveys()
   } catch (error) {
-    console.error("Error loading department surveys:", error)
-    document.getElementById("department-surveys").innerHTML = "<p>Error loading surveys</p>"
+    console.error("Survey transition error:", error)
+    alert("Error updating survey: " + error.message)
   }
 }
 
+// Load an existing survey into the builder for editing
+window.editSurvey = (surveyId) => {
+  const survey = adminSurveys.get(surveyId)
+  if (!survey) return
+
+  editingSurveyId = surveyId
+
+  document.getElementById("survey-title").value = survey.title
+  document.getElementById("survey-color").value = survey.color || "#253074"
+  document.getElementById("all-departments-checkbox").checked = survey.isAllDepartments === true
+  document.getElementById("admin-department").value = survey.isAllDepartments ? "" : survey.department
+  toggleDepartmentSelect()
+
+  const questionsContainer = document.getElementById("questions-container")
+  questionsContainer.innerHTML = ""
+  survey.questions.forEach((question) => addQuestion(question))
+
+  // The lifecycle is managed from the survey card while editing
+  document.getElementById("survey-schedule").classList.add("hidden")
+  document.getElementById("survey-builder-heading").textContent = `Edit Survey: ${survey.title}`
+  document.getElementById("save-survey-button").textContent = "Save Changes"
+  document.getElementById("cancel-edit-button").classList.remove("hidden")
+
+  document.getElementById("admin-panel").scrollIntoView({ behavior: "smooth" })
+}
+
+window.cancelSurveyEdit = () => {
+  editingSurveyId = null
+
+  document.getElementById("survey-schedule").classList.remove("hidden")
+  document.getElementById("survey-builder-heading").textContent = "Create Survey"
+  document.getElementById("save-survey-button").textContent = "Create Survey"
+  document.getElementById("cancel-edit-button").classList.add("hidden")
+  document.getElementById("all-departments-checkbox").checked = false
+  toggleDepartmentSelect()
+
+  clearSurveyForm()
+}
+
+// Show the open date input only when scheduling
+window.toggleScheduleFields = () => {
+  const scheduled = document.getElementById("survey-status").value === "scheduled"
+  document.querySelectorAll(".schedule-field").forEach((field) => field.classList.toggle("hidden", !scheduled))
+}
+
 // Delete Survey
 window.deleteSurvey = async (surveyId) => {
   if (!confirm("Are you sure you want to delete this survey?")) {
@@ -752,7 +2087,7 @@ window.deleteSurvey = async (surveyId) => {
   }
 
   try {
-    const response = await fetch(`/api/surveys/${surveyId}`, {
+    const response = await authFetch(`/api/surveys/${surveyId}`, {
       method: "DELETE",
       headers: {
         "Content-Type": "application/json",
@@ -786,12 +2121,20 @@ window.createSurvey = async () => {
   const department = isAllDepartments ? "All Departments" : departmentSelect.value
   const title = document.getElementById("survey-title").value
   const color = document.getElementById("survey-color").value // Get the color value
+  const status = document.getElementById("survey-status").value
+  const opensAtValue = document.getElementById("survey-opens-at").value
+  const closesAtValue = document.getElementById("survey-closes-at").value
 
   if (!title) {
     alert("Please enter a survey title")
     return
   }
 
+  if (status === "scheduled" && !opensAtValue) {
+    alert("Please choose when the scheduled survey opens")
+    return
+  }
+
   // Check if department is selected or All Departments is checked
   if (!isAllDepartments && (!departmentSelect.value || departmentSelect.value === "")) {
     alert("Please select a department or check 'All Departments'")
@@ -816,8 +2159,12 @@ window.createSurvey = async () => {
       type: questionType,
     }
 
-    // Only validate options for radio and checkbox questions
-    if (questionType === "radio" || questionType === "checkbox") {
+    if (questionDiv.dataset.questionId) {
+      question._id = questionDiv.dataset.questionId
+    }
+
+    // Only validate options for types answered from a list
+    if (OPTION_QUESTION_TYPES.includes(questionType)) {
       const optionInputs = questionDiv.querySelectorAll(".options-input")
       const options = []
 
@@ -828,20 +2175,87 @@ window.createSurvey = async () => {
       })
 
       if (options.length < 2) {
-        alert("Please provide at least 2 options for multiple choice/checkbox questions")
+        alert(`Please provide at least 2 options for question ${index + 1}`)
         isValid = false
         return
       }
       question.options = options
     }
 
+    if (questionType === "matrix") {
+      const statements = Array.from(questionDiv.querySelectorAll(".statement-input"), (input) => input.value.trim())
+      question.statements = statements.filter(Boolean)
+      if (question.statements.length === 0) {
+        alert(`Please add at least one statement to the matrix in question ${index + 1}`)
+        isValid = false
+        return
+      }
+    }
+
+    if (questionType === "number") {
+      const min = questionDiv.querySelector(".number-min").value
+      const max = questionDiv.querySelector(".number-max").value
+      question.min = min === "" ? null : Number(min)
+      question.max = max === "" ? null : Number(max)
+      if (question.min !== null && question.max !== null && question.min >= question.max) {
+        alert(`The minimum must be below the maximum in question ${index + 1}`)
+        isValid = false
+        return
+      }
+    }
+
+    const scaleContainer = questionDiv.querySelector(".scale-container")
+    if (scaleContainer && SCALE_QUESTION_TYPES.includes(questionType)) {
+      const scaleOptions = questionType === "star" ? STAR_OPTIONS : question.options
+      // Scores are entered in option order; an empty entry leaves that option unscored
+      const scoresInput = scaleContainer.querySelector(".scale-scores").value
+      const entries = scoresInput.split(",").map((entry) => entry.trim())
+      const hasInvalidScore = entries.some((entry) => entry !== "" && Number.isNaN(Number(entry)))
+      if (entries.length > scaleOptions.length || hasInvalidScore) {
+        alert(`Please enter at most one number per option as the scores of question ${index + 1}`)
+        isValid = false
+        return
+      }
+
+      const scores = []
+      entries.forEach((entry, optionIndex) => {
+        if (entry !== "") scores.push({ option: scaleOptions[optionIndex], score: Number(entry) })
+      })
+      question.scale = {
+        scores,
+        countsTowardSatisfaction: scaleContainer.querySelector(".scale-satisfaction").checked,
+      }
+    }
+
+    const conditionContainer = questionDiv.querySelector(".condition-container")
+    if (conditionContainer) {
+      const triggerIndex = conditionContainer.querySelector(".condition-question").value
+      const value = conditionContainer.querySelector(".condition-value").value.trim()
+      if (triggerIndex === "" || Number(triggerIndex) >= index || !value) {
+        alert(`Please choose an earlier question and an answer for the condition on question ${index + 1}`)
+        isValid = false
+        return
+      }
+      // The server swaps the position for the trigger question's ID
+      question.condition = {
+        questionIndex: Number(triggerIndex),
+        operator: conditionContainer.querySelector(".condition-operator").value,
+        value,
+      }
+    }
+
     questions.push(question)
   })
 
   if (!isValid || questions.length === 0) return
 
+  if (editingSurveyId) {
+    await saveSurveyEdits({ title, color, department, isAllDepartments, questions })
+    return
+  }
+
   try {
-    const response = await fetch("/api/surveys", {
+    const response = await authFetch("/api/surveys", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
@@ -850,6 +2264,9 @@ window.createSurvey = async () => {
         questions,
         isAllDepartments,
         color, // Include the color in the request
+        status,
+        opensAt: status === "scheduled" ? new Date(opensAtValue).toISOString() : null,
+        closesAt: closesAtValue ? new Date(closesAtValue).toISOString() : null,
       }),
     })
 
@@ -859,7 +2276,15 @@ window.createSurvey = async () => {
       throw new Error(data.error || "Failed to create survey")
     }
 
-    alert(isAllDepartments ? "Survey created successfully for all departments!" : "Survey created successfully!")
+    const statusNote = {
+      open: "",
+      scheduled: " It will open at the scheduled time.",
+      draft: " It was saved as a draft.",
+    }[status]
+    alert(
+      (isAllDepartments ? "Survey created successfully for all departments!" : "Survey created successfully!") +
+        statusNote,
+    )
 
     // Only try to display active surveys if the element exists
     if (document.getElementById("active-surveys")) {
@@ -873,6 +2298,57 @@ window.createSurvey = async () => {
   }
 }
 
+// Save builder changes to the survey being edited
+async function saveSurveyEdits(changes) {
+  const existing = adminSurveys.get(editingSurveyId)
+  // Conditions are compared by trigger position, since the builder sends positions rather than IDs
+  const conditionSignature = (questions, condition) => {
+    if (!condition) return null
+    const trigger = condition.questionIndex ?? questions.findIndex((question) => question._id === condition.questionId)
+    return [trigger, condition.operator, condition.value || ""]
+  }
+  const signature = (questions) =>
+    JSON.stringify(
+      questions.map((q) => [
+        q.text,
+        q.type,
+        OPTION_QUESTION_TYPES.includes(q.type) ? q.options || [] : [],
+        q.type === "matrix" ? q.statements || [] : [],
+        q.type === "number" ? [q.min ?? null, q.max ?? null] : [],
+        conditionSignature(questions, q.condition),
+      ]),
+    )
+  const questionsChanged = !existing || signature(existing.questions) !== signature(changes.questions)
+  if (
+    questionsChanged &&
+    !confirm(
+      "Saving changes to the questions creates a new question version. Existing responses stay linked to the questions they answered. Continue?",
+    )
+  ) {
+    return
+  }
+
+  try {
+    const response = await authFetch(`/api/surveys/${editingSurveyId}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to update survey")
+    }
+
+    alert("Survey updated successfully!")
+    cancelSurveyEdit()
+    await loadDepartmentSurveys()
+  } catch (error) {
+    console.error("Survey update error:", error)
+    alert("Error updating survey: " + error.message)
+  }
+}
+
 // Display Active Surveys
 async function displayActiveSurveys() {
   try {
@@ -1008,6 +2484,13 @@ async function loadAvailableSurveys() {
       restoreSavedResponses(activeSurvey._id, hasSavedResponse.answers)
     }
 
+    // Show or hide conditional questions now and whenever an answer changes
+    activeSurveyQuestions = activeSurvey.questions
+    const surveyForm = container.querySelector("form")
+    surveyForm.addEventListener("change", () => updateConditionalQuestions(surveyForm))
+    surveyForm.addEventListener("input", () => updateConditionalQuestions(surveyForm))
+    updateConditionalQuestions(surveyForm)
+
     // Show return button in navbar when survey is loaded
     document.getElementById("return-dashboard").classList.remove("hidden")
     
@@ -1027,79 +2510,157 @@ function restoreSavedResponses(surveyId, answers) {
   if (!answers) return
 
   Object.entries(answers).forEach(([questionKey, answer]) => {
-    const questionIndex = questionKey.replace("q", "")
+    const questionDiv = document.querySelector(`.survey-question[data-question-id="${questionKey}"]`)
+    if (!questionDiv) return
+
+    switch (questionDiv.dataset.type) {
+      case "matrix":
+        // One answer per statement row
+        questionDiv.querySelectorAll(".matrix-row").forEach((row, index) => {
+          row.querySelectorAll("input").forEach((input) => {
+            input.checked = Array.isArray(answer) && input.value === answer[index]
+          })
+        })
+        break
 
-    // Handle different input types
-    const radioInputs = document.querySelectorAll(`input[name="${questionKey}"][type="radio"]`)
-    const checkboxInputs = document.querySelectorAll(`input[name="${questionKey}"][type="checkbox"]`)
-    const textInputs = document.querySelectorAll(
-      `input[name="${questionKey}"][type="text"], textarea[name="${questionKey}"]`,
-    )
+      case "ranking": {
+        // Re-append the items in the saved order
+        const list = questionDiv.querySelector(".ranking-list")
+        const items = Array.from(list.querySelectorAll(".ranking-item"))
+        const savedOrder = Array.isArray(answer) ? answer : []
+        savedOrder.forEach((value) => {
+          const item = items.find((rankingItem) => rankingItem.dataset.value === value)
+          if (item) list.appendChild(item)
+        })
+        break
+      }
 
-    if (radioInputs.length > 0) {
-      // Handle radio buttons (including star ratings)
-      radioInputs.forEach((input) => {
-        if (input.value === answer) {
-          input.checked = true
-        }
-      })
-    } else if (checkboxInputs.length > 0) {
-      // Handle checkboxes
-      const selectedValues = answer.split(", ")
-      checkboxInputs.forEach((input) => {
-        if (selectedValues.includes(input.value)) {
-          input.checked = true
+      case "checkbox": {
+        const selectedValues = answer.split(", ")
+        questionDiv.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+          input.checked = selectedValues.includes(input.value)
+        })
+        break
+      }
+
+      default: {
+        // Radio buttons (star ratings and NPS included), otherwise the question's single field
+        const radioInputs = questionDiv.querySelectorAll('input[type="radio"]')
+        if (radioInputs.length > 0) {
+          radioInputs.forEach((input) => {
+            input.checked = input.value === answer
+          })
+        } else {
+          const field = questionDiv.querySelector("textarea, select, input[type='number'], input[type='date']")
+          if (field) field.value = answer
         }
-      })
-    } else if (textInputs.length > 0) {
-      // Handle text inputs and textareas
-      textInputs[0].value = answer
+      }
     }
   })
 }
 
-// Function to save current form data before navigating
-function saveCurrentFormData() {
-  const form = document.querySelector("#available-surveys form")
-  if (!form) return
+// Client copy of utils/questionConditions.js (evaluateCondition/getVisibleQuestionIds); keep the two in sync
+function evaluateCondition(condition, answer) {
+  // An unanswered trigger question never shows its follow-ups
+  if (answer === undefined || answer === null || String(answer).trim() === "") return false
+
+  const value = String(condition.value ?? "")
+  switch (condition.operator) {
+    case "equals":
+      return String(answer) === value
+    case "notEquals":
+      return String(answer) !== value
+    case "contains":
+      return (
+        (Array.isArray(answer) ? answer.map(String) : String(answer).split(", ")).includes(value) ||
+        String(answer).toLowerCase().includes(value.toLowerCase())
+      )
+    case "gte":
+      return Number(answer) >= Number(value)
+    case "lte":
+      return Number(answer) <= Number(value)
+    default:
+      return false
+  }
+}
 
-  const formData = new FormData(form)
-  const answers = new Map()
+function getVisibleQuestionIds(questions, answers) {
+  const visible = new Set()
 
-  // Collect all answers from the form
-  for (const [name, value] of formData.entries()) {
-    if (name.startsWith("q")) {
-      answers.set(name, value)
+  questions.forEach((question) => {
+    const condition = question.condition
+    if (
+      !condition?.questionId ||
+      (visible.has(condition.questionId) && evaluateCondition(condition, answers[condition.questionId]))
+    ) {
+      visible.add(question._id)
     }
-  }
+  })
 
-  // Handle checkbox inputs separately
-  const checkboxGroups = new Map()
-  form.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
-    const name = checkbox.name
-    if (!checkboxGroups.has(name)) {
-      checkboxGroups.set(name, [])
-    }
+  return visible
+}
 
-    if (checkbox.checked) {
-      const values = checkboxGroups.get(name)
-      values.push(checkbox.value)
-      checkboxGroups.set(name, values)
+// Answer of one question block in the format it is submitted in, or null when unanswered.
+// Matrix answers are one option per statement and ranking answers the options in order; both are arrays.
+function getQuestionAnswer(questionDiv) {
+  switch (questionDiv.dataset.type) {
+    case "matrix": {
+      const rows = Array.from(
+        questionDiv.querySelectorAll(".matrix-row"),
+        (row) => row.querySelector("input:checked")?.value ?? null,
+      )
+      return rows.some((value) => value !== null) ? rows : null
     }
-  })
+    case "ranking":
+      return Array.from(questionDiv.querySelectorAll(".ranking-item"), (item) => item.dataset.value)
+    case "checkbox": {
+      const values = Array.from(questionDiv.querySelectorAll("input:checked"), (input) => input.value)
+      return values.length > 0 ? values.join(", ") : null
+    }
+    default: {
+      // Radio, star and NPS answers come from the checked input, the other types from their single field
+      const input = questionDiv.querySelector(
+        "input:checked, textarea, select, input[type='number'], input[type='date']",
+      )
+      const value = input ? input.value.trim() : ""
+      return value !== "" ? value : null
+    }
+  }
+}
 
-  // Add checkbox answers to the answers map
-  checkboxGroups.forEach((values, name) => {
-    if (values.length > 0) {
-      answers.set(name, values)
+// Answers of the questions currently shown in the form, keyed by question ID
+function getFormAnswers(form) {
+  const answers = {}
+  form.querySelectorAll(".survey-question[data-question-id]:not(.hidden)").forEach((questionDiv) => {
+    const answer = getQuestionAnswer(questionDiv)
+    if (answer !== null) {
+      answers[questionDiv.dataset.questionId] = answer
     }
   })
+  return answers
+}
+
+// Hide questions whose display condition isn't met. Their inputs are disabled so they are neither
+// required nor included in the saved answers.
+function updateConditionalQuestions(form) {
+  const visibleQuestionIds = getVisibleQuestionIds(activeSurveyQuestions, getFormAnswers(form))
 
-  // Convert answers Map to regular object
-  const answersObject = {}
-  answers.forEach((value, key) => {
-    answersObject[key] = Array.isArray(value) ? value.join(", ") : value
+  form.querySelectorAll(".survey-question[data-question-id]").forEach((questionDiv) => {
+    const isVisible = visibleQuestionIds.has(questionDiv.dataset.questionId)
+    questionDiv.classList.toggle("hidden", !isVisible)
+    questionDiv.querySelectorAll("input, textarea, select, button").forEach((input) => {
+      input.disabled = !isVisible
+    })
   })
+}
+
+// Function to save current form data before navigating
+function saveCurrentFormData() {
+  const form = document.querySelector("#available-surveys form")
+  if (!form) return
+
+  // Collect all answers from the form
+  const answersObject = getFormAnswers(form)
 
   // Get current survey ID
   const surveyCard = form.closest(".survey-card")
@@ -1183,37 +2744,7 @@ window.submitSurvey = async (event, surveyId) => {
   const savedResponses = JSON.parse(localStorage.getItem("savedSurveyResponses") || "{}")
 
   // Collect current form data
-  const formData = new FormData(form)
-  const currentAnswers = {}
-
-  // Collect all answers from current form
-  for (const [name, value] of formData.entries()) {
-    if (name.startsWith("q")) {
-      currentAnswers[name] = value
-    }
-  }
-
-  // Handle checkbox inputs separately for current form
-  const checkboxGroups = new Map()
-  form.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
-    const name = checkbox.name
-    if (!checkboxGroups.has(name)) {
-      checkboxGroups.set(name, [])
-    }
-
-    if (checkbox.checked) {
-      const values = checkboxGroups.get(name)
-      values.push(checkbox.value)
-      checkboxGroups.set(name, values)
-    }
-  })
-
-  // Add checkbox answers to current answers
-  checkboxGroups.forEach((values, name) => {
-    if (values.length > 0) {
-      currentAnswers[name] = values.join(", ")
-    }
-  })
+  const currentAnswers = getFormAnswers(form)
 
   // Add current survey response to saved responses
   savedResponses[surveyId] = {
@@ -1238,10 +2769,11 @@ window.submitSurvey = async (event, surveyId) => {
       break
     }
 
-    // Check if all questions in this survey are answered
+    // Check if all questions in this survey are answered, skipping the ones hidden by a condition
+    const visibleQuestionIds = getVisibleQuestionIds(survey.questions, surveyResponse.answers)
     for (let j = 0; j < survey.questions.length; j++) {
-      const questionKey = `q${j}`
-      const answer = surveyResponse.answers[questionKey]
+      if (!visibleQuestionIds.has(survey.questions[j]._id)) continue
+      const answer = surveyResponse.answers[survey.questions[j]._id]
 
       // Check if question is answered based on type
       let isAnswered = false
@@ -1250,8 +2782,11 @@ window.submitSurvey = async (event, surveyId) => {
       if (questionType === "checkbox") {
         // For checkbox, it's optional - can be empty
         isAnswered = true
+      } else if (Array.isArray(answer)) {
+        // Matrix answers need every statement answered
+        isAnswered = answer.length > 0 && answer.every((value) => value !== null && value !== "")
       } else {
-        // For all other types (text, radio, star), answer is required
+        // For all other types, answer is required
         isAnswered = answer && answer.toString().trim() !== ""
       }
 
@@ -1306,14 +2841,30 @@ window.submitSurvey = async (event, surveyId) => {
       for (const responseData of allSubmissions) {
         const response = await fetch("/api/responses", {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${currentParticipantToken}` },
           body: JSON.stringify(responseData),
         })
 
         if (!response.ok) {
           const data = await response.json()
-          throw new Error(data.error || "Failed to submit survey")
+          if (response.status === 401) {
+            throw new Error("Your sign-in has expired. Please return to the start and sign in again.")
+          }
+          if (response.status === 422 && data.errors) {
+            await showAnswerErrors(responseData.surveyId, data.errors, availableSurveys)
+            return
+          }
+          // Already answered (e.g. from another browser): nothing to submit for this survey
+          if (!(response.status === 409 && data.alreadySubmitted)) {
+            throw new Error(data.error || "Failed to submit survey")
+          }
         }
+
+        // Drop each accepted response right away so a later failure doesn't resubmit it
+        delete savedResponses[responseData.surveyId]
+        localStorage.setItem("savedSurveyResponses", JSON.stringify(savedResponses))
+        window.submittedSurveys.add(responseData.surveyId)
+        localStorage.setItem("submittedSurveys", JSON.stringify(Array.from(window.submittedSurveys)))
       }
 
       // Clear saved responses and mark all surveys as submitted
@@ -1359,15 +2910,53 @@ window.submitSurvey = async (event, surveyId) => {
   }
 }
 
+// Show the survey the server rejected and highlight the questions it reported, using the same
+// highlight-required styling as the client-side completeness check
+async function showAnswerErrors(surveyId, errors, availableSurveys) {
+  // Make the survey answerable again
+  window.submittedSurveys.delete(surveyId)
+  localStorage.setItem("submittedSurveys", JSON.stringify(Array.from(window.submittedSurveys)))
+
+  const remainingSurveys = availableSurveys.filter(
+    (survey) => survey._id === surveyId || !window.submittedSurveys.has(survey._id),
+  )
+  const surveyIndex = Math.max(
+    remainingSurveys.findIndex((survey) => survey._id === surveyId),
+    0,
+  )
+  localStorage.setItem("activeSurveyIndex", surveyIndex.toString())
+  await loadAvailableSurveys()
+
+  const messages = []
+  let firstQuestion = null
+  errors.forEach((error) => {
+    const question = error.questionId
+      ? document.querySelector(`.survey-question[data-question-id="${error.questionId}"]`)
+      : null
+    if (question) {
+      question.classList.add("highlight-required")
+      firstQuestion = firstQuestion || question
+    }
+    messages.push(error.questionNumber ? `Question ${error.questionNumber}: ${error.message}` : error.message)
+  })
+
+  if (firstQuestion) {
+    firstQuestion.scrollIntoView({ behavior: "smooth", block: "center" })
+  }
+  setTimeout(() => alert(`Please fix the following before submitting:\n${messages.join("\n")}`), 500)
+}
+
 // Add a function to reset the survey
 window.resetSurvey = () => {
   // Clear department and tenure
   localStorage.removeItem("surveyDepartment")
   localStorage.removeItem("surveyTenure")
+  localStorage.removeItem("surveyParticipantToken")
   localStorage.removeItem("activeSurveyIndex")
   localStorage.removeItem("availableSurveysCount")
   currentDepartment = null
   currentTenure = null
+  currentParticipantToken = null
 
   // Clear submitted surveys
   window.submittedSurveys.clear()
@@ -1391,10 +2980,10 @@ function generateSurveyColumns(questions, color) {
 
   return questions
     .map(
-      (question, index) => `
-        <div class="survey-question" data-type="${question.type}" data-question-number="${questionCounter++}">
+      (question) => `
+        <div class="survey-question" data-type="${question.type}" data-question-id="${question._id}" data-question-number="${questionCounter++}">
           <p>${question.text}</p>
-          ${generateQuestionInputs(question, color, index)}
+          ${generateQuestionInputs(question, color)}
         </div>
       `,
     )
@@ -1402,10 +2991,12 @@ function generateSurveyColumns(questions, color) {
 }
 
 // Function to generate question inputs based on type
-function generateQuestionInputs(question, color, index) {
+function generateQuestionInputs(question, color) {
+  const questionId = question._id
+
   switch (question.type) {
     case "text":
-      return `<div class="input-field-container"><textarea name="q${index}" required class="response-input" rows="5" cols="150"></textarea></div>`
+      return `<div class="input-field-container"><textarea name="${questionId}" required class="response-input" rows="5" cols="150"></textarea></div>`
     case "radio":
       return `
         <div class="radio-options-container">
@@ -1415,12 +3006,12 @@ function generateQuestionInputs(question, color, index) {
                 <div class="radio-option">
                   <input 
                     type="radio" 
-                    id="q${index}_${option.replace(/\s+/g, "_")}"
-                    name="q${index}" 
+                    id="${questionId}_${option.replace(/\s+/g, "_")}"
+                    name="${questionId}" 
                     value="${option}"
                     required
                   />
-                  <label for="q${index}_${option.replace(/\s+/g, "_")}">${option}</label>
+                  <label for="${questionId}_${option.replace(/\s+/g, "_")}">${option}</label>
                 </div>
               `,
             )
@@ -1436,24 +3027,117 @@ function generateQuestionInputs(question, color, index) {
                 <div class="checkbox-option">
                   <input 
                     type="checkbox" 
-                    id="q${index}_${option.replace(/\s+/g, "_")}"
-                    name="q${index}" 
+                    id="${questionId}_${option.replace(/\s+/g, "_")}"
+                    name="${questionId}" 
                     value="${option}"
                   />
-                  <label for="q${index}_${option.replace(/\s+/g, "_")}">${option}</label>
+                  <label for="${questionId}_${option.replace(/\s+/g, "_")}">${option}</label>
                 </div>
               `,
             )
             .join("")}
         </div>
       `
+    case "dropdown":
+      return `
+        <div class="input-field-container">
+          <select name="${questionId}" required class="response-input dropdown-input">
+            <option value="">Select an option</option>
+            ${question.options.map((option) => `<option value="${option}">${option}</option>`).join("")}
+          </select>
+        </div>
+      `
+    case "nps":
+      return `
+        <div class="nps-scale">
+          ${Array.from(
+            { length: 11 },
+            (_, score) => `
+              <label class="nps-option">
+                <input type="radio" name="${questionId}" value="${score}" required />
+                <span style="--survey-color: ${color}">${score}</span>
+              </label>
+            `,
+          ).join("")}
+        </div>
+        <div class="nps-labels"><span>Not at all likely</span><span>Extremely likely</span></div>
+      `
+    case "number": {
+      const min = question.min ?? ""
+      const max = question.max ?? ""
+      let range = ""
+      if (min !== "" && max !== "") range = `Between ${min} and ${max}`
+      else if (min !== "") range = `At least ${min}`
+      else if (max !== "") range = `At most ${max}`
+      return `
+        <div class="input-field-container">
+          <input type="number" name="${questionId}" required class="response-input number-input" step="any"
+            ${min !== "" ? `min="${min}"` : ""} ${max !== "" ? `max="${max}"` : ""} />
+          ${range ? `<span class="number-range-hint">${range}</span>` : ""}
+        </div>
+      `
+    }
+    case "date":
+      return `<div class="input-field-container"><input type="date" name="${questionId}" required class="response-input date-input" /></div>`
+    case "matrix":
+      return `
+        <div class="matrix-container">
+          <table class="matrix-table">
+            <thead>
+              <tr>
+                <th></th>
+                ${question.options.map((option) => `<th>${option}</th>`).join("")}
+              </tr>
+            </thead>
+            <tbody>
+              ${question.statements
+                .map(
+                  (statement, row) => `
+                    <tr class="matrix-row">
+                      <td class="matrix-statement">${statement}</td>
+                      ${question.options
+                        .map(
+                          (option) => `
+                            <td>
+                              <input type="radio" name="${questionId}_${row}" value="${option}" aria-label="${statement}: ${option}" required />
+                            </td>
+                          `,
+                        )
+                        .join("")}
+                    </tr>
+                  `,
+                )
+                .join("")}
+            </tbody>
+          </table>
+        </div>
+      `
+    case "ranking":
+      return `
+        <ol class="ranking-list">
+          ${question.options
+            .map(
+              (option) => `
+                <li class="ranking-item" draggable="true" data-value="${option}">
+                  <span class="ranking-label">${option}</span>
+                  <span class="ranking-controls">
+                    <button type="button" onclick="moveRankingItem(this, -1)" aria-label="Move up">▲</button>
+                    <button type="button" onclick="moveRankingItem(this, 1)" aria-label="Move down">▼</button>
+                  </span>
+                </li>
+              `,
+            )
+            .join("")}
+        </ol>
+        <span class="ranking-help">Drag the options (or use the arrows) to put your most preferred first.</span>
+      `
     case "star":
       return `<div class="star-rating">
         ${Array.from({ length: 5 }, (_, i) => i + 1)
           .map(
             (star) => `
             <label>
-              <input type="radio" name="q${index}" value="${star}" style="background-color: ${color}" />
+              <input type="radio" name="${questionId}" value="${star}" style="background-color: ${color}" />
               <i class="fas fa-star"></i>
             </label>
           `,
@@ -1465,6 +3149,52 @@ function generateQuestionInputs(question, color, index) {
   }
 }
 
+// Move a ranking option one place up (-1) or down (1)
+window.moveRankingItem = (button, direction) => {
+  const item = button.closest(".ranking-item")
+  const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling
+  if (!sibling) return
+
+  item.parentElement.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling)
+  item.closest("form")?.dispatchEvent(new Event("change", { bubbles: true }))
+}
+
+// Drag-to-rank: items can only be dropped within their own list
+let draggedRankingItem = null
+
+document.addEventListener("dragstart", (e) => {
+  const item = e.target.closest?.(".ranking-item")
+  if (!item) return
+
+  draggedRankingItem = item
+  item.classList.add("dragging")
+  e.dataTransfer.effectAllowed = "move"
+  e.dataTransfer.setData("text/plain", item.dataset.value)
+})
+
+document.addEventListener("dragover", (e) => {
+  const item = e.target.closest?.(".ranking-item")
+  if (!draggedRankingItem || !item || item.parentElement !== draggedRankingItem.parentElement) return
+
+  e.preventDefault()
+  if (item === draggedRankingItem) return
+  const rect = item.getBoundingClientRect()
+  const insertAfter = e.clientY > rect.top + rect.height / 2
+  item.parentElement.insertBefore(draggedRankingItem, insertAfter ? item.nextElementSibling : item)
+})
+
+document.addEventListener("drop", (e) => {
+  if (draggedRankingItem) e.preventDefault()
+})
+
+document.addEventListener("dragend", () => {
+  if (!draggedRankingItem) return
+
+  draggedRankingItem.classList.remove("dragging")
+  draggedRankingItem.closest("form")?.dispatchEvent(new Event("change", { bubbles: true }))
+  draggedRankingItem = null
+})
+
 // Find the updateAnswerProgress function and replace it with this safer version
 function updateAnswerProgress() {
   const container = document.getElementById("available-surveys")
@@ -1476,27 +3206,10 @@ function updateAnswerProgress() {
   const questionsContainer = surveyCard.querySelector(".survey-questions-container")
   if (!questionsContainer) return
 
-  const questions = questionsContainer.querySelectorAll(".survey-question")
+  const questions = questionsContainer.querySelectorAll(".survey-question:not(.hidden)")
   if (!questions || questions.length === 0) return
 
-  const answeredQuestions = Array.from(questions).filter((q) => {
-    if (!q) return false
-
-    const questionType = q.dataset.type
-
-    if (questionType === "radio") {
-      return q.querySelector('input[type="radio"]:checked') !== null
-    } else if (questionType === "checkbox") {
-      return q.querySelector('input[type="checkbox"]:checked') !== null
-    } else if (questionType === "text") {
-      const textInput = q.querySelector('input[type="text"], textarea')
-      return textInput && textInput.value && textInput.value.trim() !== ""
-    } else if (questionType === "star") {
-      return q.querySelector('input[type="radio"]:checked') !== null
-    }
-
-    return false
-  }).length
+  const answeredQuestions = Array.from(questions).filter((q) => q && getQuestionAnswer(q) !== null).length
 
   const progressContainer = container.querySelector(".answer-progress")
   if (progressContainer) {
@@ -1521,7 +3234,8 @@ function logout() {
   localStorage.removeItem("user")
   localStorage.removeItem("surveyDepartment")
   localStorage.removeItem("surveyTenure")
-  localStorage.removeItem("isAdmin")
+  localStorage.removeItem("surveyParticipantToken")
+  clearAuthTokens()
   localStorage.removeItem("activeSurveyIndex")
 
   // Clear session timeout
@@ -1543,8 +3257,10 @@ function logout() {
 
 // Function to clear survey form
 function clearSurveyForm() {
+  document.getElementById("survey-title").value = ""
   const questionsContainer = document.getElementById("questions-container")
   questionsContainer.innerHTML = ""
+  addQuestion()
 }
 
 // Function to clear all question highlights
@@ -1,9 +1,17 @@
+// Load environment variables before any other module is evaluated
+import "dotenv/config"
+
+// Secrets the server can't work without: refuse to start rather than fail on the first request that needs one
+const missingSecrets = ["JWT_SECRET", "PARTICIPATION_SECRET"].filter((name) => !process.env[name])
+if (missingSecrets.length > 0) {
+  console.error(`Missing required environment variables: ${missingSecrets.join(", ")} (see .env.example)`)
+  process.exit(1)
+}
+
 import express from "express"
 import mongoose from "mongoose"
-import dotenv from "dotenv"
 import path from "path"
 import bcrypt from "bcryptjs"
-import { Parser } from "json2csv"
 import { fileURLToPath } from "url"
 import { dirname } from "path"
 import fs from "fs"
@@ -13,29 +21,58 @@ import nodemailer from "nodemailer"
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
-const tempDir = path.join(__dirname, "temp")
-if (!fs.existsSync(tempDir)) {
-  fs.mkdirSync(tempDir, { recursive: true })
-}
-
-// Load environment variables
-dotenv.config()
-
 // Import models with .js extension
-import User from "./server/models/user.model.js"
-import Survey from "./server/models/survey.model.js"
+import User, { PERMISSIONS } from "./server/models/user.model.js"
+import Survey, { SURVEY_STATUSES, OPTION_QUESTION_TYPES, normalizeAnswerKeys } from "./server/models/survey.model.js"
 import Response from "./server/models/response.model.js"
+import SurveySeries from "./server/models/surveySeries.model.js"
+import SurveyTemplate from "./server/models/surveyTemplate.model.js"
+import Headcount from "./server/models/headcount.model.js"
 import ReportGenerator from "./utils/reportGenerator.js"
+import TrendReportGenerator from "./utils/trendReport.js"
+import { MONGODB_URI } from "./server/config/db.config.js"
+import { validateAnswers } from "./utils/responseValidator.js"
+import { validateConditions } from "./utils/questionConditions.js"
+import { sanitizeScale } from "./utils/questionScale.js"
+import {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_LAYOUTS,
+  writeCodebook,
+  writeExport,
+} from "./utils/responseExport.js"
+import { planImport, readCSV, skipExisting, summarizeImport } from "./utils/responseImport.js"
+import { toDefinition, toBuilderQuestions, parseDefinition } from "./utils/surveyDefinitions.js"
+import { BUILT_IN_TEMPLATES } from "./utils/surveyTemplates.js"
+import { parseResponseFilters, toResponseMatch, describeResponseFilters } from "./utils/responseFilters.js"
+import { describeAnonymity, getAnonymityThreshold, getGroupLabels } from "./utils/anonymity.js"
+import { countEmployees } from "./utils/responseRates.js"
+import { claimParticipation, releaseParticipation } from "./utils/participation.js"
+import {
+  issueTokens,
+  issueParticipantToken,
+  verifyToken,
+  revokeToken,
+  getBearerToken,
+  authenticate,
+  requireRole,
+  requireAdmin,
+  requireEmployee,
+  requirePermission,
+  getDepartmentScope,
+} from "./server/middleware/auth.middleware.js"
 
 const app = express()
 
 // Middleware
 app.use(express.json())
 app.use(express.static("public"))
+// Chart.js for the results dashboard, served from the installed package so the browser needs no internet access
+app.use("/vendor/chart.js", express.static(path.join(__dirname, "node_modules/chart.js/dist")))
 
 // Database connection
 mongoose
-  .connect("mongodb://mongodb:27017/survey_app", {
+  .connect(MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
@@ -78,6 +115,13 @@ mongoose
       console.error("Error checking/dropping index:", error)
     }
 
+    // Surveys created before the lifecycle existed were live, so treat them as open
+    try {
+      await Survey.updateMany({ status: { $exists: false } }, { $set: { status: "open" }, $unset: { active: "" } })
+    } catch (error) {
+      console.error("Error migrating survey statuses:", error)
+    }
+
     // Create admin user if it doesn't exist
     try {
       const adminExists = await User.findOne({ username: "admin" })
@@ -96,9 +140,14 @@ mongoose
           emailVerificationOTP: null,
           otpExpires: null,
           tenure: "5+ years", // This value matches the enum in the schema
+          permissions: ["super-admin"],
         })
         await adminUser.save()
         console.log("Admin user created successfully with hashed password:", hashedPassword)
+      } else if (adminExists.permissions.length === 0) {
+        // The bootstrap admin predates permissions; keep it able to manage everything
+        adminExists.permissions = ["super-admin"]
+        await adminExists.save()
       }
     } catch (error) {
       console.error("Error creating admin user:", error)
@@ -107,87 +156,6 @@ mongoose
   .catch((err) => console.error("MongoDB connection error:", err))
 
 // Add after your imports and before routes
-// Update the generateCSV function to handle star ratings
-async function generateCSV(csvPath) {
-  try {
-    const responses = await Response.find()
-      .populate({
-        path: "surveyId",
-        select: "title questions department",
-      })
-      .lean()
-
-    // Create a map of usernames to user data for efficient lookup
-    const userMap = new Map()
-    const usernames = [...new Set(responses.map((r) => r.userId))]
-
-    // Fetch all users whose usernames are in our responses
-    const users = await User.find({ username: { $in: usernames } }).lean()
-
-    // Create a map for quick lookup
-    users.forEach((user) => {
-      userMap.set(user.username, user)
-    })
-
-    const formattedData = responses.map((response) => {
-      // Look up the user by username
-      const user = userMap.get(response.userId)
-
-      const baseData = {
-        "Survey Title": response.surveyId?.title || "Unknown Survey",
-        Department: response.department || "Unknown Department",
-        Tenure: user?.tenure || "Unknown Tenure",
-        "Submission Date": new Date(response.timestamp).toLocaleDateString(),
-        "Submission Time": new Date(response.timestamp).toLocaleTimeString("en-US", {
-          timeZone: "Asia/Kolkata",
-          hour12: true,
-          hour: "2-digit",
-          minute: "2-digit",
-          second: "2-digit",
-        }),
-      }
-
-      if (response.surveyId?.questions) {
-        response.surveyId.questions.forEach((question, index) => {
-          const questionKey = `Question ${index + 1}`
-          const answerKey = `Answer ${index + 1}`
-          baseData[questionKey] = question.text
-          // For star rating, show the number of stars (1-5)
-          if (question.type === "star") {
-            baseData[answerKey] = `${response.answers[`q${index}`]} stars`
-          } else {
-            baseData[answerKey] = response.answers[`q${index}`] || "No answer"
-          }
-        })
-      }
-
-      return baseData
-    })
-
-    const fields = ["Survey Title", "Department", "Tenure", "Submission Date", "Submission Time"]
-
-    const maxQuestions = Math.max(...responses.map((r) => r.surveyId?.questions?.length || 0))
-
-    for (let i = 1; i <= maxQuestions; i++) {
-      fields.push(`Question ${i}`, `Answer ${i}`)
-    }
-
-    const json2csvParser = new Parser({
-      fields,
-      excelStrings: true,
-      header: true,
-    })
-
-    const csv = json2csvParser.parse(formattedData)
-    await fs.promises.writeFile(csvPath, csv)
-
-    return csvPath
-  } catch (error) {
-    console.error("Generate CSV error:", error)
-    throw error
-  }
-}
-
 // Auth Routes
 // Generate OTP function
 function generateOTP() {
@@ -241,14 +209,14 @@ app.post("/api/signup", async (req, res) => {
 app.post("/api/login", async (req, res) => {
   try {
     const { username, password } = req.body
-
-    // Only allow admin login
-    if (username.toLowerCase() !== "admin") {
+    // Anything but a string (e.g. {"$regex": ".*"}) would become a query operator
+    if (typeof username !== "string" || typeof password !== "string") {
       return res.status(401).json({ error: "Invalid credentials" })
     }
 
-    const user = await User.findOne({ username: "admin" })
-    if (!user) {
+    // Only admin accounts can sign in
+    const user = await User.findOne({ username, role: "admin" })
+    if (!user || user.disabled) {
       return res.status(401).json({ error: "Invalid credentials" })
     }
 
@@ -258,6 +226,8 @@ app.post("/api/login", async (req, res) => {
       return res.status(401).json({ error: "Invalid credentials" })
     }
 
+    const { accessToken, refreshToken } = issueTokens(user)
+
     res.json({
       user: {
         username,
@@ -265,13 +235,35 @@ app.post("/api/login", async (req, res) => {
         department: user.department,
         tenure: user.tenure,
         email: user.email,
+        permissions: user.permissions,
       },
+      accessToken,
+      refreshToken,
     })
   } catch (error) {
     res.status(400).json({ error: error.message })
   }
 })
 
+// Employees sign in to answer surveys. Unknown usernames, wrong passwords and other accounts get the same answer.
+app.post("/api/employee-login", async (req, res) => {
+  try {
+    const { username, password } = req.body
+    if (typeof username !== "string" || typeof password !== "string") {
+      return res.status(401).json({ error: "Invalid credentials" })
+    }
+
+    const user = await User.findOne({ username, role: "employee" })
+    if (!user || user.disabled || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ error: "Invalid credentials" })
+    }
+
+    res.json({ participantToken: issueParticipantToken(user) })
+  } catch (error) {
+    res.status(500).json({ error: "Failed to sign in" })
+  }
+})
+
 // Add email verification endpoint
 app.post("/api/verify-email", async (req, res) => {
   try {
@@ -314,25 +306,220 @@ app.get("/api/departments", async (req, res) => {
   }
 })
 
-// Survey Routes
-// Update the POST /api/surveys route to validate star rating questions
-app.post("/api/surveys", async (req, res) => {
+// Admin user management (super-admins only)
+function serializeAdmin(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    department: user.department,
+    permissions: user.permissions,
+    disabled: user.disabled,
+  }
+}
+
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.some((p) => !PERMISSIONS.includes(p))) {
+    throw new Error(`Permissions must be a list of: ${PERMISSIONS.join(", ")}`)
+  }
+}
+
+app.get("/api/admin/users", requirePermission("super-admin"), async (req, res) => {
   try {
-    const surveyData = req.body
+    const admins = await User.find({ role: "admin" }).sort({ username: 1 })
+    res.json(admins.map(serializeAdmin))
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch admin users" })
+  }
+})
+
+app.post("/api/admin/users", requirePermission("super-admin"), async (req, res) => {
+  try {
+    const { username, password, email, department, employeeId, tenure, permissions = [] } = req.body
+
+    if (!username || !password) {
+      return res.status(400).json({ error: "Username and password are required" })
+    }
+    validatePermissions(permissions)
+
+    if (await User.exists({ username })) {
+      return res.status(400).json({ error: "Username already taken" })
+    }
+    if (await User.exists({ employeeId })) {
+      return res.status(400).json({ error: "Employee ID already registered" })
+    }
 
-    // Validate questions
-    surveyData.questions.forEach((question) => {
-      if (question.type === "star") {
-        delete question.options
+    const user = new User({
+      username,
+      password: await bcrypt.hash(password, 10),
+      role: "admin",
+      department,
+      employeeId,
+      email,
+      tenure,
+      permissions,
+      isEmailVerified: true,
+    })
+    await user.save()
+
+    res.status(201).json({ success: true, user: serializeAdmin(user) })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Update permissions, department or password, or disable/enable an admin
+app.patch("/api/admin/users/:id", requirePermission("super-admin"), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, role: "admin" })
+    if (!user) {
+      return res.status(404).json({ error: "Admin user not found" })
+    }
+
+    const { permissions, department, disabled, password } = req.body
+    const isSelf = user._id.equals(req.user._id)
+
+    // Guard against super-admins locking themselves out
+    if (isSelf && (disabled === true || (permissions && !permissions.includes("super-admin")))) {
+      return res.status(400).json({ error: "You cannot disable yourself or remove your own super-admin permission" })
+    }
+
+    if (permissions !== undefined) {
+      validatePermissions(permissions)
+      user.permissions = permissions
+    }
+    if (department !== undefined) user.department = department
+    if (disabled !== undefined) user.disabled = Boolean(disabled)
+    if (password) user.password = await bcrypt.hash(password, 10)
+
+    await user.save()
+    res.json({ success: true, user: serializeAdmin(user) })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Department headcounts, the denominators of the response rates in every report (super-admins maintain them)
+
+// Throws when a headcount or its tenure breakdown isn't made of non-negative whole numbers adding up to the total
+function validateHeadcount(headcount, tenures) {
+  const isCount = (value) => Number.isInteger(value) && value >= 0
+  if (!isCount(headcount)) {
+    throw new Error("Headcount must be a whole number of 0 or more")
+  }
+  if (!Array.isArray(tenures)) {
+    throw new Error("tenures must be a list of { tenure, headcount }")
+  }
+
+  const names = tenures.map((entry) => (typeof entry?.tenure === "string" ? entry.tenure.trim() : ""))
+  if (names.some((name) => !name) || new Set(names).size !== names.length) {
+    throw new Error("Every tenure group needs a different name")
+  }
+  if (!tenures.every((entry) => isCount(entry.headcount))) {
+    throw new Error("Tenure headcounts must be whole numbers of 0 or more")
+  }
+  if (tenures.length > 0 && tenures.reduce((sum, entry) => sum + entry.headcount, 0) !== headcount) {
+    throw new Error("Tenure headcounts must add up to the department headcount")
+  }
+}
+
+app.get("/api/headcounts", requireAdmin, async (req, res) => {
+  try {
+    const headcounts = await Headcount.find({}).sort({ department: 1 }).lean()
+    res.json(headcounts)
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch headcounts" })
+  }
+})
+
+// Set a department's headcount by hand ({ headcount, tenures }); tenures is optional
+app.put("/api/headcounts/:department", requirePermission("super-admin"), async (req, res) => {
+  try {
+    const { headcount, tenures = [] } = req.body
+    validateHeadcount(headcount, tenures)
+
+    const record = await Headcount.findOneAndUpdate(
+      { department: req.params.department.trim() },
+      {
+        $set: {
+          headcount,
+          tenures: tenures.map((entry) => ({ tenure: entry.tenure.trim(), headcount: entry.headcount })),
+          source: "manual",
+          updatedAt: new Date(),
+        },
+      },
+      { new: true, upsert: true, runValidators: true },
+    )
+    res.json({ success: true, headcount: record })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+app.delete("/api/headcounts/:department", requirePermission("super-admin"), async (req, res) => {
+  try {
+    const record = await Headcount.findOneAndDelete({ department: req.params.department })
+    if (!record) {
+      return res.status(404).json({ error: "No headcount set for this department" })
+    }
+
+    res.json({ success: true, message: "Headcount deleted successfully" })
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete headcount" })
+  }
+})
+
+// Count the active employee accounts per department and tenure. Headcounts entered by hand are kept
+// unless { overwrite: true }; derived ones of departments without employees are removed.
+app.post("/api/headcounts/derive", requirePermission("super-admin"), async (req, res) => {
+  try {
+    const overwrite = req.body.overwrite === true
+    const manual = new Set(await Headcount.find({ source: "manual" }).distinct("department"))
+    const departments = await countEmployees()
+    const updated = []
+    const skipped = []
+
+    for (const employees of departments) {
+      if (manual.has(employees.department) && !overwrite) {
+        skipped.push(employees.department)
+        continue
       }
+      await Headcount.findOneAndUpdate(
+        { department: employees.department },
+        { $set: { ...employees, source: "users", updatedAt: new Date() } },
+        { upsert: true, runValidators: true },
+      )
+      updated.push(employees.department)
+    }
+    // Derived headcounts of departments that no longer have any active employees
+    const { deletedCount } = await Headcount.deleteMany({
+      source: "users",
+      department: { $nin: departments.map((employees) => employees.department) },
     })
 
+    res.json({ success: true, updated, skipped, removed: deletedCount })
+  } catch (error) {
+    console.error("Headcount derivation error:", error)
+    res.status(500).json({ error: "Failed to derive headcounts" })
+  }
+})
+
+// Survey Routes
+// Update the POST /api/surveys route to validate star rating questions
+app.post("/api/surveys", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const surveyData = req.body
+
     const survey = new Survey({
       title: surveyData.title,
       department: surveyData.isAllDepartments ? "all" : surveyData.department,
-      questions: surveyData.questions,
+      questions: sanitizeQuestions(surveyData.questions),
       isAllDepartments: surveyData.isAllDepartments,
       color: surveyData.color || "#253074",
+      // New surveys start as drafts unless the builder publishes or schedules them straight away
+      status: ["draft", "scheduled", "open"].includes(surveyData.status) ? surveyData.status : "draft",
+      opensAt: surveyData.opensAt || null,
+      closesAt: surveyData.closesAt || null,
     })
 
     await survey.save()
@@ -343,8 +530,10 @@ app.post("/api/surveys", async (req, res) => {
   }
 })
 
-app.get("/api/surveys/all", async (req, res) => {
+// Every survey in every state, for the admin panel
+app.get("/api/surveys/all", requireAdmin, async (req, res) => {
   try {
+    await Survey.syncScheduledStatuses()
     const surveys = await Survey.find({})
     res.json(surveys)
   } catch (error) {
@@ -352,9 +541,12 @@ app.get("/api/surveys/all", async (req, res) => {
   }
 })
 
+// Surveys employees of a department can currently answer
 app.get("/api/surveys/:department", async (req, res) => {
   try {
+    await Survey.syncScheduledStatuses()
     const query = {
+      status: "open",
       $or: [{ department: req.params.department }, { isAllDepartments: true }],
     }
     const surveys = await Survey.find(query)
@@ -364,8 +556,164 @@ app.get("/api/surveys/:department", async (req, res) => {
   }
 })
 
+// Normalise questions sent by the survey builder. Existing questions keep their _id (their stable ID),
+// new ones get one here so display conditions can refer to them.
+function sanitizeQuestions(questions) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw new Error("A survey needs at least one question")
+  }
+
+  const ids = new Set()
+  const sanitizedQuestions = questions.map((question, index) => {
+    const { _id, text, type, options, statements, min, max } = question
+    const sanitized = { text, type }
+
+    if (OPTION_QUESTION_TYPES.includes(type)) {
+      if (!Array.isArray(options) || options.length < 2) {
+        throw new Error(`Question ${index + 1}: at least 2 options are required`)
+      }
+      sanitized.options = options
+    }
+    if (type === "matrix") {
+      if (!Array.isArray(statements) || statements.length === 0) {
+        throw new Error(`Question ${index + 1}: a matrix needs at least one statement`)
+      }
+      sanitized.statements = statements
+    }
+    if (type === "number") {
+      sanitized.min = min === undefined || min === null || min === "" ? null : Number(min)
+      sanitized.max = max === undefined || max === null || max === "" ? null : Number(max)
+      if (Number.isNaN(sanitized.min) || Number.isNaN(sanitized.max)) {
+        throw new Error(`Question ${index + 1}: minimum and maximum must be numbers`)
+      }
+      if (sanitized.min !== null && sanitized.max !== null && sanitized.min >= sanitized.max) {
+        throw new Error(`Question ${index + 1}: the minimum must be below the maximum`)
+      }
+    }
+    const scale = sanitizeScale(question, index)
+    if (scale) {
+      sanitized.scale = scale
+    }
+
+    if (_id && (!mongoose.isValidObjectId(_id) || ids.has(String(_id)))) {
+      throw new Error(`Invalid question ID: ${_id}`)
+    }
+    sanitized._id = _id ? String(_id) : new mongoose.Types.ObjectId().toString()
+    ids.add(sanitized._id)
+
+    return sanitized
+  })
+
+  // The builder refers to the trigger question by position (questionIndex) since new questions have no ID yet
+  questions.forEach((question, index) => {
+    const condition = question.condition
+    if (!condition) return
+
+    const trigger =
+      condition.questionIndex !== undefined
+        ? sanitizedQuestions[condition.questionIndex]
+        : { _id: condition.questionId }
+    if (!trigger?._id) {
+      throw new Error(`Question ${index + 1}: condition refers to an unknown question`)
+    }
+
+    sanitizedQuestions[index].condition = {
+      questionId: String(trigger._id),
+      operator: condition.operator,
+      value: condition.value === undefined ? "" : String(condition.value),
+    }
+  })
+
+  validateConditions(sanitizedQuestions)
+  return sanitizedQuestions
+}
+
+// Edit a survey. PUT replaces every editable field, PATCH only the fields supplied.
+// Changing the questions archives the previous set as a new version; the lifecycle is changed via /transition.
+async function updateSurvey(req, res) {
+  try {
+    const survey = await Survey.findById(req.params.id)
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+    if (survey.status === "archived") {
+      return res.status(409).json({ error: "Archived surveys cannot be edited" })
+    }
+
+    const updates = req.body
+    if (req.method === "PUT" && (!updates.title || !updates.questions)) {
+      return res.status(400).json({ error: "Title and questions are required" })
+    }
+
+    if (updates.title !== undefined) survey.title = updates.title
+    if (updates.color !== undefined) survey.color = updates.color || "#253074"
+    if (updates.isAllDepartments !== undefined || updates.department !== undefined) {
+      const isAllDepartments = updates.isAllDepartments ?? survey.isAllDepartments
+      survey.isAllDepartments = isAllDepartments
+      survey.department = isAllDepartments ? "all" : updates.department || survey.department
+    }
+    if (updates.opensAt !== undefined) survey.opensAt = updates.opensAt || null
+    if (updates.closesAt !== undefined) survey.closesAt = updates.closesAt || null
+    if (updates.questions !== undefined) {
+      survey.updateQuestions(sanitizeQuestions(updates.questions))
+    }
+
+    await survey.save()
+    res.json({ success: true, survey })
+  } catch (error) {
+    console.error("Survey update error:", error)
+    res.status(400).json({ error: error.message })
+  }
+}
+
+app.put("/api/surveys/:id", requirePermission("survey-author"), updateSurvey)
+app.patch("/api/surveys/:id", requirePermission("survey-author"), updateSurvey)
+
+// Move a survey through its lifecycle, e.g. publish a draft, schedule it, close or archive it
+app.post("/api/surveys/:id/transition", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const { status, opensAt, closesAt } = req.body
+
+    if (!SURVEY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${SURVEY_STATUSES.join(", ")}` })
+    }
+
+    await Survey.syncScheduledStatuses()
+    const survey = await Survey.findById(req.params.id)
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    if (!survey.canTransitionTo(status)) {
+      return res.status(409).json({ error: `Cannot move a ${survey.status} survey to ${status}` })
+    }
+
+    if (opensAt !== undefined) survey.opensAt = opensAt || null
+    if (closesAt !== undefined) survey.closesAt = closesAt || null
+
+    if (status === "scheduled" && (!survey.opensAt || survey.opensAt <= new Date())) {
+      return res.status(400).json({ error: "Scheduled surveys need an open date in the future" })
+    }
+    if (status === "open") {
+      // Opening now replaces any schedule; a close date in the past would close it again immediately
+      survey.opensAt = new Date()
+      if (survey.closesAt && survey.closesAt <= survey.opensAt) {
+        survey.closesAt = null
+      }
+    }
+
+    survey.status = status
+    await survey.save()
+
+    res.json({ success: true, survey })
+  } catch (error) {
+    console.error("Survey transition error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
 // Add this with your other survey routes
-app.delete("/api/surveys/:id", async (req, res) => {
+app.delete("/api/surveys/:id", requirePermission("survey-author"), async (req, res) => {
   try {
     const surveyId = req.params.id
 
@@ -386,30 +734,359 @@ app.delete("/api/surveys/:id", async (req, res) => {
   }
 })
 
+// Copies, templates and definition files all become new drafts, edited and published like any other survey
+function createDraftSurvey({ title, department, isAllDepartments, color, questions }) {
+  return new Survey({
+    title,
+    department: isAllDepartments ? "all" : department,
+    isAllDepartments: isAllDepartments === true,
+    color: color || "#253074",
+    questions: sanitizeQuestions(questions),
+    status: "draft",
+  })
+}
+
+// Copy a survey's current questions and settings into a new draft. Unlike a series wave the copy is a survey of
+// its own, so its questions get new IDs.
+app.post("/api/surveys/:id/clone", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const original = await Survey.findById(req.params.id).lean()
+    if (!original) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const survey = createDraftSurvey({
+      ...original,
+      title: req.body.title || `${original.title} (Copy)`,
+      questions: toBuilderQuestions(original.questions),
+    })
+    await survey.save()
+    res.json({ success: true, survey })
+  } catch (error) {
+    console.error("Survey clone error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Download a survey's definition file, to import it in another environment
+app.get("/api/surveys/:id/definition", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const survey = await Survey.findById(req.params.id).lean()
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="survey_definition_${survey._id}.json"`)
+    res.json(toDefinition(survey))
+  } catch (error) {
+    console.error("Survey definition error:", error)
+    res.status(500).json({ error: "Failed to export survey definition" })
+  }
+})
+
+// Create a draft from a definition file (the JSON body). Like a copy, the new survey's questions get new IDs, so
+// the same definition can be imported more than once.
+app.post("/api/surveys/import", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const { definition, error } = parseDefinition(req.body)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const survey = createDraftSurvey({ ...definition, questions: toBuilderQuestions(definition.questions) })
+    await survey.save()
+    res.json({ success: true, survey })
+  } catch (error) {
+    console.error("Survey definition import error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Survey templates: the built-in ones and those saved from a survey, with questions in the builder's format
+
+function serializeTemplate(template) {
+  return {
+    _id: String(template._id),
+    name: template.name,
+    description: template.description,
+    builtIn: false,
+    createdAt: template.createdAt,
+    questions: toBuilderQuestions(template.questions),
+  }
+}
+
+async function findTemplate(id) {
+  const builtIn = BUILT_IN_TEMPLATES.find((template) => template._id === id)
+  if (builtIn) return builtIn
+  if (!mongoose.isValidObjectId(id)) return null
+
+  const template = await SurveyTemplate.findById(id).lean()
+  return template && serializeTemplate(template)
+}
+
+// Built-in templates first, then saved ones, newest first
+app.get("/api/templates", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const templates = await SurveyTemplate.find({}).sort({ createdAt: -1 }).lean()
+    res.json([...BUILT_IN_TEMPLATES, ...templates.map(serializeTemplate)])
+  } catch (error) {
+    console.error("Template list error:", error)
+    res.status(500).json({ error: "Failed to fetch templates" })
+  }
+})
+
+// Save a survey's current questions as a template ({ surveyId, name, description })
+app.post("/api/templates", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const { surveyId, name, description } = req.body
+    const survey = surveyId ? await Survey.findById(surveyId).lean() : null
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const template = new SurveyTemplate({
+      name: name || survey.title,
+      description,
+      questions: survey.questions,
+    })
+    await template.save()
+    res.json({ success: true, template: serializeTemplate(template) })
+  } catch (error) {
+    console.error("Template creation error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Start a draft from a template ({ title, department, isAllDepartments, color }; the title defaults to its name)
+app.post("/api/templates/:id/surveys", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id)
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" })
+    }
+
+    const survey = createDraftSurvey({
+      ...req.body,
+      title: req.body.title || template.name,
+      questions: template.questions,
+    })
+    await survey.save()
+    res.json({ success: true, survey })
+  } catch (error) {
+    console.error("Template survey error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Delete a saved template; surveys created from it are kept. Built-in templates can't be deleted.
+app.delete("/api/templates/:id", requirePermission("survey-author"), async (req, res) => {
+  try {
+    if (BUILT_IN_TEMPLATES.some((template) => template._id === req.params.id)) {
+      return res.status(409).json({ error: "Built-in templates cannot be deleted" })
+    }
+
+    const template = mongoose.isValidObjectId(req.params.id)
+      ? await SurveyTemplate.findByIdAndDelete(req.params.id)
+      : null
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" })
+    }
+
+    res.json({ success: true, message: "Template deleted successfully" })
+  } catch (error) {
+    console.error("Template deletion error:", error)
+    res.status(500).json({ error: "Failed to delete template" })
+  }
+})
+
+// Survey series: waves of the same questionnaire, followed over time by the trend report
+
+// Every series with its waves in order
+app.get("/api/series", requireAdmin, async (req, res) => {
+  try {
+    const series = await SurveySeries.find({}).sort({ createdAt: -1 }).lean()
+    const waves = await Survey.find({ series: { $ne: null } })
+      .select("title status series wave opensAt closesAt")
+      .sort({ wave: 1 })
+      .lean()
+    res.json(series.map((item) => ({ ...item, waves: waves.filter((wave) => wave.series.equals(item._id)) })))
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch survey series" })
+  }
+})
+
+// Create a series, optionally from existing surveys (surveyIds, first wave first)
+app.post("/api/series", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const { name, description, surveyIds = [] } = req.body
+    if (
+      !Array.isArray(surveyIds) ||
+      surveyIds.some((id) => !mongoose.isValidObjectId(id)) ||
+      new Set(surveyIds.map(String)).size !== surveyIds.length
+    ) {
+      return res.status(400).json({ error: "surveyIds must be a list of different survey IDs" })
+    }
+
+    const surveys = await Survey.find({ _id: { $in: surveyIds } })
+    if (surveys.length !== surveyIds.length) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+    if (surveys.some((survey) => survey.series)) {
+      return res.status(409).json({ error: "A survey can only belong to one series" })
+    }
+
+    const series = new SurveySeries({ name, description })
+    await series.save()
+    for (const [index, surveyId] of surveyIds.entries()) {
+      await Survey.updateOne({ _id: surveyId }, { $set: { series: series._id, wave: index + 1 } })
+    }
+
+    res.json({ success: true, series })
+  } catch (error) {
+    console.error("Series creation error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Add the next wave: an existing survey ({ surveyId }), or without one a draft copy of the latest wave.
+// Copies keep the question IDs, so the trend report keeps following a question when its wording is edited.
+app.post("/api/series/:id/waves", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const series = await SurveySeries.findById(req.params.id)
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" })
+    }
+
+    const latest = await Survey.findOne({ series: series._id }).sort({ wave: -1 })
+    const wave = latest ? latest.wave + 1 : 1
+
+    let survey
+    if (req.body.surveyId) {
+      survey = await Survey.findById(req.body.surveyId)
+      if (!survey) {
+        return res.status(404).json({ error: "Survey not found" })
+      }
+      if (survey.series) {
+        return res.status(409).json({ error: "A survey can only belong to one series" })
+      }
+      survey.series = series._id
+      survey.wave = wave
+    } else {
+      if (!latest) {
+        return res.status(400).json({ error: "Add an existing survey as the first wave" })
+      }
+      survey = new Survey({
+        title: `${series.name} - Wave ${wave}`,
+        department: latest.department,
+        isAllDepartments: latest.isAllDepartments,
+        color: latest.color,
+        questions: latest.questions.map((question) => question.toObject()),
+        series: series._id,
+        wave,
+      })
+    }
+
+    await survey.save()
+    res.json({ success: true, survey })
+  } catch (error) {
+    console.error("Series wave error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Take a survey out of its series; the other waves keep their numbers
+app.delete("/api/series/:id/waves/:surveyId", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const survey = await Survey.findOneAndUpdate(
+      { _id: req.params.surveyId, series: req.params.id },
+      { $set: { series: null, wave: null } },
+      { new: true },
+    )
+    if (!survey) {
+      return res.status(404).json({ error: "Survey is not a wave of this series" })
+    }
+
+    res.json({ success: true, survey })
+  } catch (error) {
+    console.error("Series wave removal error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Delete a series; its surveys and their responses are kept
+app.delete("/api/series/:id", requirePermission("survey-author"), async (req, res) => {
+  try {
+    const series = await SurveySeries.findByIdAndDelete(req.params.id)
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" })
+    }
+
+    await Survey.updateMany({ series: series._id }, { $set: { series: null, wave: null } })
+    res.json({ success: true, message: "Series deleted successfully" })
+  } catch (error) {
+    console.error("Delete series error:", error)
+    res.status(500).json({ error: "Failed to delete series" })
+  }
+})
+
 // Response Routes
-app.post("/api/responses", async (req, res) => {
+app.post("/api/responses", requireEmployee, async (req, res) => {
   try {
     // Extract data from request
     const { surveyId, userId, department, tenure, answers } = req.body
 
+    // Only open surveys accept submissions
+    await Survey.syncScheduledStatuses()
+    const survey = await Survey.findById(surveyId)
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+    if (survey.status !== "open") {
+      const reason = survey.status === "scheduled" || survey.status === "draft" ? "is not open yet" : "has closed"
+      return res.status(409).json({ error: `"${survey.title}" ${reason} and is not accepting responses` })
+    }
+
+    // Answers are keyed by question ID; older clients may still send q0, q1, ...
+    const validation = validateAnswers(survey.questions, normalizeAnswerKeys(survey.questions, answers))
+    if (validation.errors.length > 0) {
+      return res.status(422).json({
+        error: `Some answers in "${survey.title}" are invalid`,
+        surveyId: survey._id,
+        errors: validation.errors,
+      })
+    }
+
     // Create response object
     const response = new Response({
       surveyId,
       userId,
       department,
-      answers,
+      answers: validation.answers,
       // Add tenure to the response
       tenure,
+      surveyVersion: survey.version,
     })
 
-    await response.save()
+    // One response per signed-in employee per survey. Their employee ID is only kept as a keyed hash in a separate
+    // collection and never stored on the response.
+    if (!(await claimParticipation(survey._id, req.user.employeeId))) {
+      return res.status(409).json({ error: `You have already submitted "${survey.title}"`, alreadySubmitted: true })
+    }
+
+    try {
+      await response.save()
+    } catch (error) {
+      await releaseParticipation(survey._id, req.user.employeeId)
+      throw error
+    }
+
     res.json(response)
   } catch (error) {
     res.status(400).json({ error: error.message })
   }
 })
 
-app.get("/api/responses/user/:username", async (req, res) => {
+app.get("/api/responses/user/:username", requirePermission("exporter"), async (req, res) => {
   try {
     const responses = await Response.find({ userId: req.params.username })
     res.json(responses)
@@ -418,70 +1095,185 @@ app.get("/api/responses/user/:username", async (req, res) => {
   }
 })
 
-// Also update the /api/responses/export endpoint to use the same logic
-app.get("/api/responses/export", async (req, res) => {
-  try {
-    // First, get all responses
-    const responses = await Response.find()
-      .populate({
-        path: "surveyId",
-        select: "title questions department",
-      })
-      .lean()
-
-    const formattedData = responses.map((response) => {
-      const baseData = {
-        "Survey Title": response.surveyId?.title || "Unknown Survey",
-        Department: response.department || "Unknown Department",
-        Tenure: response.tenure || "Unknown Tenure",
-        "Submission Date": new Date(response.timestamp).toLocaleDateString(),
-        "Submission Time": new Date(response.timestamp).toLocaleTimeString("en-US", {
-          timeZone: "Asia/Kolkata",
-          hour12: true,
-          hour: "2-digit",
-          minute: "2-digit",
-          second: "2-digit",
-        }),
-      }
+// Format, layout and filters of an export request. Returns { format, layout, match } or { status, error }.
+function parseExportQuery(req) {
+  const { format = "csv", layout = "wide" } = req.query
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { status: 400, error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` }
+  }
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    return { status: 400, error: `layout must be one of: ${EXPORT_LAYOUTS.join(", ")}` }
+  }
 
-      // Add each question and its corresponding answer
-      if (response.surveyId?.questions) {
-        response.surveyId.questions.forEach((question, index) => {
-          const questionKey = `Question ${index + 1}`
-          const answerKey = `Answer ${index + 1}`
-          baseData[questionKey] = question.text
-          baseData[answerKey] = response.answers[`q${index}`] || "No answer"
-        })
-      }
+  // Department viewers only get responses from their own department
+  const scope = getDepartmentScope(req.user)
+  if (scope && req.query.department && req.query.department !== scope) {
+    return { status: 403, error: "You can only export responses from your own department" }
+  }
 
-      return baseData
-    })
+  const { filters, error } = parseResponseFilters({ ...req.query, department: scope || req.query.department })
+  if (error) {
+    return { status: 400, error }
+  }
 
-    const fields = ["Survey Title", "Department", "Tenure", "Submission Date", "Submission Time"]
+  // Responses submitted while the export runs are left out, so every exported row is in the anonymity counts
+  const match = toResponseMatch(filters)
+  match.timestamp = { ...match.timestamp, $lte: new Date() }
+  return { format, layout, match }
+}
 
-    const maxQuestions = Math.max(...responses.map((r) => r.surveyId?.questions?.length || 0))
+// Definitions of the surveys an export's responses belong to, in the order the export reads them
+async function loadExportSurveys(match) {
+  const surveyIds = await Response.distinct("surveyId", match)
+  return Survey.find({ _id: { $in: surveyIds } })
+    .select("title questions version questionHistory")
+    .sort({ _id: 1 })
+    .lean()
+}
 
-    for (let i = 1; i <= maxQuestions; i++) {
-      fields.push(`Question ${i}`, `Answer ${i}`)
+// Export responses as CSV, XLSX, JSON or NDJSON (`format`), one row per response or one per answer (`layout`).
+// Takes the report filters and streams from a cursor, so large exports never sit in memory. See the README.
+app.get("/api/responses/export", requirePermission("exporter", "department-viewer"), async (req, res) => {
+  try {
+    const { format, layout, match, status, error } = parseExportQuery(req)
+    if (error) {
+      return res.status(status).json({ error })
     }
 
-    const json2csvParser = new Parser({
-      fields,
-      excelStrings: true,
-      header: true,
+    const [groups, surveys] = await Promise.all([
+      Response.aggregate([
+        { $match: match },
+        { $group: { _id: { department: "$department", tenure: "$tenure" }, count: { $sum: 1 } } },
+      ]),
+      loadExportSurveys(match),
+    ])
+
+    // Small department/tenure groups are merged into "Other", or left out when still too small, so respondents
+    // cannot be singled out
+    const counts = new Map()
+    groups.forEach(({ _id, count }) => {
+      if (!counts.has(_id.department)) counts.set(_id.department, new Map())
+      counts.get(_id.department).set(_id.tenure, count)
     })
+    // An empty export is fine, but one of a few responses isn't
+    const responseCount = groups.reduce((sum, group) => sum + group.count, 0)
+    const tooFew = responseCount > 0 && checkResponseCount(responseCount)
+    if (tooFew) {
+      return res.status(tooFew.status).json({ error: tooFew.error })
+    }
+    const anonymity = getGroupLabels(counts)
+    const anonymityNote = describeAnonymity(anonymity.summary)
 
-    const csv = json2csvParser.parse(formattedData)
+    res.setHeader("X-Anonymity-Threshold", anonymity.summary.threshold)
+    if (anonymityNote) {
+      res.setHeader("X-Anonymity-Note", anonymityNote)
+    }
+    res.setHeader("Content-Type", EXPORT_CONTENT_TYPES[format])
+    res.setHeader("Content-Disposition", `attachment; filename="survey_responses_${layout}.${format}"`)
 
-    res.setHeader("Content-Type", "text/csv")
-    res.setHeader("Content-Disposition", 'attachment; filename="survey_responses.csv"')
-    res.status(200).send(csv)
+    // Read in batches, survey by survey so each survey's rows stay together
+    const cursor = Response.find(match)
+      .select("surveyId surveyVersion department tenure timestamp answers")
+      .sort({ surveyId: 1, timestamp: 1 })
+      .lean()
+      .cursor({ batchSize: 500 })
+
+    await writeExport(res, cursor, { format, layout, surveys, groupLabel: anonymity.label })
   } catch (error) {
     console.error("Export error:", error)
+    // Once streaming has started the status is sent; cutting the download short is the only signal left
+    if (res.headersSent) return res.destroy()
     res.status(500).json({ error: "Failed to export responses: " + error.message })
   }
 })
 
+// Codebook of the surveys an export with the same filters covers: the survey ID, question ID, question type and
+// answer codes behind every column. XLSX exports include it as a sheet.
+app.get("/api/responses/export/codebook", requirePermission("exporter", "department-viewer"), async (req, res) => {
+  try {
+    const { format, match, status, error } = parseExportQuery(req)
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
+    const surveys = await loadExportSurveys(match)
+    res.setHeader("Content-Type", EXPORT_CONTENT_TYPES[format])
+    res.setHeader("Content-Disposition", `attachment; filename="survey_codebook.${format}"`)
+    await writeCodebook(res, surveys, format)
+  } catch (error) {
+    console.error("Codebook export error:", error)
+    if (res.headersSent) return res.destroy()
+    res.status(500).json({ error: "Failed to export the codebook: " + error.message })
+  }
+})
+
+// Inserted per batch so a large import isn't sent to the database in one go
+const IMPORT_BATCH_SIZE = 1000
+
+// Bulk import of historical responses into a survey from a CSV request body (Content-Type: text/csv).
+// ?dryRun=true only checks the file; ?mapping= is a JSON object of CSV column -> response field or question.
+// Nothing is imported while any row has an error. See the README.
+app.post("/api/surveys/:id/responses/import", requirePermission("super-admin"), async (req, res) => {
+  try {
+    if (!req.is("text/csv")) {
+      return res.status(415).json({ error: "Send the file as text/csv" })
+    }
+
+    let mapping = {}
+    if (req.query.mapping) {
+      try {
+        mapping = JSON.parse(req.query.mapping)
+      } catch (error) {
+        return res.status(400).json({ error: "Column mapping must be valid JSON: " + error.message })
+      }
+    }
+
+    const survey = await Survey.findById(req.params.id).select("title questions version questionHistory").lean()
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const file = await readCSV(req)
+    if (file.error) {
+      return res.status(400).json({ error: file.error })
+    }
+    const result = planImport(survey, file, { mapping })
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+
+    const ids = result.plan.responses.map(({ response }) => response._id).filter(Boolean)
+    const existing = await Response.find({ _id: { $in: ids } })
+      .select("_id")
+      .lean()
+    const plan = skipExisting(result.plan, new Set(existing.map((response) => response._id.toString())))
+
+    const dryRun = req.query.dryRun === "true"
+    const report = (imported) => summarizeImport(survey, plan, { rowCount: file.rows.length, dryRun, imported })
+    if (dryRun) {
+      return res.json(report(0))
+    }
+    if (plan.errors.length > 0) {
+      return res.status(422).json({ error: `${plan.errors.length} row errors, nothing was imported`, ...report(0) })
+    }
+
+    // Imported responses are told apart from submitted ones by their user ID
+    const batch = `import_${Date.now().toString(36)}`
+    for (let start = 0; start < plan.responses.length; start += IMPORT_BATCH_SIZE) {
+      await Response.insertMany(
+        plan.responses
+          .slice(start, start + IMPORT_BATCH_SIZE)
+          .map(({ row, response }) => ({ ...response, userId: `${batch}_${row}` })),
+      )
+    }
+
+    res.json(report(plan.responses.length))
+  } catch (error) {
+    console.error("Response import error:", error)
+    res.status(500).json({ error: "Failed to import responses: " + error.message })
+  }
+})
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack)
@@ -498,21 +1290,56 @@ app.listen(PORT, () => {
 // Remove this line
 // const ReportGenerator = require('./reportGenerator');
 
-// Add this new route
-app.get("/api/responses/analysis", async (req, res) => {
+// Figures over fewer responses than the anonymity threshold would show the answers of a handful of people, however
+// their groups are labelled, so a selection that narrow is refused. Returns { status, error } or null.
+function checkResponseCount(responseCount) {
+  if (responseCount === 0) {
+    return { status: 404, error: "No responses match the selected filters" }
+  }
+  const threshold = getAnonymityThreshold()
+  if (responseCount < threshold) {
+    return {
+      status: 403,
+      error: `Fewer than ${threshold} responses match the selected filters; widen them to protect anonymity`,
+    }
+  }
+  return null
+}
+
+// PDF analysis of the responses matching ?surveyId=, department, tenure, from and to (see utils/responseFilters.js)
+app.get("/api/responses/analysis", requirePermission("exporter", "department-viewer"), async (req, res) => {
   try {
-    // Create temporary CSV file path
-    const csvPath = path.join(tempDir, `responses_${Date.now()}.csv`)
+    // Department viewers are limited to their own department
+    const scope = getDepartmentScope(req.user)
+    if (scope && req.query.department && req.query.department !== scope) {
+      return res.status(403).json({ error: "You can only analyse responses from your own department" })
+    }
+
+    const { filters, error } = parseResponseFilters({ ...req.query, department: scope || req.query.department })
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const surveys = await Survey.find({ _id: { $in: filters.surveyIds } })
+      .select("title")
+      .lean()
+    if (surveys.length !== filters.surveyIds.length) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
 
-    // Generate CSV first
-    await generateCSV(csvPath)
+    const match = toResponseMatch(filters)
+    const tooFew = checkResponseCount(await Response.countDocuments(match))
+    if (tooFew) {
+      return res.status(tooFew.status).json({ error: tooFew.error })
+    }
 
-    // Initialize report generator with CSV path
-    const generator = new ReportGenerator(csvPath)
+    const generator = new ReportGenerator({ outputDir: path.join(__dirname, "reports") })
     await generator.initialize()
 
-    // Generate analysis
-    const analysis = await generator.generateAnalysis()
+    // Analyse straight from MongoDB
+    const analysis = await generator.generateAnalysis(match, {
+      filterSummary: describeResponseFilters(filters, surveys),
+    })
 
     // Generate PDF
     const pdfPath = await generator.generatePDF(analysis)
@@ -527,13 +1354,10 @@ app.get("/api/responses/analysis", async (req, res) => {
         return res.status(500).json({ error: "Failed to download analysis" })
       }
 
-      // Clean up temporary files after sending
+      // Clean up the generated PDF after sending
       fs.unlink(pdfPath, (unlinkErr) => {
         if (unlinkErr) console.error("Error deleting PDF:", unlinkErr)
       })
-      fs.unlink(csvPath, (unlinkErr) => {
-        if (unlinkErr) console.error("Error deleting CSV:", unlinkErr)
-      })
     })
   } catch (error) {
     console.error("Analysis generation error:", error)
@@ -541,6 +1365,166 @@ app.get("/api/responses/analysis", async (req, res) => {
   }
 })
 
+// Analysis of one survey's responses as JSON, for dashboards and integrations. Accepts the same department, tenure,
+// from and to filters as /api/responses/analysis. The response format is documented in the README.
+app.get("/api/surveys/:id/results", requirePermission("exporter", "department-viewer"), async (req, res) => {
+  try {
+    // Department viewers are limited to their own department
+    const scope = getDepartmentScope(req.user)
+    if (scope && req.query.department && req.query.department !== scope) {
+      return res.status(403).json({ error: "You can only view results from your own department" })
+    }
+
+    const { filters, error } = parseResponseFilters({
+      ...req.query,
+      surveyId: req.params.id,
+      department: scope || req.query.department,
+    })
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const survey = await Survey.findById(req.params.id).select("title status version").lean()
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const match = toResponseMatch(filters)
+    const tooFew = checkResponseCount(await Response.countDocuments(match))
+    if (tooFew) {
+      return res.status(tooFew.status).json({ error: tooFew.error })
+    }
+
+    const generator = new ReportGenerator()
+    const analysis = await generator.generateAnalysis(match, {
+      filterSummary: describeResponseFilters(filters, [survey]),
+    })
+
+    res.json({
+      survey: { id: survey._id, title: survey.title, status: survey.status, version: survey.version },
+      ...generator.toResults(analysis),
+    })
+  } catch (error) {
+    console.error("Survey results error:", error)
+    res.status(500).json({ error: "Failed to load survey results" })
+  }
+})
+
+// Live response counts and rates of a survey, without analysing answers, so the dashboard can poll it while the
+// survey is open. Same filters, department scope and anonymity threshold as the results.
+app.get("/api/surveys/:id/participation", requirePermission("exporter", "department-viewer"), async (req, res) => {
+  try {
+    const scope = getDepartmentScope(req.user)
+    if (scope && req.query.department && req.query.department !== scope) {
+      return res.status(403).json({ error: "You can only view results from your own department" })
+    }
+
+    const { filters, error } = parseResponseFilters({
+      ...req.query,
+      surveyId: req.params.id,
+      department: scope || req.query.department,
+    })
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const survey = await Survey.findById(req.params.id)
+      .select("title status department isAllDepartments opensAt closesAt")
+      .lean()
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const generator = new ReportGenerator()
+    const { participation, anonymity } = await generator.generateParticipation(toResponseMatch(filters), [survey])
+
+    res.json({
+      survey: { id: survey._id, title: survey.title, status: survey.status, closesAt: survey.closesAt ?? null },
+      participation,
+      anonymity,
+      updatedAt: new Date(),
+    })
+  } catch (error) {
+    console.error("Survey participation error:", error)
+    res.status(500).json({ error: "Failed to load survey participation" })
+  }
+})
+
+// Trend analysis of a series for the trend endpoints, with the department, tenure, from and to filters and the
+// department scope of the other reports. Returns { trend } or { status, error }.
+async function getSeriesTrends(req, generator) {
+  const scope = getDepartmentScope(req.user)
+  if (scope && req.query.department && req.query.department !== scope) {
+    return { status: 403, error: "You can only view results from your own department" }
+  }
+
+  // Every wave of the series is analysed, so a survey selection doesn't apply
+  const { filters, error } = parseResponseFilters({
+    ...req.query,
+    surveyId: undefined,
+    department: scope || req.query.department,
+  })
+  if (error) {
+    return { status: 400, error }
+  }
+
+  const series = await SurveySeries.findById(req.params.id).lean()
+  if (!series) {
+    return { status: 404, error: "Series not found" }
+  }
+  const waves = await Survey.find({ series: series._id })
+    .select("title status wave opensAt closesAt department isAllDepartments")
+    .sort({ wave: 1 })
+    .lean()
+  if (waves.length === 0) {
+    return { status: 404, error: "This series has no waves yet" }
+  }
+
+  const trend = await generator.generateTrendAnalysis(series, waves, toResponseMatch(filters), {
+    filterSummary: describeResponseFilters(filters, waves),
+  })
+  return { trend }
+}
+
+// How each question of a series changed from wave to wave, as JSON (format documented in the README)
+app.get("/api/series/:id/trends", requirePermission("exporter", "department-viewer"), async (req, res) => {
+  try {
+    const { trend, status, error } = await getSeriesTrends(req, new TrendReportGenerator())
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
+    res.json(trend)
+  } catch (error) {
+    console.error("Series trends error:", error)
+    res.status(500).json({ error: "Failed to load series trends" })
+  }
+})
+
+// The same trends as a PDF report
+app.get("/api/series/:id/trends/pdf", requirePermission("exporter", "department-viewer"), async (req, res) => {
+  try {
+    const generator = new TrendReportGenerator({ outputDir: path.join(__dirname, "reports") })
+    const { trend, status, error } = await getSeriesTrends(req, generator)
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
+    const pdfPath = await generator.generateTrendPDF(trend)
+    res.download(pdfPath, "survey_trends.pdf", (err) => {
+      if (err) {
+        console.error("Download error:", err)
+      }
+      fs.unlink(pdfPath, (unlinkErr) => {
+        if (unlinkErr) console.error("Error deleting PDF:", unlinkErr)
+      })
+    })
+  } catch (error) {
+    console.error("Trend report error:", error)
+    res.status(500).json({ error: "Failed to generate trend report" })
+  }
+})
+
 // Add these helper functions
 async function sendPasswordResetEmail(email, resetCode) {
   try {
@@ -644,19 +1628,55 @@ app.post("/api/reset-password", async (req, res) => {
   }
 })
 
-// Add this new endpoint for session verification
-app.get("/api/verify-session", async (req, res) => {
+// Verify the access token and return the signed-in admin
+app.get("/api/verify-session", authenticate, requireRole("admin"), async (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      username: req.user.username,
+      role: req.user.role,
+      department: req.user.department,
+      permissions: req.user.permissions,
+    },
+  })
+})
+
+// Exchange a refresh token for a new token pair. The old refresh token is revoked (rotation).
+app.post("/api/refresh-token", async (req, res) => {
   try {
-    // This is a simple endpoint that just returns success
-    // In a real application, you would verify the session token here
-    res.json({ success: true })
+    const { refreshToken } = req.body
+    if (!refreshToken) {
+      return res.status(401).json({ error: "Refresh token required" })
+    }
+
+    const payload = await verifyToken(refreshToken, "refresh")
+    const user = await User.findById(payload.sub)
+    if (!user || user.role !== "admin" || user.disabled) {
+      return res.status(401).json({ error: "Invalid session" })
+    }
+
+    await revokeToken(payload)
+    res.json(issueTokens(user))
   } catch (error) {
-    res.status(401).json({ error: "Invalid session" })
+    res.status(401).json({ error: "Invalid or expired session" })
   }
 })
 
-// Add this new endpoint for logout
-app.post("/api/logout", (req, res) => {
-  // In a real application with server-side sessions, you would invalidate the session here
+// Revoke the access token and (if supplied) the refresh token
+app.post("/api/logout", async (req, res) => {
+  const tokens = [
+    [getBearerToken(req), "access"],
+    [req.body?.refreshToken, "refresh"],
+  ]
+
+  for (const [token, type] of tokens) {
+    if (!token) continue
+    try {
+      await revokeToken(await verifyToken(token, type))
+    } catch (error) {
+      // Expired or already revoked tokens need no further action
+    }
+  }
+
   res.json({ success: true })
 })
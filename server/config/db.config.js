@@ -0,0 +1,3 @@
+// MongoDB connection string shared by the server and the migration scripts
+// Localhost/Docker: "mongodb://mongodb:27017/survey_app", production: "mongodb://172.31.9.187:27017/survey_app"
+export const MONGODB_URI = "mongodb://mongodb:27017/survey_app"
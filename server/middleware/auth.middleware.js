@@ -0,0 +1,112 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import User from "../models/user.model.js"
+import RevokedToken from "../models/revokedToken.model.js"
+
+const JWT_SECRET = process.env.JWT_SECRET
+
+function signToken(user, type, expiresIn) {
+  return jwt.sign({ sub: user._id.toString(), role: user.role, type }, JWT_SECRET, {
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+  })
+}
+
+// Issue a short-lived access token and a longer-lived refresh token for a user
+export function issueTokens(user) {
+  return {
+    accessToken: signToken(user, "access", process.env.JWT_ACCESS_EXPIRES_IN || "15m"),
+    refreshToken: signToken(user, "refresh", process.env.JWT_REFRESH_EXPIRES_IN || "7d"),
+  }
+}
+
+// Token an employee signs in with to answer surveys. It only lets them submit responses, so it lasts longer than an
+// admin access token and a long questionnaire doesn't expire halfway.
+export function issueParticipantToken(user) {
+  return signToken(user, "participant", process.env.JWT_PARTICIPANT_EXPIRES_IN || "12h")
+}
+
+// Verify signature, expiry, token type and revocation. Throws on any failure.
+export async function verifyToken(token, expectedType) {
+  const payload = jwt.verify(token, JWT_SECRET)
+
+  if (payload.type !== expectedType) {
+    throw new Error("Invalid token type")
+  }
+
+  if (await RevokedToken.exists({ jti: payload.jti })) {
+    throw new Error("Token has been revoked")
+  }
+
+  return payload
+}
+
+export async function revokeToken(payload) {
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { userId: payload.sub, expiresAt: new Date(payload.exp * 1000) } },
+    { upsert: true },
+  )
+}
+
+export function getBearerToken(req) {
+  const header = req.headers.authorization || ""
+  const [scheme, token] = header.split(" ")
+  return scheme === "Bearer" && token ? token : null
+}
+
+// Require a valid token of the given type and attach the current user to req.user
+const authenticateToken = (type) => async (req, res, next) => {
+  const token = getBearerToken(req)
+  if (!token) {
+    return res.status(401).json({ error: "Authentication required" })
+  }
+
+  try {
+    const payload = await verifyToken(token, type)
+    const user = await User.findById(payload.sub).select("-password")
+
+    if (!user || user.disabled) {
+      return res.status(401).json({ error: "Invalid session" })
+    }
+
+    req.user = user
+    req.token = payload
+    next()
+  } catch (error) {
+    res.status(401).json({ error: "Invalid or expired session" })
+  }
+}
+
+export const authenticate = authenticateToken("access")
+
+// The role is checked against the User document, not the token claim, so demoted users lose access immediately
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: "Insufficient permissions" })
+    }
+    next()
+  }
+
+export const requireAdmin = [authenticate, requireRole("admin")]
+
+// Require an employee signed in to answer surveys (see issueParticipantToken)
+export const requireEmployee = [authenticateToken("participant"), requireRole("employee")]
+
+// Require an admin holding at least one of the given permissions (super-admins always pass)
+export const requirePermission = (...permissions) => [
+  ...requireAdmin,
+  (req, res, next) => {
+    if (!req.user.hasPermission(...permissions)) {
+      return res.status(403).json({ error: "Insufficient permissions" })
+    }
+    next()
+  },
+]
+
+// Department an admin's reporting access is limited to, or null for unrestricted access
+export function getDepartmentScope(user) {
+  return user.hasPermission("exporter") ? null : user.department
+}
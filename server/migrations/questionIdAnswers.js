@@ -0,0 +1,60 @@
+// One-off migration: re-key Response.answers from positional keys (q0, q1, ...) to stable question IDs.
+// Each response is mapped against the question version it was answered against, so edited surveys stay correct.
+// Safe to run more than once; responses that are already keyed by ID are skipped.
+//
+// Usage: npm run migrate:question-ids
+import mongoose from "mongoose"
+import { MONGODB_URI } from "../config/db.config.js"
+import Survey, { getQuestionsForVersion, normalizeAnswerKeys } from "../models/survey.model.js"
+import Response from "../models/response.model.js"
+
+const LEGACY_KEY = /^q\d+$/
+
+export async function migrateQuestionIdAnswers() {
+  const surveys = new Map()
+  const stats = { migrated: 0, skipped: 0, missingSurvey: 0, unmappedKeys: 0 }
+
+  // Work on raw documents so the answers map is read and written exactly as stored
+  const cursor = Response.collection.find({}, { projection: { surveyId: 1, surveyVersion: 1, answers: 1 } })
+
+  for await (const response of cursor) {
+    const keys = Object.keys(response.answers || {})
+    if (!keys.some((key) => LEGACY_KEY.test(key))) {
+      stats.skipped++
+      continue
+    }
+
+    const surveyId = response.surveyId?.toString()
+    if (!surveys.has(surveyId)) {
+      surveys.set(surveyId, await Survey.findById(surveyId).lean())
+    }
+    const survey = surveys.get(surveyId)
+    if (!survey) {
+      stats.missingSurvey++
+      continue
+    }
+
+    const questions = getQuestionsForVersion(survey, response.surveyVersion)
+    const answers = normalizeAnswerKeys(questions, response.answers)
+    stats.unmappedKeys += Object.keys(answers).filter((key) => LEGACY_KEY.test(key)).length
+
+    await Response.collection.updateOne({ _id: response._id }, { $set: { answers } })
+    stats.migrated++
+  }
+
+  return stats
+}
+
+// Run directly: node server/migrations/questionIdAnswers.js
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    await mongoose.connect(MONGODB_URI)
+    const stats = await migrateQuestionIdAnswers()
+    console.log("Question ID migration complete:", stats)
+  } catch (error) {
+    console.error("Question ID migration failed:", error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+  }
+}
@@ -0,0 +1,95 @@
+// One-off migration: give rating questions created before scales existed a scale, so their satisfaction metrics
+// keep working now that reports no longer match answers against hard-coded English wording.
+// Questions whose options all belong to one of the scales below are scored; anything else is left unscored.
+// Safe to run more than once; questions that already have a scale are skipped.
+//
+// Usage: npm run migrate:question-scales
+import mongoose from "mongoose"
+import { MONGODB_URI } from "../config/db.config.js"
+import Survey, { SCALE_QUESTION_TYPES } from "../models/survey.model.js"
+
+// Wording the old reports recognised. Only the satisfaction scale counted toward overall satisfaction.
+const LEGACY_SCALES = [
+  {
+    countsTowardSatisfaction: true,
+    scores: { "very satisfied": 5, satisfied: 4, neutral: 3, dissatisfied: 2, "very dissatisfied": 1 },
+  },
+  {
+    countsTowardSatisfaction: false,
+    scores: { "strongly agree": 5, agree: 4, neutral: 3, disagree: 2, "strongly disagree": 1 },
+  },
+  {
+    countsTowardSatisfaction: false,
+    scores: { excellent: 5, good: 4, average: 3, fair: 3, poor: 2, "very poor": 1 },
+  },
+  {
+    countsTowardSatisfaction: false,
+    scores: { always: 5, often: 4, sometimes: 3, rarely: 2, never: 1 },
+  },
+]
+
+// Scale for a question whose options all match one legacy scale, or null
+export function findLegacyScale(question) {
+  // Star ratings are scored without a scale
+  if (question.scale || question.type === "star" || !SCALE_QUESTION_TYPES.includes(question.type)) return null
+
+  for (const legacy of LEGACY_SCALES) {
+    const scores = (question.options || []).map((option) => ({
+      option,
+      score: legacy.scores[String(option).trim().toLowerCase()],
+    }))
+    if (scores.every(({ score }) => score !== undefined) && new Set(scores.map(({ score }) => score)).size >= 2) {
+      return { scores, countsTowardSatisfaction: legacy.countsTowardSatisfaction }
+    }
+  }
+  return null
+}
+
+export async function migrateQuestionScales() {
+  const stats = { surveysUpdated: 0, questionsScored: 0, skipped: 0 }
+
+  // Work on raw documents so earlier question versions are updated exactly as stored
+  const cursor = Survey.collection.find({}, { projection: { questions: 1, questionHistory: 1 } })
+
+  for await (const survey of cursor) {
+    const questions = survey.questions || []
+    const questionHistory = survey.questionHistory || []
+
+    const questionSets = [questions, ...questionHistory.map((entry) => entry.questions || [])]
+
+    let changed = false
+    questionSets.forEach((questionSet) => {
+      questionSet.forEach((question) => {
+        const scale = findLegacyScale(question)
+        if (!scale) return
+        question.scale = scale
+        stats.questionsScored++
+        changed = true
+      })
+    })
+
+    if (!changed) {
+      stats.skipped++
+      continue
+    }
+
+    await Survey.collection.updateOne({ _id: survey._id }, { $set: { questions, questionHistory } })
+    stats.surveysUpdated++
+  }
+
+  return stats
+}
+
+// Run directly: node server/migrations/questionScales.js
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    await mongoose.connect(MONGODB_URI)
+    const stats = await migrateQuestionScales()
+    console.log("Question scale migration complete:", stats)
+  } catch (error) {
+    console.error("Question scale migration failed:", error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+  }
+}
@@ -0,0 +1,44 @@
+import mongoose from "mongoose"
+
+// Expected number of employees in a department, the denominator of response rates (see utils/responseRates.js).
+// Kept up to date by admins, either entered by hand or derived from User records.
+const headcountSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: [true, "Department is required"],
+    unique: true,
+    trim: true,
+  },
+  headcount: {
+    type: Number,
+    required: [true, "Headcount is required"],
+    min: [0, "Headcount cannot be negative"],
+  },
+  // Optional split of the headcount by tenure band, needed for response rates by tenure
+  tenures: [
+    {
+      _id: false,
+      tenure: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      headcount: {
+        type: Number,
+        required: true,
+        min: [0, "Headcount cannot be negative"],
+      },
+    },
+  ],
+  source: {
+    type: String,
+    enum: ["manual", "users"],
+    default: "manual",
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+export default mongoose.model("Headcount", headcountSchema)
@@ -0,0 +1,23 @@
+import mongoose from "mongoose"
+
+// Records THAT someone answered a survey, never WHAT they answered. There is deliberately no link to the
+// Response, no timestamp and no ObjectId (which would embed one), so participations cannot be joined to answers.
+const participationSchema = new mongoose.Schema(
+  {
+    // Keyed HMAC of survey ID + employee ID, see utils/participation.js
+    _id: {
+      type: String,
+      required: true,
+    },
+    surveyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Survey",
+      required: true,
+    },
+  },
+  { versionKey: false },
+)
+
+participationSchema.index({ surveyId: 1 })
+
+export default mongoose.model("Participation", participationSchema)
@@ -21,6 +21,11 @@ const responseSchema = new mongoose.Schema({
     required: [true, "Tenure is required"],
     trim: true,
   },
+  // Survey question-set version the answers were given against
+  surveyVersion: {
+    type: Number,
+    default: 1,
+  },
   answers: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -44,6 +49,8 @@ const responseSchema = new mongoose.Schema({
 responseSchema.index({ surveyId: 1 })
 responseSchema.index({ userId: 1 })
 responseSchema.index({ department: 1 })
+// Exports read responses survey by survey, oldest first
+responseSchema.index({ surveyId: 1, timestamp: 1 })
 
 // Remove any existing unique compound index if it exists
 // This will be executed when Mongoose connects to the database
@@ -0,0 +1,23 @@
+import mongoose from "mongoose"
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Kept only until the token would have expired anyway
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// MongoDB removes the document once expiresAt has passed
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model("RevokedToken", revokedTokenSchema)
@@ -1,44 +1,243 @@
 import mongoose from 'mongoose';
 
-const surveySchema = new mongoose.Schema({
-    title: { 
-        type: String, 
-        required: true 
+// Lifecycle: draft -> scheduled -> open -> closed -> archived
+export const SURVEY_STATUSES = ['draft', 'scheduled', 'open', 'closed', 'archived'];
+
+export const QUESTION_TYPES = [
+    'text', 'radio', 'checkbox', 'star', 'matrix', 'nps', 'number', 'date', 'dropdown', 'ranking'
+];
+
+// Types answered by picking from `options` (for a matrix, the options are the scale shared by every statement)
+export const OPTION_QUESTION_TYPES = ['radio', 'checkbox', 'dropdown', 'ranking', 'matrix'];
+
+// Types that can declare a scale, i.e. a numeric score per answer
+export const SCALE_QUESTION_TYPES = ['radio', 'dropdown', 'matrix', 'star'];
+
+const ALLOWED_TRANSITIONS = {
+    draft: ['scheduled', 'open'],
+    scheduled: ['draft', 'open'],
+    open: ['closed'],
+    closed: ['open', 'archived'],
+    archived: ['closed']
+};
+
+// Show a question only when an earlier question's answer matches (see utils/questionConditions.js)
+const conditionSchema = new mongoose.Schema({
+    questionId: {
+        type: String,
+        required: true
     },
-    department: { 
-        type: String, 
-        required: true 
+    operator: {
+        type: String,
+        enum: ['equals', 'notEquals', 'contains', 'gte', 'lte'],
+        required: true
     },
-    questions: [{
-        text: {
+    value: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// Numeric score per answer option, used for satisfaction metrics (see utils/questionScale.js).
+// Options without a score are left out of the metrics; star ratings score their number of stars unless overridden.
+const scaleSchema = new mongoose.Schema({
+    scores: [{
+        _id: false,
+        option: {
             type: String,
             required: true
         },
-        type: { 
-            type: String, 
-            enum: ['text', 'radio', 'checkbox', 'star'],  
+        score: {
+            type: Number,
             required: true
-        },
-        options: [{
-            type: String
-        }]
+        }
+    }],
+    countsTowardSatisfaction: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+// Each question's _id is its stable ID: answers are keyed by it and it survives edits and reordering.
+// Matrix and ranking answers are stored as arrays (one option per statement / options in ranked order),
+// every other answer as a string.
+export const questionSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: QUESTION_TYPES,
+        required: true
+    },
+    options: [{
+        type: String
+    }],
+    // Rows of a Likert matrix
+    statements: [{
+        type: String
+    }],
+    // Bounds of a number question; null means unbounded
+    min: {
+        type: Number,
+        default: null
+    },
+    max: {
+        type: Number,
+        default: null
+    },
+    condition: {
+        type: conditionSchema,
+        default: null
+    },
+    scale: {
+        type: scaleSchema,
+        default: null
+    }
+});
+
+const surveySchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true
+    },
+    department: {
+        type: String,
+        required: true
+    },
+    questions: [questionSchema],
+    // Incremented whenever the question set changes; responses record the version they answered
+    version: {
+        type: Number,
+        default: 1
+    },
+    // Earlier question sets, so older responses keep mapping to the questions they were answered against
+    questionHistory: [{
+        version: Number,
+        questions: [questionSchema],
+        replacedAt: {
+            type: Date,
+            default: Date.now
+        }
     }],
     isAllDepartments: {
         type: Boolean,
         default: false
     },
-    createdAt: { 
-        type: Date, 
-        default: Date.now 
+    createdAt: {
+        type: Date,
+        default: Date.now
     },
-    active: { 
-        type: Boolean, 
-        default: true 
+    status: {
+        type: String,
+        enum: SURVEY_STATUSES,
+        default: 'draft'
+    },
+    // Scheduled surveys open automatically at opensAt; open surveys close automatically at closesAt
+    opensAt: {
+        type: Date,
+        default: null
+    },
+    closesAt: {
+        type: Date,
+        default: null
     },
     color: {
         type: String,
         default: "#253074"
+    },
+    // Series this survey is a wave of (see surveySeries.model.js) and its position in it, starting at 1
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SurveySeries',
+        default: null
+    },
+    wave: {
+        type: Number,
+        default: null
     }
 });
 
+surveySchema.index({ series: 1, wave: 1 });
+
+surveySchema.pre('validate', function (next) {
+    if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) {
+        this.invalidate('closesAt', 'Close date must be after the open date');
+    }
+    if (this.status === 'scheduled' && !this.opensAt) {
+        this.invalidate('opensAt', 'Scheduled surveys need an open date');
+    }
+    next();
+});
+
+const questionSignature = (questions) =>
+    JSON.stringify(questions.map((q) => [
+        q.text,
+        q.type,
+        OPTION_QUESTION_TYPES.includes(q.type) ? [...(q.options || [])] : [],
+        q.type === 'matrix' ? [...(q.statements || [])] : [],
+        q.type === 'number' ? [q.min ?? null, q.max ?? null] : [],
+        q.condition ? [String(q.condition.questionId), q.condition.operator, q.condition.value ?? ''] : null
+    ]));
+
+// Replace the question set, archiving the current one as a new version if anything changed
+surveySchema.methods.updateQuestions = function (questions) {
+    if (questionSignature(questions) === questionSignature(this.questions)) {
+        // Scales only change how answers are scored, not what respondents see, so they don't need a new version
+        this.questions.forEach((question, index) => {
+            question.scale = questions[index].scale || null;
+        });
+        return false;
+    }
+
+    this.questionHistory.push({ version: this.version, questions: this.questions.map((q) => q.toObject()) });
+    this.questions = questions;
+    this.version += 1;
+    return true;
+};
+
+surveySchema.methods.canTransitionTo = function (status) {
+    return (ALLOWED_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Apply time-based transitions that are due: scheduled -> open at opensAt, open -> closed at closesAt
+surveySchema.statics.syncScheduledStatuses = async function (now = new Date()) {
+    await this.updateMany(
+        { status: 'scheduled', opensAt: { $lte: now } },
+        { $set: { status: 'open' } }
+    );
+    await this.updateMany(
+        { status: 'open', closesAt: { $ne: null, $lte: now } },
+        { $set: { status: 'closed' } }
+    );
+};
+
+// Questions a response was answered against. Works on documents and lean objects alike.
+export function getQuestionsForVersion(survey, version) {
+    if (!survey) return [];
+    // Responses saved before versioning existed were answered against version 1
+    const answeredVersion = version || 1;
+    if (answeredVersion === (survey.version || 1)) return survey.questions || [];
+
+    const snapshot = (survey.questionHistory || []).find((entry) => entry.version === answeredVersion);
+    return snapshot ? snapshot.questions : survey.questions || [];
+}
+
+// Key a question's answer is stored under in Response.answers
+export function getQuestionId(question) {
+    return question._id.toString();
+}
+
+// Convert legacy positional keys (q0, q1, ...) to question IDs; other keys are left untouched
+export function normalizeAnswerKeys(questions, answers) {
+    const normalized = {};
+    Object.entries(answers || {}).forEach(([key, value]) => {
+        const match = /^q(\d+)$/.exec(key);
+        const question = match ? questions[Number(match[1])] : null;
+        normalized[question ? getQuestionId(question) : key] = value;
+    });
+    return normalized;
+}
+
 export default mongoose.model('Survey', surveySchema);
\ No newline at end of file
@@ -0,0 +1,22 @@
+import mongoose from "mongoose"
+
+// Waves of the same questionnaire, e.g. a quarterly pulse survey. Each wave is its own Survey, linked through
+// Survey.series and ordered by Survey.wave, so the trend report can follow every question from wave to wave.
+const surveySeriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Series name is required"],
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+export default mongoose.model("SurveySeries", surveySeriesSchema)
@@ -0,0 +1,24 @@
+import mongoose from "mongoose"
+import { questionSchema } from "./survey.model.js"
+
+// A saved question set to start new surveys from. Templates have no department, lifecycle or responses;
+// the built-in templates live in utils/surveyTemplates.js.
+const surveyTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Template name is required"],
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  questions: [questionSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+export default mongoose.model("SurveyTemplate", surveyTemplateSchema)
@@ -1,5 +1,11 @@
 import mongoose from "mongoose"
 
+// Admin permissions. "super-admin" implies every other permission.
+//  - survey-author: create and delete surveys
+//  - exporter: export and analyse responses from every department
+//  - department-viewer: export and analyse responses from the admin's own department only
+export const PERMISSIONS = ["super-admin", "survey-author", "exporter", "department-viewer"]
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -15,6 +21,14 @@ const userSchema = new mongoose.Schema({
     enum: ["admin", "employee"],
     default: "employee",
   },
+  permissions: {
+    type: [{ type: String, enum: PERMISSIONS }],
+    default: [],
+  },
+  disabled: {
+    type: Boolean,
+    default: false,
+  },
   department: {
     type: String,
     required: true,
@@ -44,6 +58,11 @@ const userSchema = new mongoose.Schema({
   resetCodeExpires: Date,
 })
 
+userSchema.methods.hasPermission = function (...permissions) {
+  if (this.role !== "admin" || this.disabled) return false
+  return this.permissions.includes("super-admin") || permissions.some((p) => this.permissions.includes(p))
+}
+
 // Add this to drop any existing unique index on email field
 userSchema.index({ email: 1 }, { unique: false, background: true })
 
@@ -0,0 +1,207 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  OTHER_GROUP,
+  SUPPRESSED_GROUP,
+  describeAnonymity,
+  getAnonymityThreshold,
+  getGroupLabels,
+  getReportLabels,
+} from "../utils/anonymity.js"
+
+// department -> Map(tenure -> count) from { department: { tenure: count } }
+const counts = (table) =>
+  new Map(Object.entries(table).map(([department, tenures]) => [department, new Map(Object.entries(tenures))]))
+
+const cells = (groupCounts) =>
+  [...groupCounts].flatMap(([department, tenures]) =>
+    [...tenures].map(([tenure, count]) => [department, tenure, count]),
+  )
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+// Response count per label, from [label, count] pairs
+const countByLabel = (pairs) => {
+  const totals = new Map()
+  pairs.forEach(([label, count]) => totals.set(label, (totals.get(label) || 0) + count))
+  return totals
+}
+
+// Reproducible tables of many small groups, where merging and suppression both happen
+function randomTables(tableCount) {
+  let seed = 7
+  const random = (max) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648
+    return seed % max
+  }
+  return Array.from({ length: tableCount }, () => {
+    const table = {}
+    for (let department = 0; department < 1 + random(6); department++) {
+      table[`D${department}`] = {}
+      for (let tenure = 0; tenure < 1 + random(4); tenure++) {
+        table[`D${department}`][`T${tenure}`] = 1 + random(7)
+      }
+    }
+    return counts(table)
+  })
+}
+
+describe("getAnonymityThreshold", () => {
+  it("reads a non-negative whole number and falls back to 5", () => {
+    assert.equal(getAnonymityThreshold("3"), 3)
+    assert.equal(getAnonymityThreshold("0"), 0)
+    assert.equal(getAnonymityThreshold("-1"), 5)
+    assert.equal(getAnonymityThreshold("many"), 5)
+    assert.equal(getAnonymityThreshold(undefined), 5)
+  })
+})
+
+describe("getReportLabels", () => {
+  it("keeps every group at or above the threshold as it is", () => {
+    const result = getReportLabels(counts({ Sales: { "0-6 months": 5 }, IT: { "0-6 months": 3, "5+ years": 6 } }), 5)
+
+    assert.deepEqual(
+      [...result.departmentLabels],
+      [
+        ["Sales", "Sales"],
+        ["IT", "IT"],
+      ],
+    )
+    assert.equal(result.tenureLabels.get("0-6 months"), "0-6 months")
+    assert.deepEqual(result.excluded, { departments: [], tenures: [] })
+    assert.deepEqual(result.summary, {
+      threshold: 5,
+      mergedDepartmentCount: 0,
+      mergedTenureCount: 0,
+      suppressedResponseCount: 0,
+    })
+  })
+
+  it("combines small departments as Other when they reach the threshold together", () => {
+    const result = getReportLabels(counts({ HR: { t: 3 }, Legal: { t: 2 }, Sales: { t: 10 } }), 5)
+
+    assert.equal(result.departmentLabels.get("HR"), OTHER_GROUP)
+    assert.equal(result.departmentLabels.get("Legal"), OTHER_GROUP)
+    assert.equal(result.departmentLabels.get("Sales"), "Sales")
+    assert.equal(result.summary.mergedDepartmentCount, 2)
+    assert.equal(result.summary.suppressedResponseCount, 0)
+  })
+
+  it("leaves out a small group that can't be combined up to the threshold", () => {
+    const result = getReportLabels(counts({ Photography: { t: 1 }, Sales: { t: 6 } }), 5)
+
+    assert.equal(result.departmentLabels.get("Photography"), SUPPRESSED_GROUP)
+    assert.deepEqual(result.excluded, { departments: ["Photography"], tenures: [] })
+    assert.deepEqual([...result.remaining.keys()], ["Sales"])
+    assert.equal(result.summary.mergedDepartmentCount, 0)
+    assert.equal(result.summary.suppressedResponseCount, 1)
+  })
+
+  it("suppresses again when leaving a group out takes another one below the threshold", () => {
+    // The one t2 response is suppressed, which leaves A with 4 responses: A is suppressed in turn
+    const result = getReportLabels(counts({ A: { t1: 4, t2: 1 }, B: { t1: 5 } }), 5)
+
+    assert.deepEqual(result.excluded, { departments: ["A"], tenures: ["t2"] })
+    assert.equal(result.departmentLabels.get("A"), SUPPRESSED_GROUP)
+    assert.equal(result.tenureLabels.get("t2"), SUPPRESSED_GROUP)
+    assert.deepEqual(cells(result.remaining), [["B", "t1", 5]])
+    assert.equal(result.summary.suppressedResponseCount, 5)
+  })
+
+  it("never reports a department or tenure group, Other included, below the threshold", () => {
+    for (const threshold of [2, 5, 10]) {
+      randomTables(200).forEach((table) => {
+        const result = getReportLabels(table, threshold)
+        const remaining = cells(result.remaining)
+        const departments = countByLabel(remaining.map(([d, , count]) => [result.departmentLabels.get(d), count]))
+        const tenures = countByLabel(remaining.map(([, t, count]) => [result.tenureLabels.get(t), count]))
+
+        for (const [label, count] of [...departments, ...tenures]) {
+          assert.notEqual(label, SUPPRESSED_GROUP)
+          assert.ok(count >= threshold, `${label} has ${count} responses, below ${threshold}`)
+        }
+        const total = sum(cells(table).map(([, , count]) => count))
+        assert.equal(sum(remaining.map(([, , count]) => count)), total - result.summary.suppressedResponseCount)
+      })
+    }
+  })
+
+  it("leaves out whole groups, so no suppressed response stays in the analysis", () => {
+    randomTables(200).forEach((table) => {
+      const result = getReportLabels(table, 5)
+      cells(table).forEach(([department, tenure]) => {
+        const excluded = result.excluded.departments.includes(department) || result.excluded.tenures.includes(tenure)
+        assert.equal(excluded, !result.remaining.get(department)?.has(tenure))
+      })
+    })
+  })
+})
+
+describe("getGroupLabels", () => {
+  it("counts tenure groups within merged departments", () => {
+    // Neither HR nor Legal has 5 responses in "0-6 months", but the combined Other department does
+    const result = getGroupLabels(
+      counts({ HR: { "0-6 months": 3 }, Legal: { "0-6 months": 3 }, Sales: { "0-6 months": 5, "5+ years": 5 } }),
+      5,
+    )
+
+    assert.deepEqual(result.label("HR", "0-6 months"), { department: OTHER_GROUP, tenure: "0-6 months" })
+    assert.deepEqual(result.label("Legal", "0-6 months"), { department: OTHER_GROUP, tenure: "0-6 months" })
+    assert.deepEqual(result.label("Sales", "5+ years"), { department: "Sales", tenure: "5+ years" })
+    assert.equal(result.summary.mergedDepartmentCount, 2)
+    assert.equal(result.summary.mergedTenureCount, 0)
+  })
+
+  it("leaves out the responses of tenure groups too small within their department", () => {
+    const result = getGroupLabels(counts({ A: { t1: 3, t2: 1 }, B: { t1: 3, t3: 1 }, C: { t1: 5 } }), 5)
+
+    assert.equal(result.label("A", "t2"), null)
+    assert.equal(result.label("B", "t3"), null)
+    assert.deepEqual(result.label("A", "t1"), { department: OTHER_GROUP, tenure: "t1" })
+    assert.deepEqual(result.label("C", "t1"), { department: "C", tenure: "t1" })
+    assert.equal(result.summary.suppressedResponseCount, 2)
+  })
+
+  it("never exports a department or tenure-within-department group below the threshold", () => {
+    for (const threshold of [2, 5, 10]) {
+      randomTables(200).forEach((table) => {
+        const result = getGroupLabels(table, threshold)
+        const exported = cells(table)
+          .map(([department, tenure, count]) => [result.label(department, tenure), count])
+          .filter(([groups]) => groups !== null)
+        const departments = countByLabel(exported.map(([groups, count]) => [groups.department, count]))
+        const groups = countByLabel(exported.map(([groups, count]) => [`${groups.department}/${groups.tenure}`, count]))
+
+        for (const [label, count] of [...departments, ...groups]) {
+          assert.ok(!label.includes(SUPPRESSED_GROUP), `${label} is exported`)
+          assert.ok(count >= threshold, `${label} has ${count} responses, below ${threshold}`)
+        }
+        const total = sum(cells(table).map(([, , count]) => count))
+        assert.equal(sum(exported.map(([, count]) => count)), total - result.summary.suppressedResponseCount)
+      })
+    }
+  })
+})
+
+describe("describeAnonymity", () => {
+  it("explains what was combined and left out, without naming any group", () => {
+    const note = describeAnonymity({
+      threshold: 5,
+      mergedDepartmentCount: 2,
+      mergedTenureCount: 0,
+      suppressedResponseCount: 1,
+    })
+
+    assert.equal(
+      note,
+      'To protect anonymity, departments with fewer than 5 responses are combined as "Other"; 1 response is left out, from groups too small to combine.',
+    )
+  })
+
+  it("returns null when nothing was combined or left out", () => {
+    assert.equal(
+      describeAnonymity({ threshold: 5, mergedDepartmentCount: 0, mergedTenureCount: 0, suppressedResponseCount: 0 }),
+      null,
+    )
+  })
+})
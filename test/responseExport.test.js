@@ -0,0 +1,292 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  buildCodebook,
+  formatAnswer,
+  getAnswerCode,
+  getSurveyColumns,
+  toExportRecords,
+} from "../utils/responseExport.js"
+
+const SATISFACTION = ["Satisfied", "Neutral", "Dissatisfied"]
+
+// One question of every type, as lean survey documents hold them
+const survey = {
+  _id: "survey1",
+  title: "Engagement",
+  version: 1,
+  questions: [
+    { _id: "text1", text: "Comments", type: "text" },
+    {
+      _id: "radio1",
+      text: "Overall satisfaction",
+      type: "radio",
+      options: SATISFACTION,
+      scale: { scores: SATISFACTION.map((option, index) => ({ option, score: 3 - index })) },
+    },
+    { _id: "checkbox1", text: "Benefits used", type: "checkbox", options: ["Gym", "Meals", "Transport"] },
+    { _id: "star1", text: "Rate your team", type: "star" },
+    {
+      _id: "matrix1",
+      text: "Agreement",
+      type: "matrix",
+      statements: ["I feel valued", "I have the tools I need"],
+      options: ["Agree", "Neutral", "Disagree"],
+    },
+    { _id: "nps1", text: "Recommend us", type: "nps" },
+    { _id: "number1", text: "Hours per week", type: "number", min: 0, max: 80 },
+    { _id: "date1", text: "Start date", type: "date" },
+    { _id: "dropdown1", text: "Office", type: "dropdown", options: ["North", "South"] },
+    { _id: "ranking1", text: "Priorities", type: "ranking", options: ["Pay", "Team", "Commute"] },
+  ],
+}
+
+const response = {
+  _id: "response1",
+  surveyId: "survey1",
+  surveyVersion: 1,
+  department: "Sales",
+  tenure: "up to 1 year",
+  timestamp: new Date("2024-03-05T10:30:00Z"),
+  answers: {
+    text1: "More training",
+    radio1: "Neutral",
+    checkbox1: ["Gym", "Meals"],
+    star1: 4,
+    matrix1: ["Agree", "Disagree"],
+    nps1: 9,
+    number1: 38,
+    date1: new Date("2023-11-20T00:00:00Z"),
+    dropdown1: "South",
+    ranking1: ["Team", "Pay", "Commute"],
+  },
+}
+
+const columns = getSurveyColumns(survey)
+const column = (key) => columns.find((c) => c.key === key)
+
+describe("formatAnswer", () => {
+  it("writes unanswered questions as empty text", () => {
+    assert.equal(formatAnswer(column("text1"), undefined), "")
+    assert.equal(formatAnswer(column("text1"), null), "")
+  })
+
+  it("writes text, radio and dropdown answers as they are", () => {
+    assert.equal(formatAnswer(column("text1"), "More training"), "More training")
+    assert.equal(formatAnswer(column("radio1"), "Neutral"), "Neutral")
+    assert.equal(formatAnswer(column("dropdown1"), "South"), "South")
+  })
+
+  it("joins checkbox answers with commas and ranking answers most preferred first", () => {
+    assert.equal(formatAnswer(column("checkbox1"), ["Gym", "Meals"]), "Gym, Meals")
+    assert.equal(formatAnswer(column("ranking1"), ["Team", "Pay", "Commute"]), "Team > Pay > Commute")
+  })
+
+  it("writes star, nps and number answers as numbers", () => {
+    assert.equal(formatAnswer(column("star1"), 4), "4")
+    assert.equal(formatAnswer(column("nps1"), 0), "0")
+    assert.equal(formatAnswer(column("number1"), 38.5), "38.5")
+  })
+
+  it("writes matrix statements' options", () => {
+    assert.equal(formatAnswer(column("matrix1:1"), "Disagree"), "Disagree")
+  })
+
+  it("writes dates in ISO format, without the time for date questions", () => {
+    assert.equal(formatAnswer(column("date1"), new Date("2023-11-20T00:00:00Z")), "2023-11-20")
+    assert.equal(formatAnswer(column("text1"), new Date("2023-11-20T08:15:00Z")), "2023-11-20T08:15:00.000Z")
+  })
+})
+
+describe("getAnswerCode", () => {
+  it("codes scaled answers by their score", () => {
+    assert.equal(getAnswerCode(column("radio1"), "Satisfied"), 3)
+    assert.equal(getAnswerCode(column("radio1"), "Dissatisfied"), 1)
+  })
+
+  it("codes radio, dropdown and matrix answers without a scale by option order", () => {
+    assert.equal(getAnswerCode(column("dropdown1"), "South"), 2)
+    assert.equal(getAnswerCode(column("matrix1:0"), "Agree"), 1)
+    assert.equal(getAnswerCode(column("matrix1:1"), "Disagree"), 3)
+  })
+
+  it("codes star, nps and number answers by their number", () => {
+    assert.equal(getAnswerCode(column("star1"), 4), 4)
+    assert.equal(getAnswerCode(column("nps1"), 0), 0)
+    assert.equal(getAnswerCode(column("number1"), "38.5"), 38.5)
+    assert.equal(getAnswerCode(column("number1"), "many"), null)
+  })
+
+  it("gives no code to text, checkbox, date and ranking answers", () => {
+    assert.equal(getAnswerCode(column("text1"), "More training"), null)
+    assert.equal(getAnswerCode(column("checkbox1"), ["Gym"]), null)
+    assert.equal(getAnswerCode(column("date1"), new Date("2023-11-20T00:00:00Z")), null)
+    assert.equal(getAnswerCode(column("ranking1"), ["Team", "Pay"]), null)
+  })
+
+  it("gives no code to unanswered questions or unknown options", () => {
+    assert.equal(getAnswerCode(column("radio1"), undefined), null)
+    assert.equal(getAnswerCode(column("nps1"), ""), null)
+    assert.equal(getAnswerCode(column("dropdown1"), "East"), null)
+  })
+})
+
+describe("toExportRecords", () => {
+  it("exports one wide record keyed by question, with one column per matrix statement", () => {
+    const [record] = toExportRecords(response, survey, columns, "wide")
+
+    assert.deepEqual(record, {
+      responseId: "response1",
+      surveyId: "survey1",
+      surveyTitle: "Engagement",
+      surveyVersion: 1,
+      department: "Sales",
+      tenure: "up to 1 year",
+      submittedAt: "2024-03-05T10:30:00.000Z",
+      answers: {
+        text1: "More training",
+        radio1: "Neutral",
+        checkbox1: "Gym, Meals",
+        star1: "4",
+        "matrix1:0": "Agree",
+        "matrix1:1": "Disagree",
+        nps1: "9",
+        number1: "38",
+        date1: "2023-11-20",
+        dropdown1: "South",
+        ranking1: "Team > Pay > Commute",
+      },
+    })
+  })
+
+  it("exports one long record per answered question and matrix statement, with its code", () => {
+    const records = toExportRecords(response, survey, columns, "long")
+    const answers = records.map(({ questionId, statement, questionType, answer, answerCode }) => [
+      questionId,
+      statement,
+      questionType,
+      answer,
+      answerCode,
+    ])
+
+    assert.deepEqual(answers, [
+      ["text1", null, "text", "More training", null],
+      ["radio1", null, "radio", "Neutral", 2],
+      ["checkbox1", null, "checkbox", "Gym, Meals", null],
+      ["star1", null, "star", "4", 4],
+      ["matrix1", "I feel valued", "matrix", "Agree", 1],
+      ["matrix1", "I have the tools I need", "matrix", "Disagree", 3],
+      ["nps1", null, "nps", "9", 9],
+      ["number1", null, "number", "38", 38],
+      ["date1", null, "date", "2023-11-20", null],
+      ["dropdown1", null, "dropdown", "South", 2],
+      ["ranking1", null, "ranking", "Team > Pay > Commute", null],
+    ])
+    assert.equal(records[4].question, "Agreement - I feel valued")
+    assert.equal(records[0].department, "Sales")
+  })
+
+  it("leaves unanswered questions empty in the wide layout and out of the long layout", () => {
+    const partial = { ...response, answers: { nps1: 0, checkbox1: [] } }
+
+    const [record] = toExportRecords(partial, survey, columns, "wide")
+    assert.equal(record.answers.nps1, "0")
+    assert.equal(record.answers.text1, "")
+    assert.equal(record.answers["matrix1:0"], "")
+
+    const records = toExportRecords(partial, survey, columns, "long")
+    assert.deepEqual(
+      records.map((r) => [r.questionId, r.answerCode]),
+      [["nps1", 0]],
+    )
+  })
+
+  it("only exports the questions of the version the response answered", () => {
+    const revised = {
+      ...survey,
+      version: 2,
+      questions: [{ _id: "nps1", text: "Recommend us", type: "nps" }],
+      questionHistory: [{ version: 1, questions: survey.questions }],
+    }
+    const revisedColumns = getSurveyColumns(revised)
+
+    const [current] = toExportRecords({ ...response, surveyVersion: 2 }, revised, revisedColumns, "wide")
+    assert.deepEqual(current.answers, { nps1: "9" })
+    assert.equal(current.surveyVersion, 2)
+
+    const [earlier] = toExportRecords(response, revised, revisedColumns, "wide")
+    assert.equal(Object.keys(earlier.answers).length, 11)
+  })
+})
+
+describe("buildCodebook", () => {
+  const codebook = buildCodebook([survey])
+  const rows = (questionId) => codebook.filter((row) => row.questionId === questionId)
+
+  it("lists scale scores for scaled questions", () => {
+    assert.deepEqual(
+      rows("radio1").map(({ code, label, codeSource }) => [code, label, codeSource]),
+      [
+        [3, "Satisfied", "scale"],
+        [2, "Neutral", "scale"],
+        [1, "Dissatisfied", "scale"],
+      ],
+    )
+  })
+
+  it("lists option order codes for dropdown questions and each matrix statement", () => {
+    assert.deepEqual(
+      rows("dropdown1").map(({ code, label, codeSource }) => [code, label, codeSource]),
+      [
+        [1, "North", "option order"],
+        [2, "South", "option order"],
+      ],
+    )
+    const matrix = rows("matrix1")
+    assert.equal(matrix.length, 6)
+    assert.deepEqual(
+      matrix.map(({ statement, code, label }) => [statement, code, label]),
+      [
+        ["I feel valued", 1, "Agree"],
+        ["I feel valued", 2, "Neutral"],
+        ["I feel valued", 3, "Disagree"],
+        ["I have the tools I need", 1, "Agree"],
+        ["I have the tools I need", 2, "Neutral"],
+        ["I have the tools I need", 3, "Disagree"],
+      ],
+    )
+  })
+
+  it("codes star ratings by their number of stars", () => {
+    assert.deepEqual(
+      rows("star1").map(({ code, label, codeSource }) => [code, label, codeSource]),
+      ["1", "2", "3", "4", "5"].map((stars) => [Number(stars), stars, "scale"]),
+    )
+  })
+
+  it("gives nps and number questions a single row coded by the answer's number", () => {
+    for (const key of ["nps1", "number1"]) {
+      assert.deepEqual(
+        rows(key).map(({ code, label, codeSource }) => [code, label, codeSource]),
+        [[null, null, "the answer's number"]],
+      )
+    }
+  })
+
+  it("gives text, checkbox, date and ranking questions a single row without codes", () => {
+    for (const key of ["text1", "checkbox1", "date1", "ranking1"]) {
+      assert.deepEqual(
+        rows(key).map(({ code, label, codeSource }) => [code, label, codeSource]),
+        [[null, null, null]],
+      )
+    }
+  })
+
+  it("describes every question of the survey", () => {
+    assert.equal(codebook[0].surveyTitle, "Engagement")
+    assert.deepEqual(
+      [...new Set(codebook.map((row) => row.questionType))],
+      ["text", "radio", "checkbox", "star", "matrix", "nps", "number", "date", "dropdown", "ranking"],
+    )
+  })
+})
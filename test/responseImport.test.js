@@ -0,0 +1,321 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { planImport, skipExisting } from "../utils/responseImport.js"
+
+// Version 2 of a survey, with the question version 1 had instead
+const survey = {
+  _id: "survey1",
+  title: "Engagement",
+  version: 2,
+  questions: [
+    { _id: "radio1", text: "Overall satisfaction", type: "radio", options: ["Satisfied", "Neutral", "Dissatisfied"] },
+    { _id: "checkbox1", text: "Benefits used", type: "checkbox", options: ["Gym", "Meals", "Transport"] },
+    { _id: "star1", text: "Rate your team", type: "star" },
+    {
+      _id: "matrix1",
+      text: "Agreement",
+      type: "matrix",
+      statements: ["I feel valued", "I have the tools I need"],
+      options: ["Agree", "Disagree"],
+    },
+    { _id: "ranking1", text: "Priorities", type: "ranking", options: ["Pay", "Team"] },
+  ],
+  questionHistory: [{ version: 1, questions: [{ _id: "text1", text: "Comments", type: "text" }] }],
+}
+
+const NOW = new Date("2025-01-01T00:00:00Z")
+
+// A row of a wide export of the survey
+const exportRow = (fields = {}) => ({
+  "Response ID": "64b000000000000000000001",
+  "Survey ID": "survey1",
+  "Survey Version": "2",
+  Department: "Sales",
+  Tenure: "0-6 months",
+  "Submitted At": "2024-03-05T10:30:00.000Z",
+  "Overall satisfaction": "Neutral",
+  "Benefits used": "Gym, Meals",
+  "Rate your team": "4",
+  "Agreement - I feel valued": "Agree",
+  "Agreement - I have the tools I need": "Disagree",
+  Priorities: "Team > Pay",
+  Comments: "",
+  ...fields,
+})
+
+const wideFile = (...rows) => ({ headers: Object.keys(rows[0]), rows })
+
+// A row of a long export of the survey
+const answerRow = (questionId, answer, fields = {}) => ({
+  "Response ID": "64b000000000000000000001",
+  "Survey ID": "survey1",
+  "Survey Version": "2",
+  Department: "Sales",
+  Tenure: "0-6 months",
+  "Submitted At": "2024-03-05T10:30:00.000Z",
+  "Question ID": questionId,
+  Statement: "",
+  Question: "",
+  Answer: answer,
+  ...fields,
+})
+
+const plan = (file, options = {}) => planImport(survey, file, { now: NOW, ...options }).plan
+
+const rowErrors = (file, options) => plan(file, options).errors.map(({ row, message }) => [row, message])
+
+describe("planImport", () => {
+  it("reads the rows of a wide export as responses to the version they answered", () => {
+    const { layout, responses, skipped, errors } = plan(
+      wideFile(
+        exportRow(),
+        exportRow({
+          "Response ID": "64b000000000000000000002",
+          "Survey Version": "1",
+          "Overall satisfaction": "",
+          "Benefits used": "",
+          "Rate your team": "",
+          "Agreement - I feel valued": "",
+          "Agreement - I have the tools I need": "",
+          Priorities: "",
+          Comments: "More training",
+        }),
+      ),
+    )
+
+    assert.equal(layout, "wide")
+    assert.deepEqual(skipped, [])
+    assert.deepEqual(errors, [])
+    assert.deepEqual(
+      responses.map(({ row }) => row),
+      [2, 3],
+    )
+
+    const [current, earlier] = responses.map(({ response }) => response)
+    assert.equal(current._id.toString(), "64b000000000000000000001")
+    assert.equal(current.surveyId, "survey1")
+    assert.equal(current.surveyVersion, 2)
+    assert.equal(current.department, "Sales")
+    assert.equal(current.tenure, "0-6 months")
+    assert.deepEqual(current.timestamp, new Date("2024-03-05T10:30:00.000Z"))
+    assert.deepEqual(current.answers, {
+      radio1: "Neutral",
+      checkbox1: "Gym, Meals",
+      star1: "4",
+      matrix1: ["Agree", "Disagree"],
+      ranking1: ["Team", "Pay"],
+    })
+    assert.equal(earlier.surveyVersion, 1)
+    assert.deepEqual(earlier.answers, { text1: "More training" })
+  })
+
+  it("reads Excel-safe cells, options in any case and star ratings written as stars", () => {
+    const { responses, errors } = plan(
+      wideFile(exportRow({ Department: '="Sales"', "Overall satisfaction": "neutral", "Rate your team": "4 stars" })),
+    )
+
+    assert.deepEqual(errors, [])
+    assert.equal(responses[0].response.department, "Sales")
+    assert.equal(responses[0].response.answers.radio1, "Neutral")
+    assert.equal(responses[0].response.answers.star1, "4")
+  })
+
+  it("reads other layouts through a mapping of their columns, and ignores columns mapped to null", () => {
+    const file = {
+      headers: ["Timestamp", "Email", "Team", "Years here", "How happy are you at work?"],
+      rows: [
+        {
+          Timestamp: "2024-03-05 10:30",
+          Email: "someone@example.com",
+          Team: "Sales",
+          "Years here": "1-2 years",
+          "How happy are you at work?": "Satisfied",
+        },
+      ],
+    }
+    const minimal = { ...survey, version: 1, questions: survey.questions.slice(0, 1), questionHistory: [] }
+    const { plan: result } = planImport(minimal, file, {
+      now: NOW,
+      mapping: {
+        Timestamp: "submittedAt",
+        Email: null,
+        Team: "Department",
+        "Years here": "tenure",
+        "How happy are you at work?": "Overall satisfaction",
+      },
+    })
+
+    assert.deepEqual(result.errors, [])
+    assert.deepEqual(
+      result.columns.map(({ column, readAs }) => [column, readAs]),
+      [
+        ["Timestamp", "submittedAt"],
+        ["Email", null],
+        ["Team", "department"],
+        ["Years here", "tenure"],
+        ["How happy are you at work?", "Overall satisfaction"],
+      ],
+    )
+    assert.deepEqual(result.responses[0].response.answers, { radio1: "Satisfied" })
+    assert.equal(result.responses[0].response._id, undefined)
+  })
+
+  it("rejects mappings of unknown columns or targets, and two columns holding the same thing", () => {
+    const file = wideFile(exportRow())
+
+    assert.deepEqual(planImport(survey, file, { mapping: ["Department"] }), {
+      error: "Column mapping must be an object of CSV column -> field or question",
+    })
+    assert.deepEqual(planImport(survey, file, { mapping: { Team: "department" } }), {
+      error: 'The file has no column "Team" to map',
+    })
+    assert.deepEqual(planImport(survey, file, { mapping: { Comments: "Favourite colour" } }), {
+      error: 'Unknown mapping target "Favourite colour" for column "Comments": use a response field or a question',
+    })
+    assert.deepEqual(planImport(survey, file, { mapping: { Comments: "radio1" } }), {
+      error: 'More than one column holds "Overall satisfaction"',
+    })
+  })
+
+  it("rejects files without a submission time or any question", () => {
+    const { "Submitted At": _, ...withoutTime } = exportRow()
+    assert.deepEqual(planImport(survey, wideFile(withoutTime)), {
+      error: "The file has no submission time column; map one to submittedAt",
+    })
+
+    const noQuestions = { headers: ["Department", "Tenure", "Submitted At", "Notes"], rows: [] }
+    assert.deepEqual(planImport(survey, noQuestions), {
+      error: "None of the columns matches a question of the survey; map them to questions",
+    })
+  })
+
+  it("lists the errors of each row that can't be imported", () => {
+    const errors = rowErrors(
+      wideFile(
+        exportRow({ "Response ID": "", Department: "", Tenure: "" }),
+        exportRow({ "Response ID": "", "Submitted At": "" }),
+        exportRow({ "Response ID": "", "Submitted At": "last spring" }),
+        exportRow({ "Response ID": "", "Submitted At": "2030-01-01T00:00:00Z" }),
+        exportRow({ "Response ID": "", "Survey Version": "7" }),
+        exportRow({ "Response ID": "", Comments: "More training" }),
+        exportRow({ "Response ID": "", "Overall satisfaction": "Thrilled", "Rate your team": "" }),
+      ),
+    )
+
+    assert.deepEqual(errors, [
+      [2, "Department is missing"],
+      [2, "Tenure is missing"],
+      [3, "Submission time is missing"],
+      [4, "Invalid submission time: last spring"],
+      [5, "Submission time is in the future: 2030-01-01T00:00:00Z"],
+      [6, "Survey version 7 doesn't exist"],
+      [7, `"Comments" isn't in version 2 of the survey`],
+      [8, `"Overall satisfaction": "Thrilled" is not one of the options`],
+      [8, `"Rate your team": This question is required`],
+    ])
+  })
+
+  it("rejects the Other and Suppressed groups of anonymised exports", () => {
+    const errors = rowErrors(
+      wideFile(
+        exportRow({ "Response ID": "", Department: "Other" }),
+        exportRow({ "Response ID": "", Tenure: "Suppressed" }),
+      ),
+    )
+
+    assert.deepEqual(errors, [
+      [2, 'Department "Other" is a group of an anonymised export, not a department'],
+      [3, 'Tenure "Suppressed" is a group of an anonymised export, not a tenure'],
+    ])
+  })
+
+  it("skips rows of other surveys", () => {
+    const result = plan(wideFile(exportRow({ "Survey ID": "survey2" }), exportRow()))
+
+    assert.deepEqual(result.skipped, [{ row: 2, reason: "Row belongs to survey survey2" }])
+    assert.deepEqual(
+      result.responses.map(({ row }) => row),
+      [3],
+    )
+  })
+
+  it("imports a response ID once and reports the rows repeating it", () => {
+    const result = plan(wideFile(exportRow(), exportRow({ Department: "IT" })))
+
+    assert.equal(result.responses.length, 1)
+    assert.deepEqual(result.errors, [
+      { row: 3, message: "Response ID 64b000000000000000000001 appears more than once" },
+    ])
+  })
+
+  it("groups the rows of a long export by response, matching matrix statements by their text", () => {
+    const rows = [
+      answerRow("radio1", "Satisfied"),
+      answerRow("star1", "5"),
+      answerRow("matrix1", "Agree", { Statement: "I feel valued" }),
+      answerRow("matrix1", "Agree", { Statement: "i have the tools i need" }),
+      answerRow("ranking1", "Pay > Team"),
+      answerRow("text1", "More training", { "Response ID": "64b000000000000000000002", "Survey Version": "1" }),
+    ]
+    const result = plan({ headers: Object.keys(rows[0]), rows })
+
+    assert.equal(result.layout, "long")
+    assert.deepEqual(result.errors, [])
+    assert.deepEqual(
+      result.responses.map(({ row, response }) => [row, response.answers]),
+      [
+        [2, { radio1: "Satisfied", star1: "5", matrix1: ["Agree", "Agree"], ranking1: ["Pay", "Team"] }],
+        [7, { text1: "More training" }],
+      ],
+    )
+  })
+
+  it("reports long rows without a response ID or naming an unknown question", () => {
+    const rows = [
+      answerRow("radio1", "Satisfied", { "Response ID": "" }),
+      answerRow("radio9", "Satisfied"),
+      answerRow("matrix1", "Agree", { Statement: "I like Mondays" }),
+    ]
+
+    // The response the other rows belong to is left without answers; only the errors of the rows are checked here
+    const errors = rowErrors({ headers: Object.keys(rows[0]), rows }).filter(([, message]) => !message.startsWith('"'))
+
+    assert.deepEqual(errors, [
+      [2, "Response ID is missing"],
+      [3, "Unknown question radio9"],
+      [4, "Unknown question matrix1 - I like Mondays"],
+    ])
+  })
+
+  it("needs a response ID column to read a long file", () => {
+    const { "Response ID": _, ...row } = answerRow("radio1", "Satisfied")
+
+    assert.deepEqual(planImport(survey, { headers: Object.keys(row), rows: [row] }), {
+      error: "A file with one row per answer needs a Response ID column",
+    })
+  })
+})
+
+describe("skipExisting", () => {
+  it("skips the responses already in the database, keeping rows in order", () => {
+    const result = skipExisting(
+      plan(
+        wideFile(
+          exportRow(),
+          exportRow({ "Survey ID": "survey2" }),
+          exportRow({ "Response ID": "64b000000000000000000002" }),
+        ),
+      ),
+      new Set(["64b000000000000000000001"]),
+    )
+
+    assert.deepEqual(
+      result.responses.map(({ row }) => row),
+      [4],
+    )
+    assert.deepEqual(result.skipped, [
+      { row: 2, reason: "Response is already imported" },
+      { row: 3, reason: "Row belongs to survey survey2" },
+    ])
+  })
+})
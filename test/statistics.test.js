@@ -0,0 +1,181 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  chiSquarePValue,
+  chiSquareTest,
+  formatPValue,
+  kruskalWallisTest,
+  meanInterval,
+  proportionInterval,
+} from "../utils/statistics.js"
+
+const assertClose = (actual, expected, tolerance = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`)
+
+describe("proportionInterval", () => {
+  it("gives the Wilson interval at 95% confidence", () => {
+    const interval = proportionInterval(5, 10)
+
+    assert.equal(interval.estimate, 0.5)
+    assert.equal(interval.n, 10)
+    assertClose(interval.lower, 0.2366)
+    assertClose(interval.upper, 0.7634)
+    assertClose(interval.marginOfError, 0.2634)
+  })
+
+  it("stays within 0 and 1 when nobody or everybody chose the option", () => {
+    const none = proportionInterval(0, 10)
+    assert.equal(none.lower, 0)
+    assertClose(none.upper, 0.2775)
+
+    const all = proportionInterval(10, 10)
+    assertClose(all.lower, 0.7225)
+    assertClose(all.upper, 1)
+  })
+
+  it("returns null without responses", () => {
+    assert.equal(proportionInterval(0, 0), null)
+  })
+})
+
+describe("meanInterval", () => {
+  it("uses the t distribution for small samples", () => {
+    // 1, 2 and 3: standard deviation 1, t = 4.303 for 2 degrees of freedom
+    const interval = meanInterval({ 1: 1, 2: 1, 3: 1 })
+
+    assert.equal(interval.mean, 2)
+    assert.equal(interval.n, 3)
+    assert.equal(interval.standardDeviation, 1)
+    assertClose(interval.marginOfError, 4.303 / Math.sqrt(3), 1e-3)
+    assertClose(interval.lower, 2 - interval.marginOfError, 1e-12)
+    assertClose(interval.upper, 2 + interval.marginOfError, 1e-12)
+  })
+
+  it("uses the normal distribution for large samples", () => {
+    const interval = meanInterval({ 3: 40, 5: 40 })
+
+    assert.equal(interval.mean, 4)
+    assert.equal(interval.n, 80)
+    assertClose(interval.marginOfError, (1.96 * interval.standardDeviation) / Math.sqrt(80), 1e-3)
+  })
+
+  it("gives no interval for a single value, and nothing without values", () => {
+    assert.deepEqual(meanInterval({ 4: 1 }), {
+      mean: 4,
+      n: 1,
+      standardDeviation: null,
+      marginOfError: null,
+      lower: null,
+      upper: null,
+    })
+    assert.equal(meanInterval({}), null)
+  })
+})
+
+describe("chiSquarePValue", () => {
+  it("matches the critical values of the chi-square table", () => {
+    assertClose(chiSquarePValue(3.8415, 1), 0.05)
+    assertClose(chiSquarePValue(6.6349, 1), 0.01)
+    assertClose(chiSquarePValue(5.9915, 2), 0.05)
+    assertClose(chiSquarePValue(11.0705, 5), 0.05)
+  })
+
+  it("is 1 for a statistic of 0", () => {
+    assert.equal(chiSquarePValue(0, 3), 1)
+  })
+})
+
+describe("chiSquareTest", () => {
+  it("tests independence of a contingency table", () => {
+    // Every expected count is 15, so the statistic is 4 * 5² / 15
+    const result = chiSquareTest([
+      [10, 20],
+      [20, 10],
+    ])
+
+    assert.equal(result.test, "chi-square")
+    assertClose(result.statistic, 20 / 3, 1e-12)
+    assert.equal(result.degreesOfFreedom, 1)
+    assertClose(result.pValue, 0.0098)
+    assert.equal(result.reliable, true)
+    assert.equal(result.significant, true)
+  })
+
+  it("drops empty rows and columns before counting degrees of freedom", () => {
+    const result = chiSquareTest([
+      [0, 0, 0],
+      [10, 0, 20],
+      [20, 0, 10],
+    ])
+
+    assertClose(result.statistic, 20 / 3, 1e-12)
+    assert.equal(result.degreesOfFreedom, 1)
+  })
+
+  it("is not reliable, nor significant, when expected counts are small", () => {
+    const result = chiSquareTest([
+      [4, 0],
+      [0, 4],
+    ])
+
+    assert.ok(result.pValue < 0.05)
+    assert.equal(result.reliable, false)
+    assert.equal(result.significant, false)
+  })
+
+  it("returns null for fewer than 2 non-empty rows or columns", () => {
+    assert.equal(chiSquareTest([[5, 5]]), null)
+    assert.equal(
+      chiSquareTest([
+        [5, 0],
+        [6, 0],
+      ]),
+      null,
+    )
+  })
+})
+
+describe("kruskalWallisTest", () => {
+  it("corrects for ties", () => {
+    // Every value is tied within its group: H = 6.818 before the tie correction of 1 - 240 / 990
+    const result = kruskalWallisTest([{ 1: 5 }, { 2: 5 }])
+
+    assert.equal(result.test, "Kruskal-Wallis")
+    assertClose(result.statistic, 9, 1e-9)
+    assert.equal(result.degreesOfFreedom, 1)
+    assertClose(result.pValue, 0.0027)
+    assert.equal(result.reliable, true)
+    assert.equal(result.significant, true)
+  })
+
+  it("finds no difference between groups with the same values", () => {
+    const same = { 1: 1, 2: 1, 3: 1, 4: 1, 5: 1 }
+    const result = kruskalWallisTest([same, same, same])
+
+    assert.equal(result.statistic, 0)
+    assert.equal(result.degreesOfFreedom, 2)
+    assert.equal(result.pValue, 1)
+    assert.equal(result.significant, false)
+  })
+
+  it("is not reliable, nor significant, when a group has fewer than 5 values", () => {
+    const result = kruskalWallisTest([{ 1: 4 }, { 5: 10 }])
+
+    assert.ok(result.pValue < 0.05)
+    assert.equal(result.reliable, false)
+    assert.equal(result.significant, false)
+  })
+
+  it("returns null for fewer than 2 groups", () => {
+    assert.equal(kruskalWallisTest([{ 3: 4 }]), null)
+  })
+})
+
+describe("formatPValue", () => {
+  it("rounds to 3 decimals and doesn't write very small values as 0", () => {
+    assert.equal(formatPValue(0.0321), "p = 0.032")
+    assert.equal(formatPValue(0.5), "p = 0.500")
+    assert.equal(formatPValue(0.001), "p = 0.001")
+    assert.equal(formatPValue(0.0004), "p < 0.001")
+  })
+})
@@ -0,0 +1,209 @@
+// Minimum group size (k-anonymity) for every reporting output. Department and tenure groups with
+// fewer respondents are merged into "Other"; if the merged group is still too small it is suppressed.
+// Suppressed responses are left out of every figure, not only the breakdowns: a total reported with them next to
+// breakdowns reported without them would give their answers away. Merged and suppressed groups are never named.
+export const OTHER_GROUP = "Other"
+export const SUPPRESSED_GROUP = "Suppressed"
+
+const DEFAULT_THRESHOLD = 5
+
+export function getAnonymityThreshold(value = process.env.ANONYMITY_THRESHOLD) {
+  const threshold = Number.parseInt(value, 10)
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_THRESHOLD
+}
+
+// Map each group name to the label it is reported under
+function buildGroupLabels(counts, threshold) {
+  const labels = new Map()
+  const merged = []
+  let otherCount = 0
+
+  counts.forEach((count, group) => {
+    if (count < threshold) {
+      merged.push(group)
+      otherCount += count
+    } else {
+      labels.set(group, group)
+    }
+  })
+
+  const mergedLabel = otherCount >= threshold ? OTHER_GROUP : SUPPRESSED_GROUP
+  merged.forEach((group) => labels.set(group, mergedLabel))
+
+  return { labels, mergedCount: mergedLabel === OTHER_GROUP ? merged.length : 0 }
+}
+
+const sumCounts = (counts) => [...counts.values()].reduce((a, b) => a + b, 0)
+
+// Response count per tenure group across every department of a department -> Map(tenure -> count) Map
+function countTenures(counts) {
+  const tenureCounts = new Map()
+  counts.forEach((tenures) =>
+    tenures.forEach((count, tenure) => tenureCounts.set(tenure, (tenureCounts.get(tenure) || 0) + count)),
+  )
+  return tenureCounts
+}
+
+/**
+ * Label `counts` (department -> Map(tenure -> count)) with `labelCounts` until no group is suppressed. Leaving the
+ * suppressed responses out can take another group below the threshold, so the remaining ones are labelled again.
+ * `labelCounts(counts)` returns { label(department, tenure) -> { department, tenure }, ... }. Returns its last result
+ * plus the `remaining` counts and `suppressedResponseCount`; `isSuppressed(department, tenure)` tells which
+ * responses were left out.
+ */
+function withoutSuppressedGroups(counts, labelCounts) {
+  let remaining = counts
+  let suppressedResponseCount = 0
+  const suppressedCells = new Set()
+  const cellKey = (department, tenure) => JSON.stringify([department, tenure])
+
+  for (;;) {
+    const result = labelCounts(remaining)
+    const kept = new Map()
+    let suppressed = 0
+
+    remaining.forEach((tenures, department) => {
+      tenures.forEach((count, tenure) => {
+        const groups = result.label(department, tenure)
+        if (groups.department === SUPPRESSED_GROUP || groups.tenure === SUPPRESSED_GROUP) {
+          suppressed += count
+          suppressedCells.add(cellKey(department, tenure))
+          return
+        }
+        if (!kept.has(department)) kept.set(department, new Map())
+        kept.get(department).set(tenure, count)
+      })
+    })
+
+    if (suppressed === 0) {
+      const isSuppressed = (department, tenure) => suppressedCells.has(cellKey(department, tenure))
+      return { ...result, remaining, suppressedResponseCount, isSuppressed }
+    }
+    suppressedResponseCount += suppressed
+    remaining = kept
+  }
+}
+
+/**
+ * Labels for reports, which break responses down by department and, separately, by tenure group across every
+ * department. `counts` maps department -> Map(tenure -> count). Returns Maps of department and tenure group -> label
+ * (SUPPRESSED_GROUP for groups whose responses are left out), the `excluded` departments and tenure groups to leave
+ * out of the analysis, the `remaining` counts of the responses analysed and a summary for describeAnonymity.
+ */
+export function getReportLabels(counts, threshold = getAnonymityThreshold()) {
+  const result = withoutSuppressedGroups(counts, (remaining) => {
+    const departments = buildGroupLabels(
+      new Map([...remaining].map(([department, tenures]) => [department, sumCounts(tenures)])),
+      threshold,
+    )
+    const tenures = buildGroupLabels(countTenures(remaining), threshold)
+    return {
+      departments,
+      tenures,
+      label: (department, tenure) => ({
+        department: departments.labels.get(department),
+        tenure: tenures.labels.get(tenure),
+      }),
+    }
+  })
+
+  // Groups are left out whole: every department and tenure group not reported any more was suppressed
+  const departmentLabels = new Map(result.departments.labels)
+  const tenureLabels = new Map(result.tenures.labels)
+  const excluded = { departments: [], tenures: [] }
+  counts.forEach((tenures, department) => {
+    if (!departmentLabels.has(department)) {
+      departmentLabels.set(department, SUPPRESSED_GROUP)
+      excluded.departments.push(department)
+    }
+    for (const tenure of tenures.keys()) {
+      if (!tenureLabels.has(tenure)) {
+        tenureLabels.set(tenure, SUPPRESSED_GROUP)
+        excluded.tenures.push(tenure)
+      }
+    }
+  })
+
+  return {
+    departmentLabels,
+    tenureLabels,
+    excluded,
+    remaining: result.remaining,
+    summary: {
+      threshold,
+      mergedDepartmentCount: result.departments.mergedCount,
+      mergedTenureCount: result.tenures.mergedCount,
+      suppressedResponseCount: result.suppressedResponseCount,
+    },
+  }
+}
+
+/**
+ * Department and tenure-within-department labels from a response count per department and tenure, for exports,
+ * which stream responses instead of holding them all. `counts` maps department -> Map(tenure -> count). Returns
+ * `label(department, tenure)`, giving the { department, tenure } to export or null for a response that is left out,
+ * and a summary for describeAnonymity.
+ */
+export function getGroupLabels(counts, threshold = getAnonymityThreshold()) {
+  const result = withoutSuppressedGroups(counts, (remaining) => {
+    const departments = buildGroupLabels(
+      new Map([...remaining].map(([department, tenures]) => [department, sumCounts(tenures)])),
+      threshold,
+    )
+
+    // Tenure groups are counted within each reported department, so merged departments are counted together
+    const byDepartment = new Map()
+    remaining.forEach((tenures, department) => {
+      const label = departments.labels.get(department)
+      const tenureCounts = byDepartment.get(label) || new Map()
+      tenures.forEach((count, tenure) => tenureCounts.set(tenure, (tenureCounts.get(tenure) || 0) + count))
+      byDepartment.set(label, tenureCounts)
+    })
+
+    let mergedTenureCount = 0
+    const tenureLabels = new Map()
+    byDepartment.forEach((tenureCounts, department) => {
+      const tenures = buildGroupLabels(tenureCounts, threshold)
+      mergedTenureCount += tenures.mergedCount
+      tenureLabels.set(department, tenures.labels)
+    })
+
+    return {
+      mergedDepartmentCount: departments.mergedCount,
+      mergedTenureCount,
+      label: (department, tenure) => {
+        const departmentLabel = departments.labels.get(department)
+        return { department: departmentLabel, tenure: tenureLabels.get(departmentLabel)?.get(tenure) }
+      },
+    }
+  })
+
+  return {
+    label: (department, tenure) => (result.isSuppressed(department, tenure) ? null : result.label(department, tenure)),
+    summary: {
+      threshold,
+      mergedDepartmentCount: result.mergedDepartmentCount,
+      mergedTenureCount: result.mergedTenureCount,
+      suppressedResponseCount: result.suppressedResponseCount,
+    },
+  }
+}
+
+// One-line explanation of the suppression applied, or null when nothing was merged or left out
+export function describeAnonymity(summary) {
+  const parts = []
+  if (summary.mergedDepartmentCount > 0) {
+    parts.push(`departments with fewer than ${summary.threshold} responses are combined as "${OTHER_GROUP}"`)
+  }
+  if (summary.mergedTenureCount > 0) {
+    parts.push(`tenure groups with fewer than ${summary.threshold} responses are combined as "${OTHER_GROUP}"`)
+  }
+  if (summary.suppressedResponseCount > 0) {
+    const responses = summary.suppressedResponseCount === 1 ? "response is" : "responses are"
+    parts.push(`${summary.suppressedResponseCount} ${responses} left out, from groups too small to combine`)
+  }
+  if (parts.length === 0) return null
+
+  const sentence = parts.join("; ")
+  return `To protect anonymity, ${sentence}.`
+}
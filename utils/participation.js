@@ -0,0 +1,36 @@
+import crypto from "crypto"
+import Participation from "../server/models/participation.model.js"
+
+const PARTICIPATION_SECRET = process.env.PARTICIPATION_SECRET
+
+// The form employee IDs were typed in before employees signed in, so claims made back then still count
+function normalizeEmployeeId(employeeId) {
+  return String(employeeId ?? "")
+    .trim()
+    .toUpperCase()
+}
+
+// The survey ID is part of the hash so one employee's participations cannot be linked across surveys
+export function hashParticipant(surveyId, employeeId) {
+  return crypto
+    .createHmac("sha256", PARTICIPATION_SECRET)
+    .update(`${surveyId}:${normalizeEmployeeId(employeeId)}`)
+    .digest("hex")
+}
+
+// Claim the one response an employee may give to a survey, by the employee ID of their signed-in account.
+// Resolves to false if it was already claimed.
+export async function claimParticipation(surveyId, employeeId) {
+  try {
+    await Participation.create({ _id: hashParticipant(surveyId, employeeId), surveyId })
+    return true
+  } catch (error) {
+    if (error.code === 11000) return false
+    throw error
+  }
+}
+
+// Undo a claim when the response itself could not be saved
+export async function releaseParticipation(surveyId, employeeId) {
+  await Participation.deleteOne({ _id: hashParticipant(surveyId, employeeId) })
+}
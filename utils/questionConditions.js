@@ -0,0 +1,67 @@
+import { getQuestionId } from "../server/models/survey.model.js"
+
+// Display conditions ("show this question when question X ..."). public/script.js has a copy of
+// evaluateCondition/getVisibleQuestionIds for the survey form; keep the two in sync.
+export const CONDITION_OPERATORS = ["equals", "notEquals", "contains", "gte", "lte"]
+
+// Checkbox answers are one ", "-joined string, other answers a single value
+function answerValues(answer) {
+  if (Array.isArray(answer)) return answer.map(String)
+  return String(answer).split(", ")
+}
+
+export function evaluateCondition(condition, answer) {
+  // An unanswered trigger question never shows its follow-ups
+  if (answer === undefined || answer === null || String(answer).trim() === "") return false
+
+  const value = String(condition.value ?? "")
+  switch (condition.operator) {
+    case "equals":
+      return String(answer) === value
+    case "notEquals":
+      return String(answer) !== value
+    case "contains":
+      return answerValues(answer).includes(value) || String(answer).toLowerCase().includes(value.toLowerCase())
+    case "gte":
+      return Number(answer) >= Number(value)
+    case "lte":
+      return Number(answer) <= Number(value)
+    default:
+      return false
+  }
+}
+
+// IDs of the questions shown for a set of answers. A question whose trigger question is hidden is hidden too.
+export function getVisibleQuestionIds(questions, answers) {
+  const visible = new Set()
+
+  questions.forEach((question) => {
+    const condition = question.condition
+    if (
+      !condition?.questionId ||
+      (visible.has(condition.questionId) && evaluateCondition(condition, answers[condition.questionId]))
+    ) {
+      visible.add(getQuestionId(question))
+    }
+  })
+
+  return visible
+}
+
+// Check a survey's conditions only point at earlier questions and use a known operator
+export function validateConditions(questions) {
+  const seen = new Set()
+
+  questions.forEach((question, index) => {
+    const condition = question.condition
+    if (condition?.questionId) {
+      if (!seen.has(String(condition.questionId))) {
+        throw new Error(`Question ${index + 1}: a condition can only depend on an earlier question`)
+      }
+      if (!CONDITION_OPERATORS.includes(condition.operator)) {
+        throw new Error(`Question ${index + 1}: unknown condition operator "${condition.operator}"`)
+      }
+    }
+    seen.add(getQuestionId(question))
+  })
+}
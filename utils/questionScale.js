@@ -0,0 +1,84 @@
+import { SCALE_QUESTION_TYPES } from "../server/models/survey.model.js"
+
+// Scores of a question's answers for satisfaction metrics. Scores are placed between the lowest and highest
+// score of the question's scale: answers above the midpoint count as satisfied, answers below it as dissatisfied.
+const STAR_OPTIONS = ["1", "2", "3", "4", "5"]
+
+// Map of answer -> score, or null when the question isn't scored
+export function getScaleScores(question) {
+  if (!SCALE_QUESTION_TYPES.includes(question.type)) return null
+
+  const scores = new Map(question.type === "star" ? STAR_OPTIONS.map((stars) => [stars, Number(stars)]) : [])
+  question.scale?.scores?.forEach(({ option, score }) => scores.set(option, score))
+  return scores.size > 0 ? scores : null
+}
+
+export function countsTowardSatisfaction(question) {
+  return getScaleScores(question) !== null && question.scale?.countsTowardSatisfaction !== false
+}
+
+/**
+ * Satisfaction of a { answer: count } tally on a scale from getScaleScores.
+ * Returns { count, averageScore, satisfied, dissatisfied } (counts of answers), or null when no answer is scored.
+ */
+export function scoreResponses(responses, scores) {
+  const values = [...scores.values()]
+  const lowest = Math.min(...values)
+  const highest = Math.max(...values)
+  const midpoint = (lowest + highest) / 2
+  const result = { count: 0, averageScore: 0, satisfied: 0, dissatisfied: 0 }
+  let total = 0
+
+  Object.entries(responses).forEach(([answer, count]) => {
+    if (!scores.has(answer)) return
+    const score = scores.get(answer)
+    result.count += count
+    total += score * count
+    if (score > midpoint) result.satisfied += count
+    else if (score < midpoint) result.dissatisfied += count
+  })
+
+  if (result.count === 0) return null
+  result.averageScore = total / result.count
+  return result
+}
+
+// { score: count } of a { answer: count } tally; answers without a score are left out
+export function getScoreCounts(responses, scores) {
+  const counts = {}
+  Object.entries(responses).forEach(([answer, count]) => {
+    if (scores.has(answer)) counts[scores.get(answer)] = (counts[scores.get(answer)] || 0) + count
+  })
+  return counts
+}
+
+// Check a scale sent by the survey builder: { scores: [{ option, score }], countsTowardSatisfaction }
+export function sanitizeScale(question, index) {
+  const scale = question.scale
+  if (!scale) return null
+
+  const label = `Question ${index + 1}`
+  if (!SCALE_QUESTION_TYPES.includes(question.type)) {
+    throw new Error(`${label}: only star rating, multiple choice, dropdown and matrix questions can have a scale`)
+  }
+
+  const options = question.type === "star" ? STAR_OPTIONS : question.options || []
+  const seen = new Set()
+  const scores = (Array.isArray(scale.scores) ? scale.scores : []).map(({ option, score } = {}) => {
+    const answer = String(option)
+    if (!options.includes(answer)) throw new Error(`${label}: "${answer}" is not one of the options`)
+    if (seen.has(answer)) throw new Error(`${label}: "${answer}" has more than one score`)
+    if (score === null || score === "" || !Number.isFinite(Number(score))) {
+      throw new Error(`${label}: the score for "${answer}" must be a number`)
+    }
+    seen.add(answer)
+    return { option: answer, score: Number(score) }
+  })
+
+  // Star ratings already have scores, other types need at least two to form a scale
+  if (question.type !== "star" && new Set(scores.map(({ score }) => score)).size < 2) {
+    throw new Error(`${label}: a scale needs at least two different scores`)
+  }
+
+  return { scores, countsTowardSatisfaction: scale.countsTowardSatisfaction !== false }
+}
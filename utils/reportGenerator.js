@@ -1,35 +1,53 @@
 import fs from "fs"
 import PDFDocument from "pdfkit"
-import csv from "csv-parser"
 import path from "path"
+import Headcount from "../server/models/headcount.model.js"
+import Response from "../server/models/response.model.js"
+import Survey, { getQuestionId, getQuestionsForVersion } from "../server/models/survey.model.js"
+import { describeAnonymity, getAnonymityThreshold, getReportLabels } from "./anonymity.js"
+import { countsTowardSatisfaction, getScaleScores, getScoreCounts, scoreResponses } from "./questionScale.js"
+import { calculateResponseRates, formatResponseRate } from "./responseRates.js"
+import { chiSquareTest, formatPValue, kruskalWallisTest, meanInterval, proportionInterval } from "./statistics.js"
+import { analyzeText, describeSentiment } from "./textAnalytics.js"
+
+// Report type for each survey question type
+export const QUESTION_TYPE_LABELS = {
+  text: "Text",
+  radio: "MCQ",
+  checkbox: "Checkbox",
+  star: "StarRating",
+  matrix: "Matrix",
+  nps: "NPS",
+  number: "Numeric",
+  date: "Date",
+  dropdown: "Dropdown",
+  ranking: "Ranking",
+}
 
-class ReportGenerator {
-  constructor(csvPath) {
-    this.csvPath = csvPath
-    this.data = []
-    this.d3 = null
-  }
+// Types whose answers are a single choice from a fixed list
+const CHOICE_TYPES = ["MCQ", "Dropdown", "Matrix"]
 
-  async readCSV() {
-    // Check if file exists first
-    if (!fs.existsSync(this.csvPath)) {
-      throw new Error(`CSV file not found at path: ${this.csvPath}`)
-    }
+// Types whose answers are numbers, summarised with mean, median and range
+const SCORED_TYPES = ["StarRating", "NPS", "Numeric"]
 
-    return new Promise((resolve, reject) => {
-      const results = []
-      fs.createReadStream(this.csvPath)
-        .pipe(csv())
-        .on("data", (data) => results.push(data))
-        .on("end", () => {
-          if (results.length === 0) {
-            reject(new Error("CSV file is empty"))
-          } else {
-            resolve(results)
-          }
-        })
-        .on("error", (error) => reject(error))
-    })
+// Types drawn as charts in the PDF, with a stacked comparison when there are several departments
+const CHARTED_TYPES = ["StarRating", "Checkbox", ...CHOICE_TYPES]
+
+// Survey card colour used when a survey has none
+const DEFAULT_CHART_COLOR = "#253074"
+
+// Response rate below which a department's results are flagged as possibly unrepresentative
+const LOW_RESPONSE_RATE = 0.5
+
+const isBlank = (answer) => answer === undefined || answer === null || String(answer).trim() === ""
+
+class ReportGenerator {
+  // options.anonymityThreshold: minimum respondents per department group (defaults to ANONYMITY_THRESHOLD)
+  // options.outputDir: directory the PDF is written to (defaults to reports/ under the working directory)
+  constructor(options = {}) {
+    this.d3 = null
+    this.anonymityThreshold = options.anonymityThreshold ?? getAnonymityThreshold()
+    this.outputDir = options.outputDir ?? path.join(process.cwd(), "reports")
   }
 
   async initialize() {
@@ -41,142 +59,438 @@ class ReportGenerator {
     }
   }
 
-  async generateAnalysis() {
+  // Number of responses per value of `field` (department or tenure).
+  // `filter` is a $match stage, so IDs must already be ObjectIds.
+  async countResponsesBy(filter, field) {
+    const groups = await Response.aggregate([{ $match: filter }, { $group: { _id: `$${field}`, count: { $sum: 1 } } }])
+    return new Map(groups.map((group) => [group._id, group.count]))
+  }
+
+  // Number of responses per department and tenure group, as department -> Map(tenure -> count)
+  async countResponseGroups(filter) {
+    const groups = await Response.aggregate([
+      { $match: filter },
+      { $group: { _id: { department: "$department", tenure: "$tenure" }, count: { $sum: 1 } } },
+    ])
+    const counts = new Map()
+    groups.forEach(({ _id, count }) => {
+      if (!counts.has(_id.department)) counts.set(_id.department, new Map())
+      counts.get(_id.department).set(_id.tenure, count)
+    })
+    return counts
+  }
+
+  // Totals per department and per tenure group of countResponseGroups counts
+  sumResponseGroups(counts) {
+    const departments = new Map()
+    const tenures = new Map()
+    counts.forEach((tenureCounts, department) => {
+      tenureCounts.forEach((count, tenure) => {
+        departments.set(department, (departments.get(department) || 0) + count)
+        tenures.set(tenure, (tenures.get(tenure) || 0) + count)
+      })
+    })
+    return { departments, tenures }
+  }
+
+  // How often each distinct answer was given, per survey version, question, department and tenure
+  async countAnswers(filter) {
+    return Response.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          surveyId: 1,
+          department: 1,
+          tenure: 1,
+          // Responses saved before versioning existed were answered against version 1
+          surveyVersion: { $ifNull: ["$surveyVersion", 1] },
+          answers: { $objectToArray: "$answers" },
+        },
+      },
+      { $unwind: "$answers" },
+      {
+        $group: {
+          _id: {
+            surveyId: "$surveyId",
+            surveyVersion: "$surveyVersion",
+            questionId: "$answers.k",
+            department: "$department",
+            tenure: "$tenure",
+            answer: "$answers.v",
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+  }
+
+  async loadSurveys(answerGroups) {
+    const surveyIds = [...new Set(answerGroups.map((group) => group._id.surveyId.toString()))]
+    return Survey.find({ _id: { $in: surveyIds } })
+      .select("title department isAllDepartments questions version questionHistory createdAt color")
+      .sort({ createdAt: 1 })
+      .lean()
+  }
+
+  // Expected headcount per department, the denominator of response rates
+  async loadHeadcounts() {
+    return Headcount.find({}).lean()
+  }
+
+  /**
+   * Response counts and rates of `surveys` for the responses matching `filter`, without analysing any answers:
+   * the live participation view of an open survey. Groups are anonymised the same way as in the full analysis.
+   */
+  async generateParticipation(filter, surveys) {
+    const groupCounts = await this.countResponseGroups(filter)
+    const { departments: departmentCounts, tenures: tenureCounts } = this.sumResponseGroups(groupCounts)
+    const { departmentLabels, tenureLabels, summary } = getReportLabels(groupCounts, this.anonymityThreshold)
+
+    const participation = calculateResponseRates({
+      surveys,
+      headcounts: await this.loadHeadcounts(),
+      departmentCounts,
+      departmentLabels,
+      tenureCounts,
+      tenureLabels,
+      department: filter.department ?? null,
+      tenure: filter.tenure ?? null,
+    })
+    return { participation, anonymity: { ...summary, note: describeAnonymity(summary) } }
+  }
+
+  // Options a question is reported against, in questionnaire order
+  getQuestionOptions(question) {
+    switch (question.type) {
+      case "star":
+        return ["1", "2", "3", "4", "5"]
+      case "nps":
+        return Array.from({ length: 11 }, (_, score) => String(score))
+      case "radio":
+      case "checkbox":
+      case "dropdown":
+      case "ranking":
+      case "matrix":
+        return [...(question.options || [])]
+      default:
+        return []
+    }
+  }
+
+  // Add the report entries for a question if they don't exist yet: one per question, one per statement for a matrix.
+  // Current questions are added first, so answers to older versions are scored on the current scale.
+  addQuestionEntries(entries, survey, question) {
+    const key = `${survey._id}:${getQuestionId(question)}`
+    const rows =
+      question.type === "matrix"
+        ? question.statements.map((statement, row) => [`${key}:${row}`, `${question.text} - ${statement}`, statement])
+        : [[key, question.text, null]]
+    const scores = getScaleScores(question)
+
+    rows.forEach(([entryKey, text, statement]) => {
+      if (entries.has(entryKey)) return
+      entries.set(entryKey, {
+        surveyId: survey._id.toString(),
+        questionId: getQuestionId(question),
+        statement,
+        question: text,
+        surveyTitle: survey.title,
+        color: survey.color || DEFAULT_CHART_COLOR,
+        questionType: question.type,
+        scale: scores && { scores, countsTowardSatisfaction: countsTowardSatisfaction(question) },
+        type: QUESTION_TYPE_LABELS[question.type],
+        departmentResponses: new Map(),
+        tenureResponses: new Map(),
+        totalResponses: 0,
+        allOptions: this.getQuestionOptions(question),
+      })
+    })
+  }
+
+  // Tally of one report entry for a department or tenure group (`groups` is one of its maps), created on first use
+  getGroupTally(entry, groups, group) {
+    if (!groups.has(group)) {
+      groups.set(group, {
+        question: entry.question,
+        type: entry.type,
+        responses: {},
+        responseCount: 0,
+        allOptions: entry.allOptions,
+      })
+    }
+    return groups.get(group)
+  }
+
+  // Add `count` identical answers to a question's tallies for a department and a tenure group
+  countAnswer(entries, survey, question, { department, tenure }, answer, count) {
+    const key = `${survey._id}:${getQuestionId(question)}`
+
+    const tallyAnswer = (entry, value) => {
+      const tallies = [
+        this.getGroupTally(entry, entry.departmentResponses, department),
+        this.getGroupTally(entry, entry.tenureResponses, tenure),
+      ]
+      const add = (option) => {
+        tallies.forEach((tally) => {
+          tally.responses[option] = (tally.responses[option] || 0) + count
+        })
+      }
+
+      switch (question.type) {
+        case "star": {
+          const stars = Number.parseInt(value, 10)
+          if (!(stars >= 1 && stars <= 5)) return
+          add(String(stars))
+          break
+        }
+        case "checkbox": {
+          const selected = Array.isArray(value) ? value : String(value).split(", ")
+          selected.forEach(add)
+          break
+        }
+        case "ranking":
+          // responses counts first choices; rankTotals sums each option's position for the average rank
+          if (!Array.isArray(value)) return
+          tallies.forEach((tally) => {
+            tally.rankTotals = tally.rankTotals || {}
+            value.forEach((option, position) => {
+              tally.rankTotals[option] = (tally.rankTotals[option] || 0) + (position + 1) * count
+            })
+          })
+          add(value[0])
+          break
+        case "date":
+          // Dates are grouped by month (YYYY-MM)
+          add(String(value).slice(0, 7))
+          break
+        default:
+          add(String(value).trim())
+      }
+
+      tallies.forEach((tally) => {
+        tally.responseCount += count
+      })
+      entry.totalResponses += count
+    }
+
+    if (question.type === "matrix") {
+      if (!Array.isArray(answer)) return
+      answer.forEach((option, row) => {
+        const entry = entries.get(`${key}:${row}`)
+        if (entry && !isBlank(option)) tallyAnswer(entry, option)
+      })
+    } else if (!isBlank(answer)) {
+      tallyAnswer(entries.get(key), answer)
+    }
+  }
+
+  /**
+   * Turn grouped answer counts into report entries. Each answer is read with the question definition of the
+   * survey version it was given against, and departments and tenures are relabelled for the anonymity threshold first.
+   */
+  tallyAnswers(answerGroups, surveys, { departmentLabels, tenureLabels }) {
+    const surveysById = new Map(surveys.map((survey) => [survey._id.toString(), survey]))
+    const entries = new Map()
+
+    // Current questions first, in questionnaire order; questions only found in older versions follow
+    surveys.forEach((survey) => {
+      survey.questions.forEach((question) => this.addQuestionEntries(entries, survey, question))
+    })
+
+    answerGroups.forEach(({ _id: group, count }) => {
+      const survey = surveysById.get(group.surveyId.toString())
+      if (!survey) return
+
+      const question = getQuestionsForVersion(survey, group.surveyVersion).find(
+        (candidate) => getQuestionId(candidate) === group.questionId,
+      )
+      if (!question) return
+
+      const groups = {
+        department: departmentLabels.get(group.department) ?? group.department,
+        tenure: tenureLabels.get(group.tenure) ?? group.tenure,
+      }
+      this.addQuestionEntries(entries, survey, question)
+      this.countAnswer(entries, survey, question, groups, group.answer, count)
+    })
+
+    entries.forEach((entry) => {
+      // Keep answers to options that were renamed or removed in a later version
+      if (entry.allOptions.length > 0 && entry.type !== "StarRating" && entry.type !== "NPS") {
+        entry.departmentResponses.forEach((tally) => {
+          Object.keys(tally.responses).forEach((option) => {
+            if (!entry.allOptions.includes(option)) entry.allOptions.push(option)
+          })
+        })
+      }
+      if (entry.type === "Numeric") {
+        const summarize = (tally) => {
+          tally.summary = this.summarizeNumbers(tally.responses)
+        }
+        entry.departmentResponses.forEach(summarize)
+        entry.tenureResponses.forEach(summarize)
+      }
+    })
+
+    return entries
+  }
+
+  /**
+   * Analyse the responses matching `filter` (a $match stage) straight from MongoDB.
+   * Statistics are grouped by survey question, using each question's real type.
+   * options.filterSummary: lines describing the selection, printed on the PDF cover.
+   */
+  async generateAnalysis(filter = {}, { filterSummary = [] } = {}) {
     try {
-      const responses = await this.readCSV()
-      const departments = [...new Set(responses.map((r) => r["Department"]))]
-
-      // Create a comprehensive question map to ensure no questions are missed
-      const allQuestionsMap = new Map()
-
-      // First pass: collect ALL unique questions and their answer patterns
-      const questionAnswerMap = new Map()
-
-      responses.forEach((response) => {
-        Object.keys(response).forEach((key) => {
-          if (key.startsWith("Question")) {
-            const qNum = key.split(" ")[1]
-            const question = response[key]
-            const answerKey = `Answer ${qNum}`
-            const answer = response[answerKey]
-            
-            if (question && question.trim()) {
-              allQuestionsMap.set(qNum, question)
-              
-              // Collect all answers for this question to determine type
-              if (!questionAnswerMap.has(qNum)) {
-                questionAnswerMap.set(qNum, [])
-              }
-              if (answer && answer !== "No answer") {
-                questionAnswerMap.get(qNum).push(answer)
-              }
+      if (!this.d3) {
+        await this.initialize()
+      }
+
+      // Departments and tenure groups below the anonymity threshold are merged before any statistics are computed
+      const groupCounts = await this.countResponseGroups(filter)
+      const anonymized = getReportLabels(groupCounts, this.anonymityThreshold)
+      if (anonymized.remaining.size === 0) {
+        throw new Error("No responses to analyse")
+      }
+      const { departmentLabels, tenureLabels, excluded } = anonymized
+      const anonymity = anonymized.summary
+      // Responses of suppressed groups are left out of every statistic, not just the breakdowns
+      const analysisFilter =
+        excluded.departments.length > 0 || excluded.tenures.length > 0
+          ? {
+              $and: [filter, { department: { $nin: excluded.departments } }, { tenure: { $nin: excluded.tenures } }],
             }
-          }
+          : filter
+
+      const relabelCounts = (counts, labels) => {
+        const relabelled = new Map()
+        counts.forEach((count, group) => {
+          const label = labels.get(group)
+          relabelled.set(label, (relabelled.get(label) || 0) + count)
         })
+        return relabelled
+      }
+      const { departments: departmentCounts, tenures: tenureCounts } = this.sumResponseGroups(groupCounts)
+      const analysed = this.sumResponseGroups(anonymized.remaining)
+      const departmentResponseCounts = relabelCounts(analysed.departments, departmentLabels)
+      const tenureResponseCounts = relabelCounts(analysed.tenures, tenureLabels)
+      const departments = [...departmentResponseCounts.keys()]
+      const totalResponses = [...departmentResponseCounts.values()].reduce((sum, count) => sum + count, 0)
+
+      const answerGroups = await this.countAnswers(analysisFilter)
+      const surveys = await this.loadSurveys(answerGroups)
+      const participation = calculateResponseRates({
+        surveys,
+        headcounts: await this.loadHeadcounts(),
+        departmentCounts,
+        departmentLabels,
+        tenureCounts,
+        tenureLabels,
+        department: filter.department ?? null,
+        tenure: filter.tenure ?? null,
+      })
+      const questionAnalysis = Object.fromEntries(
+        this.tallyAnswers(answerGroups, surveys, { departmentLabels, tenureLabels }),
+      )
+      const respondents = await this.countDissatisfiedRespondents(analysisFilter, questionAnalysis, {
+        departmentLabels,
+        tenureLabels,
+      })
+
+      // Whether each question's answers differ significantly between departments and between tenure groups
+      Object.values(questionAnalysis).forEach((entry) => {
+        entry.comparisons = {
+          department: this.compareGroups(entry, entry.departmentResponses),
+          tenure: this.compareGroups(entry, entry.tenureResponses),
+        }
       })
 
       // Calculate overall satisfaction metrics
-      const overallMetrics = this.calculateSatisfactionPercentage(responses)
+      const overallMetrics = this.calculateSatisfactionPercentage(questionAnalysis)
 
       // Process department-wise statistics
       let highestDissatisfactionDept = ""
       let highestDissatisfactionRate = 0
+      const departmentMetrics = new Map()
 
       departments.forEach((dept) => {
-        const deptResponses = responses.filter((r) => r["Department"] === dept)
-        const deptMetrics = this.calculateSatisfactionPercentage(deptResponses)
+        const deptMetrics = this.calculateSatisfactionPercentage(questionAnalysis, dept)
+        departmentMetrics.set(dept, deptMetrics)
 
         if (deptMetrics.dissatisfaction > highestDissatisfactionRate) {
           highestDissatisfactionRate = deptMetrics.dissatisfaction
           highestDissatisfactionDept = dept
         }
       })
+      const tenureMetrics = new Map(
+        [...tenureResponseCounts.keys()].map((tenure) => [
+          tenure,
+          this.calculateSatisfactionPercentage(questionAnalysis, tenure, "tenure"),
+        ]),
+      )
 
       const analysis = {
         overview: {
           numberOfDepartments: departments.length,
           averageSatisfaction: `${overallMetrics.satisfaction}%`,
           averageDissatisfaction: `${overallMetrics.dissatisfaction}%`,
+          scoredAnswers: overallMetrics.scoredAnswers,
+          satisfactionInterval: overallMetrics.satisfactionInterval,
+          dissatisfactionInterval: overallMetrics.dissatisfactionInterval,
           departmentWithHighestDissatisfaction: highestDissatisfactionDept || "None",
           highestDissatisfactionRate: highestDissatisfactionRate,
-          totalQuestions: allQuestionsMap.size,
-          totalResponses: responses.length,
+          highestDissatisfactionInterval:
+            departmentMetrics.get(highestDissatisfactionDept)?.dissatisfactionInterval ?? null,
+          // Only a significant result means the highest rate isn't down to chance
+          departmentDissatisfactionTest: this.compareDissatisfaction(respondents.departments),
+          tenureDissatisfactionTest: this.compareDissatisfaction(respondents.tenures),
+          totalQuestions: Object.keys(questionAnalysis).length,
+          totalResponses,
+          expectedResponses: participation.expectedResponses,
+          responseRate: participation.responseRate,
         },
         departmentStats: {},
-        questionAnalysis: {},
+        tenureStats: {},
+        questionAnalysis,
+        participation,
+        textSummary: this.summarizeText(questionAnalysis, departments),
+        filterSummary,
+        anonymity: {
+          ...anonymity,
+          note: describeAnonymity(anonymity),
+        },
       }
 
-      // Process each department
+      // Per-department view of the same tallies
       departments.forEach((dept) => {
-        const deptResponses = responses.filter((r) => r["Department"] === dept)
-        const questionAnalysis = {}
-
-        // Process each question for this department
-        allQuestionsMap.forEach((question, qNum) => {
-          const allAnswersForQuestion = questionAnswerMap.get(qNum) || []
-          const questionType = this.determineQuestionType(allAnswersForQuestion[0], allAnswersForQuestion)
-
-          questionAnalysis[qNum] = {
-            question: question,
-            responses: {},
-            responseCount: 0,
-            type: questionType,
-            allOptions: this.extractAllOptions(allAnswersForQuestion, questionType),
+        const deptQuestionAnalysis = {}
+        Object.entries(questionAnalysis).forEach(([key, questionData]) => {
+          if (questionData.departmentResponses.has(dept)) {
+            deptQuestionAnalysis[key] = questionData.departmentResponses.get(dept)
           }
-
-          // Process responses for this question in this department
-          deptResponses.forEach((response) => {
-            const answerKey = `Answer ${qNum}`
-            const answer = response[answerKey]
-
-            if (!answer || answer === "No answer") return
-
-            if (questionType === "StarRating") {
-              const starValue = answer.toString().trim()
-              if (/^[1-5]$/.test(starValue)) {
-                questionAnalysis[qNum].responses[starValue] = (questionAnalysis[qNum].responses[starValue] || 0) + 1
-              }
-            } else if (questionType === "Checkbox") {
-              const options = answer.split(",").map((opt) => opt.trim())
-              options.forEach((opt) => {
-                questionAnalysis[qNum].responses[opt] = (questionAnalysis[qNum].responses[opt] || 0) + 1
-              })
-            } else {
-              // For MCQ and Text, count each response
-              questionAnalysis[qNum].responses[answer] = (questionAnalysis[qNum].responses[answer] || 0) + 1
-            }
-            questionAnalysis[qNum].responseCount++
-          })
         })
 
         analysis.departmentStats[dept] = {
-          questionAnalysis: questionAnalysis,
-          responseCount: deptResponses.length,
+          questionAnalysis: deptQuestionAnalysis,
+          responseCount: departmentResponseCounts.get(dept),
+          satisfaction: departmentMetrics.get(dept),
         }
       })
 
-      // Create comprehensive question analysis across all departments
-      allQuestionsMap.forEach((question, qNum) => {
-        const allAnswersForQuestion = questionAnswerMap.get(qNum) || []
-        const questionType = this.determineQuestionType(allAnswersForQuestion[0], allAnswersForQuestion)
-
-        const questionData = {
-          question: question,
-          type: questionType,
-          departmentResponses: new Map(),
-          totalResponses: 0,
-          allOptions: this.extractAllOptions(allAnswersForQuestion, questionType),
-        }
-
-        departments.forEach((dept) => {
-          if (analysis.departmentStats[dept] && analysis.departmentStats[dept].questionAnalysis[qNum]) {
-            const deptQuestionData = analysis.departmentStats[dept].questionAnalysis[qNum]
-            questionData.departmentResponses.set(dept, deptQuestionData)
-            questionData.totalResponses += deptQuestionData.responseCount
+      // Per-tenure view, across every department
+      tenureResponseCounts.forEach((responseCount, tenure) => {
+        const tenureQuestionAnalysis = {}
+        Object.entries(questionAnalysis).forEach(([key, questionData]) => {
+          if (questionData.tenureResponses.has(tenure)) {
+            tenureQuestionAnalysis[key] = questionData.tenureResponses.get(tenure)
           }
         })
 
-        analysis.questionAnalysis[qNum] = questionData
+        analysis.tenureStats[tenure] = {
+          questionAnalysis: tenureQuestionAnalysis,
+          responseCount,
+          satisfaction: tenureMetrics.get(tenure),
+        }
       })
 
       return analysis
@@ -186,6 +500,135 @@ class ReportGenerator {
     }
   }
 
+  // One tally for a report entry across every department
+  mergeTallies(entry) {
+    const merged = { responses: {}, responseCount: 0, rankTotals: {} }
+    const addTo = (target, values) => {
+      Object.entries(values || {}).forEach(([key, count]) => {
+        target[key] = (target[key] || 0) + count
+      })
+    }
+
+    entry.departmentResponses.forEach((tally) => {
+      merged.responseCount += tally.responseCount
+      addTo(merged.responses, tally.responses)
+      addTo(merged.rankTotals, tally.rankTotals)
+    })
+    return merged
+  }
+
+  /**
+   * Text analytics of every free-text question together, overall and per department, for the themes section of the
+   * PDF and the `textSummary` of the results. Null when the report has no text answers.
+   */
+  summarizeText(questionAnalysis, departments) {
+    const textEntries = Object.values(questionAnalysis).filter((entry) => entry.type === "Text")
+    if (textEntries.length === 0) return null
+
+    const combine = (tallies) => {
+      const responses = {}
+      tallies.forEach((tally) => {
+        Object.entries(tally?.responses || {}).forEach(([answer, count]) => {
+          responses[answer] = (responses[answer] || 0) + count
+        })
+      })
+      return analyzeText(responses)
+    }
+
+    const summary = combine(textEntries.map((entry) => this.mergeTallies(entry)))
+    if (summary.responseCount === 0) return null
+
+    return {
+      ...summary,
+      byDepartment: Object.fromEntries(
+        departments.map((department) => [
+          department,
+          combine(textEntries.map((entry) => entry.departmentResponses.get(department))),
+        ]),
+      ),
+    }
+  }
+
+  // JSON statistics of one tally: answer distribution, plus a summary for numeric types, the NPS score or average ranks
+  serializeTally(entry, tally) {
+    // Every option is listed, including those nobody chose; answers outside the options (text, dates, numbers) follow
+    const distribution = Object.fromEntries(entry.allOptions.map((option) => [option, tally.responses[option] || 0]))
+    Object.entries(tally.responses).forEach(([answer, count]) => {
+      if (!(answer in distribution)) distribution[answer] = count
+    })
+
+    const result = { responseCount: tally.responseCount, distribution }
+    const score = entry.scale && scoreResponses(tally.responses, entry.scale.scores)
+    if (score) {
+      result.satisfaction = {
+        scoredResponses: score.count,
+        averageScore: score.averageScore,
+        averageScoreMarginOfError: meanInterval(getScoreCounts(tally.responses, entry.scale.scores)).marginOfError,
+        satisfied: score.satisfied / score.count,
+        satisfiedMarginOfError: proportionInterval(score.satisfied, score.count).marginOfError,
+        dissatisfied: score.dissatisfied / score.count,
+        dissatisfiedMarginOfError: proportionInterval(score.dissatisfied, score.count).marginOfError,
+        countsTowardSatisfaction: entry.scale.countsTowardSatisfaction,
+      }
+    }
+    if (SCORED_TYPES.includes(entry.type)) {
+      result.summary = this.summarizeNumbers(tally.responses)
+    }
+    if (entry.type === "NPS") {
+      result.npsScore = this.calculateNPS(tally.responses).score
+    }
+    if (entry.type === "Text") {
+      result.textAnalysis = analyzeText(tally.responses)
+    }
+    if (entry.type === "Ranking") {
+      result.averageRanks = Object.fromEntries(
+        entry.allOptions.map((option) => [
+          option,
+          tally.responseCount > 0 ? (tally.rankTotals?.[option] || 0) / tally.responseCount : null,
+        ]),
+      )
+    }
+    return result
+  }
+
+  /**
+   * Plain-JSON form of an analysis, served by GET /api/surveys/:id/results (see the README for the format).
+   * The department and tenure Maps become objects keyed by their (anonymised) group label.
+   */
+  toResults(analysis) {
+    const groupCounts = (stats) =>
+      Object.fromEntries(
+        Object.entries(stats).map(([group, stat]) => [
+          group,
+          { responseCount: stat.responseCount, satisfaction: stat.satisfaction },
+        ]),
+      )
+    const serializeGroups = (entry, groups) =>
+      Object.fromEntries([...groups].map(([group, tally]) => [group, this.serializeTally(entry, tally)]))
+
+    return {
+      overview: analysis.overview,
+      filterSummary: analysis.filterSummary,
+      anonymity: analysis.anonymity,
+      participation: analysis.participation,
+      textSummary: analysis.textSummary,
+      departments: groupCounts(analysis.departmentStats),
+      tenures: groupCounts(analysis.tenureStats),
+      questions: Object.values(analysis.questionAnalysis).map((entry) => ({
+        surveyId: entry.surveyId,
+        questionId: entry.questionId,
+        statement: entry.statement,
+        question: entry.question,
+        type: entry.questionType,
+        options: entry.allOptions,
+        ...this.serializeTally(entry, this.mergeTallies(entry)),
+        byDepartment: serializeGroups(entry, entry.departmentResponses),
+        byTenure: serializeGroups(entry, entry.tenureResponses),
+        comparisons: entry.comparisons,
+      })),
+    }
+  }
+
   // Enhanced PDF generation with only Question Analysis section and visualizations
   async generatePDF(analysis) {
     try {
@@ -206,12 +649,12 @@ class ReportGenerator {
         },
       })
 
-      const outputPath = path.join(path.dirname(this.csvPath), "..", "reports", "survey_analysis.pdf")
+      // Unique name so concurrent downloads don't overwrite each other
+      const outputPath = path.join(this.outputDir, `survey_analysis_${Date.now()}.pdf`)
 
       // Ensure reports directory exists
-      const reportsDir = path.dirname(outputPath)
-      if (!fs.existsSync(reportsDir)) {
-        fs.mkdirSync(reportsDir, { recursive: true })
+      if (!fs.existsSync(this.outputDir)) {
+        fs.mkdirSync(this.outputDir, { recursive: true })
       }
 
       const stream = fs.createWriteStream(outputPath)
@@ -226,6 +669,8 @@ class ReportGenerator {
         .text(`Generated on: ${new Date().toLocaleDateString()}`, { align: "center" })
       doc.text(`Departments Covered: ${analysis.overview.numberOfDepartments}`, { align: "center" })
       doc.moveDown(2)
+      this.addFilterSummary(doc, analysis)
+      this.addAnonymityNote(doc, analysis, { align: "center" })
 
       // Add decorative border
       doc
@@ -242,19 +687,29 @@ class ReportGenerator {
 
       // Add summary statistics box
       this.addSummaryBox(doc, analysis)
+      this.addAnonymityNote(doc, analysis)
+      this.addResponseRateTables(doc, analysis.participation)
       doc.addPage()
 
       // Process each question with enhanced analysis
-      const questionEntries = Object.entries(analysis.questionAnalysis)
+      const questionEntries = Object.values(analysis.questionAnalysis)
       let questionIndex = 1
 
-      for (const [qNum, questionInfo] of questionEntries) {
+      for (const questionInfo of questionEntries) {
         // Question header with styling
         doc.fontSize(16).fillColor("#253074").text(`Question ${questionIndex}: ${questionInfo.question}`)
         doc
           .fontSize(12)
           .fillColor("#666666")
-          .text(`Question Type: ${questionInfo.type} | Total Responses: ${questionInfo.totalResponses}`)
+          .text(
+            `Survey: ${questionInfo.surveyTitle} | Question Type: ${questionInfo.type} | Total Responses: ${questionInfo.totalResponses}`,
+          )
+        const { department, tenure } = questionInfo.comparisons || {}
+        if (department || tenure) {
+          doc.text(
+            `Departments: ${this.describeComparison(department)} | Tenure groups: ${this.describeComparison(tenure)}`,
+          )
+        }
         doc.moveDown(0.5)
 
         // Add visual separator
@@ -267,10 +722,10 @@ class ReportGenerator {
         doc.moveDown(0.5)
 
         // Department-wise analysis with enhanced formatting
-        if (questionInfo.type === "MCQ" || questionInfo.type === "Checkbox" || questionInfo.type === "StarRating") {
-          this.renderQuestionWithVisualization(doc, questionInfo, questionIndex)
-        } else if (questionInfo.type === "Text") {
+        if (questionInfo.type === "Text") {
           this.renderTextQuestionAnalysis(doc, questionInfo)
+        } else {
+          this.renderQuestionWithVisualization(doc, questionInfo, questionIndex)
         }
 
         doc.moveDown(1.5)
@@ -282,6 +737,11 @@ class ReportGenerator {
         }
       }
 
+      if (analysis.textSummary?.analyzedResponses > 0) {
+        doc.addPage()
+        this.addTextThemesPage(doc, analysis)
+      }
+
       // Add insights and recommendations page
       doc.addPage()
       this.addInsightsPage(doc, analysis)
@@ -300,12 +760,25 @@ class ReportGenerator {
 
   // Add summary statistics box
   addSummaryBox(doc, analysis) {
+    const { overview } = analysis
     const boxY = doc.y
-    const boxHeight = 120
+    const boxHeight = 135
 
     // Draw summary box
     doc.rect(50, boxY, doc.page.width - 100, boxHeight).fillAndStroke("#f8f9fa", "#253074")
 
+    const satisfaction = overview.satisfactionInterval
+      ? `${this.formatProportion(overview.satisfactionInterval)} (n = ${overview.scoredAnswers} scored answers)`
+      : "No scored answers"
+    const highestInterval = overview.highestDissatisfactionInterval
+    const highestDissatisfaction = highestInterval
+      ? `${overview.departmentWithHighestDissatisfaction} (${this.formatProportion(highestInterval)}, n = ${highestInterval.n})`
+      : overview.departmentWithHighestDissatisfaction
+    const responseRate =
+      overview.responseRate === null
+        ? "unknown (no headcount)"
+        : `${formatResponseRate(overview.responseRate)} of ${overview.expectedResponses} expected`
+
     doc
       .fontSize(14)
       .fillColor("#253074")
@@ -313,31 +786,103 @@ class ReportGenerator {
     doc
       .fontSize(11)
       .fillColor("#333333")
-      .text(`• Total Questions: ${analysis.overview.totalQuestions}`, 70, boxY + 35)
-      .text(`• Total Responses: ${analysis.overview.totalResponses}`, 70, boxY + 50)
-      .text(`• Departments: ${analysis.overview.numberOfDepartments}`, 70, boxY + 65)
-      .text(`• Overall Satisfaction: ${analysis.overview.averageSatisfaction}`, 70, boxY + 80)
+      .text(`• Total Questions: ${overview.totalQuestions}`, 70, boxY + 35)
+      .text(`• Total Responses: ${overview.totalResponses} | Response Rate: ${responseRate}`, 70, boxY + 50)
+      .text(`• Departments: ${overview.numberOfDepartments}`, 70, boxY + 65)
+      .text(`• Overall Satisfaction: ${satisfaction}`, 70, boxY + 80)
+      .text(`• Department with Highest Dissatisfaction: ${highestDissatisfaction}`, 70, boxY + 95)
       .text(
-        `• Department with Highest Dissatisfaction: ${analysis.overview.departmentWithHighestDissatisfaction}`,
+        `  Difference between departments: ${this.describeComparison(overview.departmentDissatisfactionTest)}`,
         70,
-        boxY + 95,
+        boxY + 110,
       )
 
     doc.y = boxY + boxHeight + 20
   }
 
+  // Responses against headcount per department and per tenure group
+  addResponseRateTables(doc, participation) {
+    if (!participation) return
+
+    const rows = (groups) =>
+      Object.entries(groups).map(([group, stats]) => [
+        group,
+        String(stats.responseCount),
+        stats.expectedResponses === null ? "-" : String(stats.expectedResponses),
+        formatResponseRate(stats.responseRate),
+      ])
+
+    doc.moveDown()
+    doc.fontSize(14).fillColor("#253074").text("Response Rates", 70, doc.y)
+    doc.moveDown(0.3)
+    this.drawTable(doc, ["Department", "Responses", "Headcount", "Response Rate"], rows(participation.departments))
+    doc.moveDown(0.5)
+    this.drawTable(doc, ["Tenure", "Responses", "Headcount", "Response Rate"], rows(participation.tenures))
+    doc
+      .fontSize(10)
+      .fillColor("#666666")
+      .text('Headcounts are maintained by admins; "-" means the headcount of a group is not known.', 70, doc.y, {
+        width: doc.page.width - 120,
+      })
+  }
+
+  // Print the surveys, groups and dates the report was limited to
+  addFilterSummary(doc, analysis) {
+    if (!analysis.filterSummary?.length) return
+
+    doc
+      .fontSize(14)
+      .fillColor("#253074")
+      .text("Report Scope", 50, doc.y, { width: doc.page.width - 100, align: "center" })
+    doc.fontSize(12).fillColor("#333333")
+    analysis.filterSummary.forEach((line) => {
+      doc.text(line, 50, doc.y, { width: doc.page.width - 100, align: "center" })
+    })
+    doc.moveDown(2)
+  }
+
+  // Explain how groups were merged or left out to meet the anonymity threshold, without naming them
+  addAnonymityNote(doc, analysis, textOptions = {}) {
+    const anonymity = analysis.anonymity
+    if (!anonymity?.note) return
+
+    doc
+      .fontSize(10)
+      .fillColor("#666666")
+      .text(anonymity.note, 50, doc.y, { width: doc.page.width - 100, ...textOptions })
+    doc.moveDown()
+  }
+
   // Enhanced question rendering with proper option counting
   renderQuestionWithVisualization(doc, questionInfo, questionIndex) {
+    if (CHARTED_TYPES.includes(questionInfo.type) && questionInfo.departmentResponses.size > 1) {
+      this.renderDepartmentComparison(doc, questionInfo)
+    }
+
+    // Height of one department's chart, so its heading isn't left at the bottom of a page
+    const chartHeight = questionInfo.type === "StarRating" ? 130 : questionInfo.allOptions.length * 20 + 10
+
     questionInfo.departmentResponses.forEach((qData, dept) => {
+      if (CHARTED_TYPES.includes(questionInfo.type)) {
+        this.ensureSpace(doc, chartHeight + 40)
+      }
       doc.fontSize(13).fillColor("#253074").text(`${dept} Department:`)
       doc.fontSize(11).fillColor("#333333")
 
       if (questionInfo.type === "StarRating") {
-        this.renderStarRatingCounts(doc, qData.responses, questionInfo.allOptions)
-      } else if (questionInfo.type === "MCQ") {
-        this.renderMCQCounts(doc, qData.responses, questionInfo.allOptions)
+        this.renderStarRatingCounts(doc, qData.responses, questionInfo.allOptions, questionInfo.color)
+      } else if (CHOICE_TYPES.includes(questionInfo.type)) {
+        this.renderMCQCounts(doc, qData.responses, questionInfo.allOptions, questionInfo.color, questionInfo.scale)
       } else if (questionInfo.type === "Checkbox") {
-        this.renderCheckboxCounts(doc, qData.responses, questionInfo.allOptions)
+        this.renderCheckboxCounts(doc, qData.responses, questionInfo.allOptions, questionInfo.color)
+      } else if (questionInfo.type === "NPS") {
+        this.renderNPSCounts(doc, qData.responses)
+      } else if (questionInfo.type === "Numeric") {
+        this.renderNumericSummary(doc, qData.summary)
+      } else if (questionInfo.type === "Date") {
+        this.renderDateCounts(doc, qData.responses)
+      } else if (questionInfo.type === "Ranking") {
+        this.renderRankingCounts(doc, qData, questionInfo.allOptions)
       }
 
       doc.moveDown(0.5)
@@ -345,28 +890,143 @@ class ReportGenerator {
   }
 
   // Enhanced text question analysis
+  // Keywords, common phrases, sentiment and themes of a free-text question, then keywords per department
   renderTextQuestionAnalysis(doc, questionInfo) {
-    questionInfo.departmentResponses.forEach((qData, dept) => {
-      doc.fontSize(13).fillColor("#253074").text(`${dept} Department:`)
-      doc.fontSize(10).fillColor("#333333")
-
-      const responses = Object.keys(qData.responses).slice(0, 5) // Show top 5 responses
-      responses.forEach((response, index) => {
-        if (response && response !== "No answer") {
-          const truncatedResponse = response.length > 80 ? response.substring(0, 80) + "..." : response
-          doc.text(`${index + 1}. "${truncatedResponse}"`, 70, doc.y)
-          doc.moveDown(0.3)
-        }
-      })
+    const text = analyzeText(this.mergeTallies(questionInfo).responses)
+    const textOptions = { width: doc.page.width - 120 }
 
-      if (Object.keys(qData.responses).length > 5) {
-        doc.text(`... and ${Object.keys(qData.responses).length - 5} more responses`, 70, doc.y)
-      }
+    doc.fontSize(10).fillColor("#333333")
+    if (text.analyzedResponses === 0) {
+      doc.text("No comments with words to analyse.", 70, doc.y)
+      return
+    }
 
-      doc.moveDown(0.5)
+    doc.text(
+      `${this.countComments(text.analyzedResponses)} analysed: ${this.describeSentimentCounts(text.sentiment)}`,
+      70,
+      doc.y,
+      textOptions,
+    )
+    doc.text(`Top keywords: ${this.formatTerms(text.keywords)}`, textOptions)
+    if (text.bigrams.length > 0) {
+      doc.text(`Common phrases: ${this.formatTerms(text.bigrams)}`, textOptions)
+    }
+    if (text.themes.length > 0) {
+      const themes = text.themes
+        .slice(0, 4)
+        .map(
+          (theme) =>
+            `${theme.theme} (${Math.round(theme.share * 100)}%, ${describeSentiment(theme.sentiment.averageScore)})`,
+        )
+      doc.text(`Themes: ${themes.join("; ")}`, textOptions)
+    }
+    doc.moveDown(0.5)
+
+    questionInfo.departmentResponses.forEach((tally, dept) => {
+      const departmentText = analyzeText(tally.responses)
+      if (departmentText.analyzedResponses === 0) return
+
+      doc.fontSize(11).fillColor("#253074").text(`${dept} Department`, 70, doc.y)
+      doc
+        .fontSize(10)
+        .fillColor("#333333")
+        .text(
+          `${this.countComments(departmentText.analyzedResponses)}, ${describeSentiment(departmentText.sentiment.averageScore)}. ` +
+            `Keywords: ${this.formatTerms(departmentText.keywords.slice(0, 6))}`,
+          70,
+          doc.y,
+          textOptions,
+        )
+      doc.moveDown(0.3)
     })
   }
 
+  // Themes, sentiment and keywords across every free-text question, overall and per department
+  addTextThemesPage(doc, analysis) {
+    const summary = analysis.textSummary
+    doc.fontSize(20).fillColor("#253074").text("Comment Themes", { align: "center" })
+    doc.moveDown()
+
+    doc
+      .fontSize(11)
+      .fillColor("#333333")
+      .text(
+        `${summary.analyzedResponses} of ${summary.responseCount} comments analysed: ${this.describeSentimentCounts(summary.sentiment)}`,
+        70,
+        doc.y,
+        { width: doc.page.width - 120 },
+      )
+    doc.moveDown()
+
+    if (summary.themes.length > 0) {
+      this.drawTable(
+        doc,
+        ["Theme", "Comments", "Share", "Sentiment"],
+        summary.themes.map((theme) => [
+          theme.theme,
+          String(theme.responseCount),
+          `${Math.round(theme.share * 100)}%`,
+          describeSentiment(theme.sentiment.averageScore),
+        ]),
+        { firstColumnWidth: 160 },
+      )
+      doc.moveDown(0.5)
+    }
+
+    doc.fontSize(11).fillColor("#333333")
+    doc.text(`Top keywords: ${this.formatTerms(summary.keywords)}`, 70, doc.y, { width: doc.page.width - 120 })
+    if (summary.bigrams.length > 0) {
+      doc.text(`Common phrases: ${this.formatTerms(summary.bigrams)}`, 70, doc.y, { width: doc.page.width - 120 })
+    }
+    doc.moveDown()
+
+    const departments = Object.entries(summary.byDepartment).filter(([, text]) => text.analyzedResponses > 0)
+    if (departments.length > 0) {
+      doc.fontSize(14).fillColor("#253074").text("By Department", 70, doc.y)
+      doc.moveDown(0.3)
+      this.drawTable(
+        doc,
+        ["Department", "Comments", "Sentiment", "Top Theme"],
+        departments.map(([department, text]) => [
+          department,
+          String(text.analyzedResponses),
+          describeSentiment(text.sentiment.averageScore),
+          text.themes[0]?.theme ?? "-",
+        ]),
+      )
+    }
+
+    doc.moveDown()
+    doc
+      .fontSize(10)
+      .fillColor("#666666")
+      .text(
+        "Themes are found from keyword lists and sentiment is scored with a word list, so use them as a guide to " +
+          "reading the comments rather than as exact measures. A comment can touch several themes.",
+        70,
+        doc.y,
+        { width: doc.page.width - 120 },
+      )
+  }
+
+  // "1 comment" / "12 comments"
+  countComments(count) {
+    return `${count} ${count === 1 ? "comment" : "comments"}`
+  }
+
+  // "workload (12), stress (9)"
+  formatTerms(terms) {
+    return terms.length > 0 ? terms.map(({ term, count }) => `${term} (${count})`).join(", ") : "none"
+  }
+
+  // "12 positive, 3 neutral, 5 negative (mostly positive)"
+  describeSentimentCounts(sentiment) {
+    return (
+      `${sentiment.positive} positive, ${sentiment.neutral} neutral, ${sentiment.negative} negative ` +
+      `(${describeSentiment(sentiment.averageScore)})`
+    )
+  }
+
   // Add insights and recommendations page
   addInsightsPage(doc, analysis) {
     doc.fontSize(20).fillColor("#253074").text("Key Insights & Recommendations", { align: "center" })
@@ -397,6 +1057,15 @@ class ReportGenerator {
         .text(`${index + 1}. ${recommendation}`, { indent: 20 })
       doc.moveDown(0.3)
     })
+
+    doc.moveDown(1)
+    doc
+      .fontSize(10)
+      .fillColor("#666666")
+      .text(
+        "Differences between groups are only reported when they are statistically significant at the 5% level. " +
+          "In figures given as x ± y, y is the 95% margin of error; n is the number of answers a figure is based on.",
+      )
   }
 
   // Generate insights from analysis data
@@ -406,7 +1075,10 @@ class ReportGenerator {
 
     // Analyze satisfaction levels
     const satisfactionRate = Number.parseFloat(analysis.overview.averageSatisfaction.replace("%", ""))
-    if (satisfactionRate > 80) {
+    if (analysis.overview.scoredAnswers === 0) {
+      findings.push("No questions in this report have a scale that counts toward satisfaction.")
+      recommendations.push("Add scores to rating questions so satisfaction can be measured.")
+    } else if (satisfactionRate > 80) {
       findings.push("Overall satisfaction levels are excellent across the organization.")
     } else if (satisfactionRate > 60) {
       findings.push("Satisfaction levels are moderate with room for improvement.")
@@ -414,14 +1086,96 @@ class ReportGenerator {
       findings.push("Satisfaction levels are below expectations and require immediate attention.")
     }
 
-    // Department-specific insights
-    if (analysis.overview.departmentWithHighestDissatisfaction !== "None") {
+    if (analysis.overview.satisfactionInterval) {
+      findings.push(
+        `Overall satisfaction is ${this.formatProportion(analysis.overview.satisfactionInterval)} (n = ${analysis.overview.scoredAnswers} scored answers).`,
+      )
+    }
+
+    // Department-specific insights, only when dissatisfaction really differs between departments
+    const departmentTest = analysis.overview.departmentDissatisfactionTest
+    const highestDept = analysis.overview.departmentWithHighestDissatisfaction
+    if (highestDept !== "None" && departmentTest?.significant) {
+      const interval = analysis.overview.highestDissatisfactionInterval
       findings.push(
-        `${analysis.overview.departmentWithHighestDissatisfaction} department shows the highest dissatisfaction rate.`,
+        `${highestDept} department shows the highest dissatisfaction rate (${this.formatProportion(interval)}, n = ${interval.n}); ` +
+          `dissatisfaction differs significantly between departments (${this.describeTest(departmentTest)}).`,
       )
+      recommendations.push(`Focus improvement initiatives on ${highestDept} department.`)
+    } else if (departmentTest?.reliable) {
+      findings.push(
+        `Dissatisfaction rates do not differ significantly between departments (${this.describeTest(departmentTest)}), so no department is singled out.`,
+      )
+    } else if (departmentTest) {
+      findings.push("There are too few scored answers per department to compare dissatisfaction rates reliably.")
+    }
+
+    const tenureTest = analysis.overview.tenureDissatisfactionTest
+    if (tenureTest?.significant) {
+      const [tenure, { satisfaction }] = Object.entries(analysis.tenureStats).reduce((highest, group) =>
+        group[1].satisfaction.dissatisfaction > highest[1].satisfaction.dissatisfaction ? group : highest,
+      )
+      findings.push(
+        `Dissatisfaction differs significantly between tenure groups (${this.describeTest(tenureTest)}); ` +
+          `it is highest for ${tenure} (${this.formatProportion(satisfaction.dissatisfactionInterval)}, n = ${satisfaction.scoredAnswers}).`,
+      )
+    }
+
+    // Questions whose answers differ significantly between departments or tenure groups
+    let testedQuestions = 0
+    let significantQuestions = 0
+    Object.values(analysis.questionAnalysis).forEach((entry) => {
+      const comparisons = [
+        ["departments", entry.comparisons?.department, entry.departmentResponses],
+        ["tenure groups", entry.comparisons?.tenure, entry.tenureResponses],
+      ]
+      comparisons.forEach(([label, result, groups]) => {
+        if (!result) return
+        testedQuestions++
+        if (!result.significant) return
+        significantQuestions++
+        findings.push(
+          `"${entry.question}": answers differ significantly between ${label} (${this.describeTest(result)})${this.describeGroupMeans(entry, groups)}.`,
+        )
+      })
+    })
+    if (significantQuestions > 0) {
+      recommendations.push("Discuss the questions with significant group differences with the groups concerned.")
+    } else if (testedQuestions > 0) {
+      findings.push("No question shows a statistically significant difference between departments or tenure groups.")
+    }
+
+    // Participation: results from groups where few people answered may not speak for the whole group
+    const { participation } = analysis
+    if (participation?.responseRate !== null && participation?.responseRate !== undefined) {
+      findings.push(
+        `${participation.responseCount} of ${participation.expectedResponses} expected responses were received (${formatResponseRate(participation.responseRate)}).`,
+      )
+    }
+    const lowResponse = Object.entries(participation?.departments || {}).filter(
+      ([, group]) => group.responseRate !== null && group.responseRate < LOW_RESPONSE_RATE,
+    )
+    if (lowResponse.length > 0) {
+      const groups = lowResponse.map(([group, { responseRate }]) => `${group} (${formatResponseRate(responseRate)})`)
+      findings.push(`Response rates are below ${LOW_RESPONSE_RATE * 100}% in: ${groups.join(", ")}.`)
       recommendations.push(
-        `Focus improvement initiatives on ${analysis.overview.departmentWithHighestDissatisfaction} department.`,
+        "Encourage participation in departments with low response rates before acting on their results.",
+      )
+    }
+
+    // What free-text comments are mostly about
+    const themes = analysis.textSummary?.themes || []
+    if (themes.length > 0) {
+      const [top] = themes
+      findings.push(
+        `Comments most often mention ${top.theme.toLowerCase()} (${Math.round(top.share * 100)}% of comments, ${describeSentiment(top.sentiment.averageScore)}).`,
       )
+      const concern = themes
+        .filter((theme) => theme.share >= 0.1 && theme.sentiment.averageScore <= -0.2)
+        .sort((a, b) => a.sentiment.averageScore - b.sentiment.averageScore)[0]
+      if (concern) {
+        recommendations.push(`Look into ${concern.theme.toLowerCase()}: comments about it are mostly negative.`)
+      }
     }
 
     // Question coverage insights
@@ -437,258 +1191,515 @@ class ReportGenerator {
     return { findings, recommendations }
   }
 
-  // Helper methods remain the same
-  calculateSatisfactionPercentage(responses) {
-    let satisfactionScore = 0
-    let dissatisfactionScore = 0
-    let satisfactionQuestions = 0
-    let dissatisfactionQuestions = 0
-
-    responses.forEach((response) => {
-      Object.keys(response).forEach((key) => {
-        if (key.startsWith("Answer")) {
-          const answer = response[key]
-          const questionKey = `Question ${key.split(" ")[1]}`
-          const question = response[questionKey]
-
-          if (!answer || !question) return
-
-          // Handle star ratings
-          const starMatch = answer.match(/(\d+)\s*stars?/i)
-          if (starMatch) {
-            const stars = Number.parseInt(starMatch[1])
-            if (!isNaN(stars)) {
-              if (stars >= 3) {
-                satisfactionScore += (stars / 5) * 100
-                satisfactionQuestions++
-              } else {
-                dissatisfactionScore += ((5 - stars) / 5) * 100
-                dissatisfactionQuestions++
-              }
-            }
-          }
-          // Handle satisfaction-based responses
-          else {
-            const satisfactionLevels = {
-              "Very Satisfied": 100,
-              Satisfied: 75,
-              Neutral: 50,
-              Dissatisfied: 25,
-              "Very Dissatisfied": 0,
-            }
+  // "44% ± 5%" for a proportion interval
+  formatProportion(interval, digits = 0) {
+    return `${(interval.estimate * 100).toFixed(digits)}% ± ${(interval.marginOfError * 100).toFixed(digits)}%`
+  }
 
-            const answerKey = answer.trim()
-            if (satisfactionLevels.hasOwnProperty(answerKey)) {
-              if (["Very Satisfied", "Satisfied"].includes(answerKey)) {
-                satisfactionScore += satisfactionLevels[answerKey]
-                satisfactionQuestions++
-              } else if (["Dissatisfied", "Very Dissatisfied"].includes(answerKey)) {
-                dissatisfactionScore += 100 - satisfactionLevels[answerKey]
-                dissatisfactionQuestions++
-              }
-            }
-          }
-        }
+  // "chi-square, p = 0.012"
+  describeTest(result) {
+    return `${result.test}, ${formatPValue(result.pValue)}`
+  }
+
+  // Outcome of a group comparison for the PDF
+  describeComparison(result) {
+    if (!result) return "not tested"
+    if (!result.reliable) return "too few responses to test"
+    return `${result.significant ? "significant" : "no significant"} difference (${this.describeTest(result)})`
+  }
+
+  // "; highest average in IT (4.2 ± 0.3, n = 20), lowest in HR (2.1 ± 0.5, n = 12)" for scored questions
+  describeGroupMeans(entry, groups) {
+    const means = [...groups]
+      .map(([group, tally]) => [group, meanInterval(this.getScoreDistribution(entry, tally) || {})])
+      .filter(([, interval]) => interval)
+      .sort((a, b) => b[1].mean - a[1].mean)
+    if (means.length < 2) return ""
+
+    const describe = ([group, { mean, marginOfError, n }]) =>
+      `${group} (${mean.toFixed(1)}${marginOfError === null ? "" : ` ± ${marginOfError.toFixed(1)}`}, n = ${n})`
+    return `; highest average in ${describe(means[0])}, lowest in ${describe(means[means.length - 1])}`
+  }
+
+  /**
+   * Share of satisfied and dissatisfied answers to the questions whose scale counts toward satisfaction
+   * (see utils/questionScale.js), optionally for one department or tenure group (groupBy "tenure").
+   * Percentages are rounded; the counts and 95% intervals (null without scored answers) are exact.
+   */
+  calculateSatisfactionPercentage(questionAnalysis, group = null, groupBy = "department") {
+    let scoredAnswers = 0
+    let satisfied = 0
+    let dissatisfied = 0
+
+    Object.values(questionAnalysis).forEach((questionData) => {
+      if (!questionData.scale?.countsTowardSatisfaction) return
+
+      const groups = questionData[`${groupBy}Responses`]
+      const tallies = group ? [groups.get(group)].filter(Boolean) : [...groups.values()]
+
+      tallies.forEach((tally) => {
+        const score = scoreResponses(tally.responses, questionData.scale.scores)
+        if (!score) return
+        scoredAnswers += score.count
+        satisfied += score.satisfied
+        dissatisfied += score.dissatisfied
       })
     })
 
     return {
-      satisfaction: satisfactionQuestions > 0 ? Math.round(satisfactionScore / satisfactionQuestions) : 0,
-      dissatisfaction: dissatisfactionQuestions > 0 ? Math.round(dissatisfactionScore / dissatisfactionQuestions) : 0,
-    }
-  }
-
-  // Enhanced question type detection with better logic
-  determineQuestionType(answer, allAnswers = []) {
-    if (!answer) return "Text"
-
-    // Check if it's a star rating (numbers 1-5 or contains "stars")
-    if (/^[1-5]$/.test(answer.toString().trim()) || answer.match(/(\d+)\s*stars?/i)) {
-      return "StarRating"
-    }
-
-    // Check if it's a checkbox (contains comma)
-    if (answer.includes(",")) {
-      return "Checkbox"
-    }
-
-    // Check if it's MCQ (satisfaction levels or common MCQ options)
-    const mcqOptions = [
-      "Very Satisfied",
-      "Satisfied",
-      "Neutral",
-      "Dissatisfied",
-      "Very Dissatisfied",
-      "Excellent",
-      "Good",
-      "Average",
-      "Poor",
-      "Very Poor",
-      "Strongly Agree",
-      "Agree",
-      "Neutral",
-      "Disagree",
-      "Strongly Disagree",
-      "Always",
-      "Often",
-      "Sometimes",
-      "Rarely",
-      "Never",
-      "Yes",
-      "No",
-      "Maybe",
-      "Continue",
-      "Discontinue",
-      "Modify",
-      "NA",
-    ]
-
-    // Check if this answer or any answer in allAnswers matches MCQ pattern
-    const answerTrimmed = answer.toString().trim()
-    if (mcqOptions.includes(answerTrimmed)) {
-      return "MCQ"
-    }
-
-    // Check if most answers in allAnswers are from MCQ options (for better detection)
-    if (allAnswers && allAnswers.length > 0) {
-      const mcqCount = allAnswers.filter((a) => a && mcqOptions.includes(a.toString().trim())).length
-      if (mcqCount > allAnswers.length * 0.5) {
-        // If more than 50% are MCQ options
-        return "MCQ"
+      satisfaction: scoredAnswers > 0 ? Math.round((satisfied / scoredAnswers) * 100) : 0,
+      dissatisfaction: scoredAnswers > 0 ? Math.round((dissatisfied / scoredAnswers) * 100) : 0,
+      scoredAnswers,
+      satisfied,
+      dissatisfied,
+      satisfactionInterval: proportionInterval(satisfied, scoredAnswers),
+      dissatisfactionInterval: proportionInterval(dissatisfied, scoredAnswers),
+    }
+  }
+
+  /**
+   * Whether one response is dissatisfied: more than half of its answers to the questions whose scale counts toward
+   * satisfaction are below the scale's midpoint. Returns null when none of its answers is scored.
+   */
+  isDissatisfiedRespondent(questionAnalysis, response) {
+    let scoredAnswers = 0
+    let dissatisfied = 0
+    const scoreAnswer = (entry, answer) => {
+      if (!entry?.scale?.countsTowardSatisfaction || isBlank(answer)) return
+      const score = scoreResponses({ [String(answer).trim()]: 1 }, entry.scale.scores)
+      if (!score) return
+      scoredAnswers += 1
+      dissatisfied += score.dissatisfied
+    }
+
+    Object.entries(response.answers || {}).forEach(([questionId, answer]) => {
+      const key = `${response.surveyId}:${questionId}`
+      if (Array.isArray(answer)) {
+        answer.forEach((option, row) => scoreAnswer(questionAnalysis[`${key}:${row}`], option))
+      } else {
+        scoreAnswer(questionAnalysis[key], answer)
       }
+    })
+
+    return scoredAnswers > 0 ? dissatisfied > scoredAnswers / 2 : null
+  }
+
+  /**
+   * Dissatisfied and scored respondents (see isDissatisfiedRespondent) per reported department and tenure group,
+   * for the responses matching `filter`. Returns { departments, tenures }, Maps of group -> { dissatisfied, respondents }.
+   */
+  async countDissatisfiedRespondents(filter, questionAnalysis, { departmentLabels, tenureLabels }) {
+    const departments = new Map()
+    const tenures = new Map()
+    const scored = Object.values(questionAnalysis).some((entry) => entry.scale?.countsTowardSatisfaction)
+    if (!scored) return { departments, tenures }
+
+    const add = (groups, group, dissatisfied) => {
+      const counts = groups.get(group) || { dissatisfied: 0, respondents: 0 }
+      counts.respondents += 1
+      if (dissatisfied) counts.dissatisfied += 1
+      groups.set(group, counts)
     }
 
-    // Default to text
-    return "Text"
-  }
-
-  // Extract all possible options for a question based on its type
-  extractAllOptions(allAnswers, questionType) {
-    if (questionType === "StarRating") {
-      return ["1", "2", "3", "4", "5"]
-    } else if (questionType === "MCQ") {
-      // Get unique options from all answers
-      const uniqueOptions = [...new Set(allAnswers.filter((a) => a && a !== "No answer"))]
-      return uniqueOptions.sort()
-    } else if (questionType === "Checkbox") {
-      // For checkbox, extract all individual options
-      const allOptions = new Set()
-      allAnswers.forEach((answer) => {
-        if (answer && answer !== "No answer") {
-          answer.split(",").forEach((opt) => allOptions.add(opt.trim()))
-        }
-      })
-      return Array.from(allOptions).sort()
+    const cursor = Response.find(filter).select("surveyId department tenure answers").lean().cursor({ batchSize: 500 })
+    for await (const response of cursor) {
+      const dissatisfied = this.isDissatisfiedRespondent(questionAnalysis, response)
+      if (dissatisfied === null) continue
+      add(departments, departmentLabels.get(response.department) ?? response.department, dissatisfied)
+      add(tenures, tenureLabels.get(response.tenure) ?? response.tenure, dissatisfied)
     }
-    return []
+    return { departments, tenures }
   }
 
-  // Render star rating with counts only
-  renderStarRatingCounts(doc, responses, allOptions) {
-    allOptions.forEach((option, index) => {
-      const count = responses[option] || 0
-      doc.text(`Option ${index + 1} (${option} Star${option > 1 ? "s" : ""}): ${count} responses`, 70, doc.y)
-      doc.moveDown(0.3)
-    })
+  // Chi-square test of whether the share of dissatisfied respondents differs between groups
+  // ({ group: { dissatisfied, respondents } }). Each respondent is one observation, however many questions they answered.
+  compareDissatisfaction(respondents) {
+    return chiSquareTest(
+      [...respondents.values()].map(({ dissatisfied, respondents: count }) => [dissatisfied, count - dissatisfied]),
+    )
+  }
 
-    // Calculate and show average
-    const totalResponses = Object.values(responses).reduce((sum, count) => sum + count, 0)
-    const weightedSum = Object.entries(responses).reduce(
-      (sum, [stars, count]) => sum + Number.parseInt(stars) * count,
-      0,
+  // { score: count } of a tally: scale scores for questions with a scale, the answers themselves for star,
+  // NPS and number questions, null for questions that aren't scored
+  getScoreDistribution(entry, tally) {
+    if (entry.scale) return getScoreCounts(tally.responses, entry.scale.scores)
+    return SCORED_TYPES.includes(entry.type) ? tally.responses : null
+  }
+
+  /**
+   * Test whether a question's answers differ between groups (one of the entry's department or tenure maps):
+   * Kruskal-Wallis on the scores of scored questions, chi-square on the option counts of other single-choice
+   * questions. Text, checkbox, date and ranking questions aren't tested. Returns null when there is nothing to compare.
+   */
+  compareGroups(entry, groups) {
+    const tallies = [...groups.values()]
+    if (entry.scale || SCORED_TYPES.includes(entry.type)) {
+      return kruskalWallisTest(tallies.map((tally) => this.getScoreDistribution(entry, tally)))
+    }
+    if (CHOICE_TYPES.includes(entry.type)) {
+      return chiSquareTest(tallies.map((tally) => entry.allOptions.map((option) => tally.responses[option] || 0)))
+    }
+    return null
+  }
+
+  // Render star rating as a histogram of 1-5 stars
+  renderStarRatingCounts(doc, responses, allOptions, color = DEFAULT_CHART_COLOR) {
+    this.drawHistogram(
+      doc,
+      allOptions.map((option) => `${option} star${option > 1 ? "s" : ""}`),
+      allOptions.map((option) => responses[option] || 0),
+      color,
     )
-    const average = totalResponses > 0 ? (weightedSum / totalResponses).toFixed(1) : "0.0"
+
+    // Calculate and show average with its margin of error
+    const interval = meanInterval(responses)
+    const average = interval ? interval.mean.toFixed(1) : "0.0"
+    const margin = interval && interval.marginOfError !== null ? ` ± ${interval.marginOfError.toFixed(1)}` : ""
 
     doc
       .fontSize(10)
       .fillColor("#666666")
-      .text(`Average Rating: ${average}/5.0 (${totalResponses} total responses)`, 70, doc.y)
+      .text(`Average Rating: ${average}/5.0${margin} (n = ${interval?.n || 0} responses)`, 70, doc.y)
     doc.moveDown(0.5)
   }
 
-  // Render MCQ with counts
-  renderMCQCounts(doc, responses, allOptions) {
-    allOptions.forEach((option, index) => {
-      const count = responses[option] || 0
-      doc.text(`Option ${index + 1} (${option}): ${count} responses`, 70, doc.y)
-      doc.moveDown(0.3)
-    })
+  // Render MCQ as a bar per option, with the satisfaction rate when the question has a scale
+  renderMCQCounts(doc, responses, allOptions, color = DEFAULT_CHART_COLOR, scale = null) {
+    const counts = allOptions.map((option) => responses[option] || 0)
+    this.drawBarChart(doc, allOptions, counts, color)
 
-    // Calculate satisfaction percentage if applicable
-    const satisfactionOptions = [
-      "Very Satisfied",
-      "Satisfied",
-      "Excellent",
-      "Good",
-      "Strongly Agree",
-      "Agree",
-      "Always",
-      "Often",
-      "Yes",
-      "Continue",
-    ]
     const totalResponses = Object.values(responses).reduce((sum, count) => sum + count, 0)
-    const positiveResponses = Object.entries(responses).reduce((sum, [option, count]) => {
-      return satisfactionOptions.some((pos) => option.includes(pos)) ? sum + count : sum
-    }, 0)
+    const score = scale && scoreResponses(responses, scale.scores)
 
-    if (totalResponses > 0 && positiveResponses > 0) {
-      const positivePercentage = ((positiveResponses / totalResponses) * 100).toFixed(1)
+    if (score) {
+      const satisfied = this.formatProportion(proportionInterval(score.satisfied, score.count), 1)
+      const { marginOfError } = meanInterval(getScoreCounts(responses, scale.scores))
+      const averageScore = `${score.averageScore.toFixed(1)}${marginOfError === null ? "" : ` ± ${marginOfError.toFixed(1)}`}`
       doc
         .fontSize(10)
         .fillColor("#666666")
-        .text(`Positive Response Rate: ${positivePercentage}% (${totalResponses} total responses)`, 70, doc.y)
+        .text(`Satisfied: ${satisfied} | Average Score: ${averageScore}`, 70, doc.y)
+        .text(`n = ${score.count} scored of ${totalResponses} total responses`, 70, doc.y)
     } else {
       doc.fontSize(10).fillColor("#666666").text(`Total Responses: ${totalResponses}`, 70, doc.y)
     }
     doc.moveDown(0.5)
   }
 
-  // Render checkbox with counts
-  renderCheckboxCounts(doc, responses, allOptions) {
-    allOptions.forEach((option, index) => {
-      const count = responses[option] || 0
-      doc.text(`Option ${index + 1} (${option}): ${count} responses`, 70, doc.y)
-      doc.moveDown(0.3)
-    })
+  // Render checkbox as a bar per option
+  renderCheckboxCounts(doc, responses, allOptions, color = DEFAULT_CHART_COLOR) {
+    const counts = allOptions.map((option) => responses[option] || 0)
+    this.drawBarChart(doc, allOptions, counts, color)
 
     const totalSelections = Object.values(responses).reduce((sum, count) => sum + count, 0)
     doc.fontSize(10).fillColor("#666666").text(`Total Selections: ${totalSelections}`, 70, doc.y)
     doc.moveDown(0.5)
   }
 
-  // Legacy methods for compatibility
-  async analyze() {
-    return await this.generateAnalysis()
+  // Share of each option per department as 100% stacked bars, so departments of different sizes compare directly
+  renderDepartmentComparison(doc, questionInfo) {
+    const caption = questionInfo.type === "Checkbox" ? "share of selections" : "share of responses"
+    // Keep the heading on the same page as the chart
+    this.ensureSpace(doc, 50 + questionInfo.departmentResponses.size * 22)
+    doc.fontSize(13).fillColor("#253074").text(`Department Comparison (${caption}):`)
+    doc.moveDown(0.3)
+
+    const options =
+      questionInfo.type === "StarRating"
+        ? questionInfo.allOptions.map((option) => `${option} star${option > 1 ? "s" : ""}`)
+        : questionInfo.allOptions
+    const rows = [...questionInfo.departmentResponses].map(([dept, qData]) => [
+      dept,
+      questionInfo.allOptions.map((option) => qData.responses[option] || 0),
+    ])
+    this.drawStackedBars(doc, options, rows, questionInfo.color)
+    doc.moveDown(0.5)
   }
 
-  calculateSatisfactionRate(responses) {
-    let totalResponses = 0
-    let satisfiedCount = 0
-
-    responses.forEach((response) => {
-      Object.values(response.answers || {}).forEach((answer) => {
-        if (typeof answer === "string") {
-          const lowerAnswer = answer.toLowerCase()
-          if (lowerAnswer.includes("satisf") || lowerAnswer.includes("happy") || lowerAnswer.includes("good")) {
-            totalResponses++
-
-            if (
-              !lowerAnswer.includes("not") &&
-              !lowerAnswer.includes("dis") &&
-              (lowerAnswer.includes("very satisf") ||
-                lowerAnswer.includes("quite satisf") ||
-                lowerAnswer.includes("very happy") ||
-                lowerAnswer.includes("very good"))
-            ) {
-              satisfiedCount++
-            }
-          }
+  // Start a new page when the next `height` points don't fit on this one
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage()
+    }
+  }
+
+  // Grid with a header row; cells are cut off with an ellipsis when they don't fit. Rows continue on a new page.
+  drawTable(doc, headers, rows, { firstColumnWidth = 130 } = {}) {
+    const left = 70
+    const width = doc.page.width - left - 50
+    const columnWidth = (width - firstColumnWidth) / Math.max(headers.length - 1, 1)
+    const rowHeight = 16
+    const columnX = (index) => (index === 0 ? left : left + firstColumnWidth + (index - 1) * columnWidth)
+
+    const drawRow = (cells, y, font) => {
+      doc.font(font).fontSize(9).fillColor("#333333")
+      cells.forEach((cell, index) => {
+        doc.text(cell, columnX(index) + 3, y + 4, {
+          width: (index === 0 ? firstColumnWidth : columnWidth) - 6,
+          height: rowHeight,
+          ellipsis: true,
+          lineBreak: false,
+        })
+      })
+    }
+
+    this.ensureSpace(doc, rowHeight * 2)
+    let y = doc.y
+    doc.rect(left, y, width, rowHeight).fill("#eef0f7")
+    drawRow(headers, y, "Helvetica-Bold")
+    y += rowHeight
+
+    rows.forEach((cells) => {
+      if (y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage()
+        y = doc.y
+      }
+      drawRow(cells, y, "Helvetica")
+      doc
+        .lineWidth(0.5)
+        .strokeColor("#dddddd")
+        .moveTo(left, y + rowHeight)
+        .lineTo(left + width, y + rowHeight)
+        .stroke()
+      y += rowHeight
+    })
+
+    doc.font("Helvetica")
+    doc.x = left
+    doc.y = y + 6
+  }
+
+  // Shades of a survey colour, from the colour itself towards white, as [r, g, b] for pdfkit
+  getChartPalette(color, count) {
+    const hex = /^#[0-9a-f]{6}$/i.test(color || "") ? color : DEFAULT_CHART_COLOR
+    const rgb = [1, 3, 5].map((index) => Number.parseInt(hex.slice(index, index + 2), 16))
+
+    return Array.from({ length: count }, (_, index) => {
+      const mix = count > 1 ? (index / (count - 1)) * 0.75 : 0
+      return rgb.map((channel) => Math.round(channel + (255 - channel) * mix))
+    })
+  }
+
+  // Horizontal bar chart: one labelled bar per option with its count at the end
+  drawBarChart(doc, labels, values, color) {
+    const left = 70
+    const labelWidth = 150
+    const chartWidth = doc.page.width - left - labelWidth - 110
+    const barHeight = 14
+    const rowHeight = barHeight + 6
+    const max = Math.max(...values, 1)
+
+    this.ensureSpace(doc, labels.length * rowHeight + 10)
+    let y = doc.y
+    labels.forEach((label, index) => {
+      const width = (values[index] / max) * chartWidth
+      doc
+        .fontSize(9)
+        .fillColor("#333333")
+        .text(label, left, y + 3, { width: labelWidth - 10, height: barHeight, ellipsis: true, lineBreak: false })
+      if (width > 0) {
+        doc.rect(left + labelWidth, y, width, barHeight).fill(color)
+      }
+      doc.fillColor("#333333").text(String(values[index]), left + labelWidth + width + 5, y + 3, { lineBreak: false })
+      y += rowHeight
+    })
+
+    doc.x = left
+    doc.y = y + 4
+  }
+
+  // Vertical histogram with a column per value, used for star ratings
+  drawHistogram(doc, labels, values, color) {
+    const left = 70
+    const columnWidth = 50
+    const gap = 14
+    const chartHeight = 90
+    const max = Math.max(...values, 1)
+
+    this.ensureSpace(doc, chartHeight + 35)
+    const baseline = doc.y + chartHeight
+    labels.forEach((label, index) => {
+      const x = left + index * (columnWidth + gap)
+      const height = (values[index] / max) * (chartHeight - 14)
+      if (height > 0) {
+        doc.rect(x, baseline - height, columnWidth, height).fill(color)
+      }
+      doc.fontSize(9).fillColor("#333333")
+      doc.text(String(values[index]), x, baseline - height - 12, { width: columnWidth, align: "center" })
+      doc.text(label, x, baseline + 4, { width: columnWidth, align: "center" })
+    })
+    doc
+      .lineWidth(0.5)
+      .strokeColor("#999999")
+      .moveTo(left, baseline)
+      .lineTo(left + labels.length * (columnWidth + gap) - gap, baseline)
+      .stroke()
+
+    doc.x = left
+    doc.y = baseline + 20
+  }
+
+  // 100% stacked horizontal bars, one per row ([label, counts]), with a legend of the options above them
+  drawStackedBars(doc, options, rows, color) {
+    const left = 70
+    const labelWidth = 120
+    const chartWidth = doc.page.width - left - labelWidth - 70
+    const barHeight = 16
+    const rowHeight = barHeight + 6
+    const palette = this.getChartPalette(color, options.length)
+
+    // Legend, wrapping onto more lines when needed
+    this.ensureSpace(doc, 20 + rows.length * rowHeight)
+    let legendX = left
+    let legendY = doc.y
+    doc.fontSize(8)
+    options.forEach((option, index) => {
+      const itemWidth = Math.min(doc.widthOfString(option), 150) + 22
+      if (legendX + itemWidth > doc.page.width - 50) {
+        legendX = left
+        legendY += 12
+      }
+      doc.rect(legendX, legendY, 8, 8).fill(palette[index])
+      doc
+        .fillColor("#333333")
+        .text(option, legendX + 11, legendY, { width: 150, height: 9, ellipsis: true, lineBreak: false })
+      legendX += itemWidth
+    })
+
+    let y = legendY + 16
+    rows.forEach(([label, counts]) => {
+      const total = counts.reduce((sum, count) => sum + count, 0)
+      doc
+        .fontSize(9)
+        .fillColor("#333333")
+        .text(label, left, y + 4, { width: labelWidth - 10, height: barHeight, ellipsis: true, lineBreak: false })
+
+      let x = left + labelWidth
+      counts.forEach((count, index) => {
+        if (total === 0 || count === 0) return
+        const width = (count / total) * chartWidth
+        doc.rect(x, y, width, barHeight).fill(palette[index])
+        // Label segments wide enough to hold the percentage; dark text on the lighter shades
+        if (width >= 24) {
+          doc
+            .fontSize(8)
+            .fillColor(index < options.length / 2 ? "#ffffff" : "#333333")
+            .text(`${Math.round((count / total) * 100)}%`, x, y + 4, { width, align: "center", lineBreak: false })
         }
+        x += width
       })
+      y += rowHeight
     })
 
-    return totalResponses > 0 ? Math.round((satisfiedCount / totalResponses) * 100) : 0
+    doc.x = left
+    doc.y = y + 4
+  }
+
+  // Mean (with its 95% margin of error), median and range of a numeric question from its { value: count } responses
+  summarizeNumbers(responses) {
+    const values = Object.entries(responses).flatMap(([value, count]) => Array(count).fill(Number(value)))
+    if (values.length === 0) return null
+
+    return {
+      count: values.length,
+      mean: this.d3.mean(values),
+      marginOfError: meanInterval(responses)?.marginOfError ?? null,
+      median: this.d3.median(values),
+      min: this.d3.min(values),
+      max: this.d3.max(values),
+    }
+  }
+
+  // Net Promoter Score from a score distribution: promoters 9-10, passives 7-8, detractors 0-6
+  calculateNPS(responses) {
+    const totalResponses = Object.values(responses).reduce((sum, count) => sum + count, 0)
+    const countRange = (from, to) =>
+      Object.entries(responses).reduce((sum, [score, count]) => (score >= from && score <= to ? sum + count : sum), 0)
+    const promoters = countRange(9, 10)
+    const detractors = countRange(0, 6)
+
+    return {
+      promoters,
+      passives: countRange(7, 8),
+      detractors,
+      totalResponses,
+      score: totalResponses > 0 ? Math.round(((promoters - detractors) / totalResponses) * 100) : 0,
+    }
+  }
+
+  // Render NPS score distribution
+  renderNPSCounts(doc, responses) {
+    const { promoters, passives, detractors, totalResponses, score: nps } = this.calculateNPS(responses)
+
+    doc.text(`Promoters (9-10): ${promoters} responses`, 70, doc.y)
+    doc.moveDown(0.3)
+    doc.text(`Passives (7-8): ${passives} responses`, 70, doc.y)
+    doc.moveDown(0.3)
+    doc.text(`Detractors (0-6): ${detractors} responses`, 70, doc.y)
+    doc.moveDown(0.3)
+
+    doc
+      .fontSize(10)
+      .fillColor("#666666")
+      .text(`Net Promoter Score: ${nps} (${totalResponses} total responses)`, 70, doc.y)
+    doc.moveDown(0.5)
+  }
+
+  // Render mean, median and range of a numeric question
+  renderNumericSummary(doc, summary) {
+    if (!summary) {
+      doc.fontSize(10).fillColor("#666666").text("No responses", 70, doc.y)
+      doc.moveDown(0.5)
+      return
+    }
+
+    const format = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1))
+    const margin = summary.marginOfError === null ? "" : ` ± ${format(summary.marginOfError)}`
+    doc.text(`Average: ${format(summary.mean)}${margin} | Median: ${format(summary.median)}`, 70, doc.y)
+    doc.moveDown(0.3)
+    doc.text(`Range: ${format(summary.min)} - ${format(summary.max)}`, 70, doc.y)
+    doc.moveDown(0.3)
+    doc.fontSize(10).fillColor("#666666").text(`Total Responses: ${summary.count}`, 70, doc.y)
+    doc.moveDown(0.5)
+  }
+
+  // Render date answers grouped by month
+  renderDateCounts(doc, responses) {
+    const months = Object.keys(responses).sort()
+    months.forEach((month) => {
+      doc.text(`${month}: ${responses[month]} responses`, 70, doc.y)
+      doc.moveDown(0.3)
+    })
+
+    const totalResponses = Object.values(responses).reduce((sum, count) => sum + count, 0)
+    const range = months.length > 0 ? ` (${months[0]} to ${months[months.length - 1]})` : ""
+    doc.fontSize(10).fillColor("#666666").text(`Total Responses: ${totalResponses}${range}`, 70, doc.y)
+    doc.moveDown(0.5)
+  }
+
+  // Render ranking options from best to worst average rank
+  renderRankingCounts(doc, qData, allOptions) {
+    const rankTotals = qData.rankTotals || {}
+    const averageRank = (option) => (qData.responseCount > 0 ? (rankTotals[option] || 0) / qData.responseCount : 0)
+    const ranked = [...allOptions].sort((a, b) => averageRank(a) - averageRank(b))
+
+    ranked.forEach((option, index) => {
+      const firstChoices = qData.responses[option] || 0
+      doc.text(
+        `${index + 1}. ${option}: average rank ${averageRank(option).toFixed(1)}, ranked first ${firstChoices} times`,
+        70,
+        doc.y,
+      )
+      doc.moveDown(0.3)
+    })
+
+    doc.fontSize(10).fillColor("#666666").text(`Total Responses: ${qData.responseCount}`, 70, doc.y)
+    doc.moveDown(0.5)
+  }
+
+  // Legacy methods for compatibility
+  async analyze() {
+    return await this.generateAnalysis()
   }
 }
 
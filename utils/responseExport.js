@@ -0,0 +1,398 @@
+import { Readable } from "stream"
+import { pipeline } from "stream/promises"
+import { setImmediate } from "timers/promises"
+import ExcelJS from "exceljs"
+import { Transform } from "json2csv"
+import { getQuestionId, getQuestionsForVersion } from "../server/models/survey.model.js"
+import { getScaleScores } from "./questionScale.js"
+
+export const EXPORT_FORMATS = ["csv", "xlsx", "json", "ndjson"]
+export const EXPORT_LAYOUTS = ["wide", "long"]
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  json: "application/json",
+  ndjson: "application/x-ndjson",
+}
+
+// Ranking answers are exported most preferred first: "Pay > Team > Commute"
+export const RANKING_SEPARATOR = " > "
+
+// Single-choice types whose options get a numeric code in the long layout and the codebook
+const CODED_TYPES = ["radio", "dropdown", "matrix"]
+
+// Types whose answers are numbers already and are their own code
+const NUMERIC_TYPES = ["star", "nps", "number"]
+
+// The export schema. Every format is built from these columns, in this order: JSON records use the keys, CSV and
+// XLSX files the headers. Wide rows follow the response columns with one column per question.
+
+// Columns of every exported response
+export const RESPONSE_COLUMNS = [
+  ["responseId", "Response ID"],
+  ["surveyId", "Survey ID"],
+  ["surveyTitle", "Survey Title"],
+  ["surveyVersion", "Survey Version"],
+  ["department", "Department"],
+  ["tenure", "Tenure"],
+  ["submittedAt", "Submitted At"],
+]
+
+// Columns of a long-layout row: the response, then one question and its answer
+export const LONG_COLUMNS = [
+  ...RESPONSE_COLUMNS,
+  ["questionId", "Question ID"],
+  ["statement", "Statement"],
+  ["question", "Question"],
+  ["questionType", "Question Type"],
+  ["answer", "Answer"],
+  ["answerCode", "Answer Code"],
+]
+
+// Columns of the codebook: what each question column holds, one row per answer code
+export const CODEBOOK_COLUMNS = [
+  ["surveyId", "Survey ID"],
+  ["surveyTitle", "Survey Title"],
+  ["questionId", "Question ID"],
+  ["statement", "Statement"],
+  ["question", "Question"],
+  ["questionType", "Question Type"],
+  ["code", "Code"],
+  ["label", "Label"],
+  ["codeSource", "Code Source"],
+]
+
+// json2csv field definitions for a list of schema columns
+const toFields = (schema) => schema.map(([key, label]) => ({ label, value: (record) => record[key] ?? "" }))
+
+/**
+ * Numeric code of each option of a question: its scale score when the question has a scale, otherwise its
+ * position in the option list for single-choice types. Returns { codes: Map, source } or null for uncoded types.
+ */
+function getAnswerCodes(question) {
+  const scores = getScaleScores(question)
+  if (scores) return { codes: scores, source: "scale" }
+  if (!CODED_TYPES.includes(question.type)) return null
+  return {
+    codes: new Map((question.options || []).map((option, index) => [option, index + 1])),
+    source: "option order",
+  }
+}
+
+/**
+ * Export columns of a survey, built from its definition: one per question and one per statement of a Likert
+ * matrix. The current question set comes first, followed by questions only found in earlier versions, so every
+ * answer has a column whichever version it was given against.
+ */
+export function getSurveyColumns(survey) {
+  const questions = new Map()
+  const versions = [
+    survey.questions || [],
+    ...[...(survey.questionHistory || [])].reverse().map((entry) => entry.questions),
+  ]
+  versions.flat().forEach((question) => {
+    if (!questions.has(getQuestionId(question))) questions.set(getQuestionId(question), question)
+  })
+
+  return [...questions.values()].flatMap((question) => {
+    const questionId = getQuestionId(question)
+    const column = {
+      questionId,
+      question: question.text,
+      type: question.type,
+      options: question.options || [],
+      ...getAnswerCodes(question),
+    }
+    if (question.type !== "matrix") {
+      return [{ ...column, key: questionId, statement: null, row: null }]
+    }
+    return question.statements.map((statement, row) => ({
+      ...column,
+      key: `${questionId}:${row}`,
+      question: `${question.text} - ${statement}`,
+      statement,
+      row,
+    }))
+  })
+}
+
+// getSurveyColumns of each survey, by survey ID
+const getColumnsBySurvey = (surveys) =>
+  new Map(surveys.map((survey) => [survey._id.toString(), getSurveyColumns(survey)]))
+
+// Stored answer of a column: the statement's option for a matrix
+function getAnswer(column, answers) {
+  const answer = answers?.[column.questionId]
+  if (column.row === null) return answer
+  return Array.isArray(answer) ? answer[column.row] : undefined
+}
+
+// Answer as text, or "" when the question wasn't answered. Dates are written in ISO format (YYYY-MM-DD for date
+// questions), never in the server's local time.
+export function formatAnswer(column, answer) {
+  if (answer === undefined || answer === null) return ""
+  if (Array.isArray(answer)) return answer.join(column.type === "ranking" ? RANKING_SEPARATOR : ", ")
+  if (answer instanceof Date) return column.type === "date" ? answer.toISOString().slice(0, 10) : answer.toISOString()
+  return String(answer)
+}
+
+const isAnswered = (answer) =>
+  answer !== undefined && answer !== null && answer !== "" && !(Array.isArray(answer) && answer.length === 0)
+
+// Numeric code of an answer (see getAnswerCodes), or null
+export function getAnswerCode(column, answer) {
+  if (!isAnswered(answer)) return null
+  if (NUMERIC_TYPES.includes(column.type) && !column.codes) {
+    const value = Number(answer)
+    return Number.isFinite(value) ? value : null
+  }
+  return column.codes?.get(String(answer)) ?? null
+}
+
+/**
+ * Export records of one response (lean) to `survey`, in the given layout. Department and tenure are taken as they
+ * are, so anonymise them first. `columns` are the survey's getSurveyColumns.
+ * - wide: one record, its answers keyed by column key (question ID, plus ":row" for matrix statements)
+ * - long: one record per answered question (per statement for a matrix), with the answer's numeric code
+ */
+export function toExportRecords(response, survey, columns, layout) {
+  const record = {
+    responseId: response._id.toString(),
+    surveyId: response.surveyId?.toString() ?? null,
+    surveyTitle: survey?.title || "Unknown Survey",
+    surveyVersion: response.surveyVersion || 1,
+    department: response.department,
+    tenure: response.tenure,
+    submittedAt: new Date(response.timestamp).toISOString(),
+  }
+  // Only the questions of the version the response answered
+  const answered = new Set(getQuestionsForVersion(survey, response.surveyVersion).map(getQuestionId))
+  const surveyColumns = columns.filter((column) => answered.has(column.questionId))
+
+  if (layout === "wide") {
+    const answers = Object.fromEntries(
+      surveyColumns.map((column) => [column.key, formatAnswer(column, getAnswer(column, response.answers))]),
+    )
+    return [{ ...record, answers }]
+  }
+
+  return surveyColumns
+    .map((column) => ({ column, answer: getAnswer(column, response.answers) }))
+    .filter(({ answer }) => isAnswered(answer))
+    .map(({ column, answer }) => ({
+      ...record,
+      questionId: column.questionId,
+      statement: column.statement,
+      question: column.question,
+      questionType: column.type,
+      answer: formatAnswer(column, answer),
+      answerCode: getAnswerCode(column, answer),
+    }))
+}
+
+/**
+ * Headers of the question columns of a wide export: the question, prefixed with the survey title when there are
+ * several surveys, and numbered when it repeats. Returns { surveyId, column, label } in column order.
+ */
+export function getAnswerLabels(surveys, columns) {
+  const usedLabels = new Map()
+  const uniqueLabel = (label) => {
+    const count = (usedLabels.get(label) || 0) + 1
+    usedLabels.set(label, count)
+    return count > 1 ? `${label} (${count})` : label
+  }
+  RESPONSE_COLUMNS.forEach(([, label]) => uniqueLabel(label))
+
+  return surveys.flatMap((survey) => {
+    const surveyId = survey._id.toString()
+    return (columns.get(surveyId) || []).map((column) => ({
+      surveyId,
+      column,
+      label: uniqueLabel(surveys.length > 1 ? `${survey.title}: ${column.question}` : column.question),
+    }))
+  })
+}
+
+/**
+ * Column headers and values for tabular formats (CSV, XLSX), as json2csv field definitions. Wide exports get one
+ * column per question of every survey (see getAnswerLabels).
+ */
+export function getExportFields(layout, surveys, columns) {
+  if (layout === "long") {
+    return toFields(LONG_COLUMNS)
+  }
+
+  const answerFields = getAnswerLabels(surveys, columns).map(({ surveyId, column, label }) => ({
+    label,
+    value: (record) => (record.surveyId === surveyId ? (record.answers[column.key] ?? "") : ""),
+  }))
+  return [...toFields(RESPONSE_COLUMNS), ...answerFields]
+}
+
+/**
+ * What each exported column holds (see CODEBOOK_COLUMNS): one row per question option with its numeric code, or
+ * a single row for questions without codes. `columns` maps survey IDs to getSurveyColumns; it defaults to
+ * building them from `surveys`.
+ */
+export function buildCodebook(surveys, columns = getColumnsBySurvey(surveys)) {
+  return surveys.flatMap((survey) =>
+    (columns.get(survey._id.toString()) || []).flatMap((column) => {
+      const base = {
+        surveyId: survey._id.toString(),
+        surveyTitle: survey.title,
+        questionId: column.questionId,
+        statement: column.statement,
+        question: column.question,
+        questionType: column.type,
+      }
+      if (!column.codes) {
+        const codeSource = NUMERIC_TYPES.includes(column.type) ? "the answer's number" : null
+        return [{ ...base, code: null, label: null, codeSource }]
+      }
+      const options = column.options.length > 0 ? column.options : [...column.codes.keys()]
+      return options.map((option) => ({
+        ...base,
+        code: column.codes.get(option) ?? null,
+        label: option,
+        codeSource: column.source,
+      }))
+    }),
+  )
+}
+
+// Worksheet name for a survey: Excel allows 31 characters and no []:*?/\, and names must be unique
+function getSheetName(title, usedNames) {
+  const base =
+    (title || "Survey")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 28) || "Survey"
+  let name = base
+  for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) name = `${base} ${suffix}`
+  usedNames.add(name.toLowerCase())
+  return name
+}
+
+/**
+ * Stream an XLSX workbook of `records` (an async iterable) to `stream`: one sheet per survey in the given layout,
+ * then a "Codebook" sheet describing every question column and its answer codes. Rows are written as they come,
+ * so the records of each survey must arrive together.
+ */
+async function writeWorkbook(stream, records, { layout, surveys, columns }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true })
+  const usedNames = new Set(["codebook"])
+
+  const addSheet = (name, headers) => {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: "frozen", ySplit: 1 }] })
+    const header = sheet.addRow(headers)
+    header.font = { bold: true }
+    header.commit()
+    return sheet
+  }
+
+  let sheet = null
+  let sheetSurveyId = null
+  let fields = []
+  let rowCount = 0
+  for await (const record of records) {
+    if (!sheet || record.surveyId !== sheetSurveyId) {
+      sheet?.commit()
+      const survey = surveys.find((entry) => entry._id.toString() === record.surveyId) || {
+        _id: record.surveyId,
+        title: record.surveyTitle,
+      }
+      fields = getExportFields(layout, [survey], columns)
+      sheet = addSheet(
+        getSheetName(survey.title, usedNames),
+        fields.map((field) => field.label),
+      )
+      sheetSurveyId = record.surveyId
+    }
+    sheet.addRow(fields.map((field) => field.value(record))).commit()
+    // exceljs doesn't apply backpressure: let the zip compression catch up now and then
+    rowCount += 1
+    if (rowCount % 100 === 0) {
+      await setImmediate()
+      if (stream.destroyed) throw new Error("The export stream was closed before the workbook was written")
+    }
+  }
+  sheet?.commit()
+
+  const codebookFields = toFields(CODEBOOK_COLUMNS)
+  const codebook = addSheet(
+    "Codebook",
+    codebookFields.map((field) => field.label),
+  )
+  buildCodebook(surveys, columns).forEach((row) =>
+    codebook.addRow(codebookFields.map((field) => field.value(row))).commit(),
+  )
+  codebook.commit()
+
+  await workbook.commit()
+}
+
+// JSON array or newline-delimited JSON of records, one record at a time
+async function* serializeJSON(records, format) {
+  if (format === "ndjson") {
+    for await (const record of records) yield JSON.stringify(record) + "\n"
+    return
+  }
+
+  let separator = "["
+  for await (const record of records) {
+    yield separator + JSON.stringify(record)
+    separator = ","
+  }
+  yield separator === "[" ? "[]" : "]"
+}
+
+/**
+ * Stream an export of `responses` to `stream` in the given format and layout, without holding the responses in
+ * memory. `responses` is an async iterable of lean responses (e.g. a query cursor) sorted by survey, and `surveys`
+ * the surveys they belong to. `groupLabel(department, tenure)` returns the anonymised { department, tenure } to
+ * export, or null to leave a suppressed response out (see getGroupLabels in utils/anonymity.js).
+ */
+export async function writeExport(stream, responses, { format, layout, surveys, groupLabel }) {
+  const surveysById = new Map(surveys.map((survey) => [survey._id.toString(), survey]))
+  const columns = getColumnsBySurvey(surveys)
+
+  async function* records() {
+    for await (const response of responses) {
+      const surveyId = response.surveyId?.toString()
+      const groups = groupLabel(response.department, response.tenure)
+      if (!groups) continue
+      yield* toExportRecords({ ...response, ...groups }, surveysById.get(surveyId), columns.get(surveyId) || [], layout)
+    }
+  }
+
+  if (format === "xlsx") {
+    return writeWorkbook(stream, records(), { layout, surveys, columns })
+  }
+  if (format === "csv") {
+    const csv = new Transform(
+      { fields: getExportFields(layout, surveys, columns), excelStrings: true },
+      { objectMode: true },
+    )
+    return pipeline(Readable.from(records()), csv, stream)
+  }
+  return pipeline(Readable.from(serializeJSON(records(), format)), stream)
+}
+
+/**
+ * Write the codebook of `surveys` to `stream` on its own, for the formats whose exports don't include it (XLSX
+ * exports have it as a sheet already).
+ */
+export async function writeCodebook(stream, surveys, format) {
+  if (format === "xlsx") {
+    return writeWorkbook(stream, [], { layout: "wide", surveys, columns: getColumnsBySurvey(surveys) })
+  }
+
+  const rows = buildCodebook(surveys)
+  if (format === "csv") {
+    const csv = new Transform({ fields: toFields(CODEBOOK_COLUMNS), excelStrings: true }, { objectMode: true })
+    return pipeline(Readable.from(rows), csv, stream)
+  }
+  return pipeline(Readable.from(serializeJSON(rows, format)), stream)
+}
@@ -0,0 +1,93 @@
+import mongoose from "mongoose"
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Accept ?surveyId=a,b as well as ?surveyId=a&surveyId=b
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value]
+  return values
+    .filter((item) => typeof item === "string")
+    .flatMap((item) => item.split(","))
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+function parseDate(value, { endOfDay = false } = {}) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return null
+  // A date-only upper bound includes that whole day
+  return endOfDay && DATE_ONLY.test(value) ? new Date(date.getTime() + DAY_MS) : date
+}
+
+/**
+ * Parse the response filters accepted by the reporting endpoints from a query string:
+ * surveyId (one or several), department, tenure, and a from/to submission date range (ISO dates).
+ * Returns { filters } or { error } with a message for a 400 response.
+ */
+export function parseResponseFilters(query = {}) {
+  const surveyIds = parseList(query.surveyId)
+  const invalidId = surveyIds.find((id) => !mongoose.isValidObjectId(id))
+  if (invalidId) {
+    return { error: `Invalid survey ID: ${invalidId}` }
+  }
+
+  const filters = {
+    surveyIds: [...new Set(surveyIds)],
+    department: typeof query.department === "string" && query.department.trim() ? query.department.trim() : null,
+    tenure: typeof query.tenure === "string" && query.tenure.trim() ? query.tenure.trim() : null,
+    from: null,
+    to: null,
+  }
+
+  if (query.from) {
+    filters.from = parseDate(query.from)
+    if (!filters.from) return { error: `Invalid from date: ${query.from}` }
+  }
+  if (query.to) {
+    filters.to = parseDate(query.to, { endOfDay: true })
+    if (!filters.to) return { error: `Invalid to date: ${query.to}` }
+  }
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    return { error: "The from date must be before the to date" }
+  }
+
+  return { filters }
+}
+
+// MongoDB $match stage for parsed filters. IDs are cast here because aggregation pipelines skip casting.
+export function toResponseMatch(filters) {
+  const match = {}
+
+  if (filters.surveyIds.length > 0) {
+    match.surveyId = { $in: filters.surveyIds.map((id) => new mongoose.Types.ObjectId(id)) }
+  }
+  if (filters.department) match.department = filters.department
+  if (filters.tenure) match.tenure = filters.tenure
+  if (filters.from || filters.to) {
+    match.timestamp = {}
+    if (filters.from) match.timestamp.$gte = filters.from
+    if (filters.to) match.timestamp.$lt = filters.to
+  }
+
+  return match
+}
+
+// Human-readable lines describing the selection, for report cover pages
+export function describeResponseFilters(filters, surveys = []) {
+  const formatDate = (date) => date.toISOString().slice(0, 10)
+
+  let dates = "All dates"
+  // `to` is exclusive, so show the last day it includes
+  const lastDay = filters.to && new Date(filters.to.getTime() - 1)
+  if (filters.from && lastDay) dates = `${formatDate(filters.from)} to ${formatDate(lastDay)}`
+  else if (filters.from) dates = `From ${formatDate(filters.from)}`
+  else if (lastDay) dates = `Until ${formatDate(lastDay)}`
+
+  return [
+    `Surveys: ${surveys.length > 0 ? surveys.map((survey) => survey.title).join(", ") : "All surveys"}`,
+    `Department: ${filters.department || "All departments"}`,
+    `Tenure: ${filters.tenure || "All tenures"}`,
+    `Submitted: ${dates}`,
+  ]
+}
@@ -0,0 +1,384 @@
+import csv from "csv-parser"
+import mongoose from "mongoose"
+import { getQuestionId, getQuestionsForVersion } from "../server/models/survey.model.js"
+import { validateAnswers } from "./responseValidator.js"
+import { OTHER_GROUP, SUPPRESSED_GROUP } from "./anonymity.js"
+import {
+  LONG_COLUMNS,
+  RANKING_SEPARATOR,
+  RESPONSE_COLUMNS,
+  getAnswerLabels,
+  getSurveyColumns,
+} from "./responseExport.js"
+
+// Import of historical responses (paper forms, Google Forms, older exports) from CSV. Files in the shape of
+// /api/responses/export are read as they are; other layouts map their columns to response fields and questions.
+
+// Rows read from one file; longer histories are imported in several files
+export const MAX_IMPORT_ROWS = 50000
+
+// Row errors listed in a report, the rest are only counted
+const MAX_REPORTED_ERRORS = 200
+
+// Response fields a column can hold. Survey titles, question texts and answer codes of exports are left out.
+const RESPONSE_FIELDS = ["responseId", "surveyId", "surveyVersion", "department", "tenure", "submittedAt"]
+
+// Group labels of anonymised reports and exports. They stand for several departments or tenure groups, so rows
+// holding them can't be imported as one.
+const ANONYMITY_LABELS = [OTHER_GROUP, SUPPRESSED_GROUP]
+
+// Long-layout fields naming the question of a row and its answer
+const LONG_ANSWER_FIELDS = ["questionId", "statement", "answer"]
+
+const normalize = (text) => String(text).trim().toLowerCase()
+
+// Excel-safe exports wrap text as ="..."
+const cellText = (value) => {
+  const text = String(value ?? "").trim()
+  const wrapped = text.match(/^="(.*)"$/s)
+  return wrapped ? wrapped[1].replace(/""/g, '"').trim() : text
+}
+
+/**
+ * Read a CSV stream into rows keyed by header. Returns { headers, rows }, or { error } for an empty file or one
+ * with more than `maxRows` rows.
+ */
+export function readCSV(stream, { maxRows = MAX_IMPORT_ROWS } = {}) {
+  return new Promise((resolve, reject) => {
+    let headers = []
+    const rows = []
+    const parser = csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, "").trim() })
+
+    parser.on("headers", (names) => {
+      headers = names
+    })
+    parser.on("data", (row) => {
+      if (rows.length === maxRows) {
+        stream.unpipe(parser)
+        parser.destroy()
+        resolve({ error: `The file has more than ${maxRows} rows; split it into several imports` })
+        return
+      }
+      rows.push(row)
+    })
+    parser.on("end", () => resolve(headers.length > 0 ? { headers, rows } : { error: "The file is empty" }))
+    parser.on("error", reject)
+    stream.on("error", reject)
+    stream.pipe(parser)
+  })
+}
+
+// What a header or mapping target can name, lower-cased: response fields by key or export header, question
+// columns by key (question ID, plus ":row" for matrix statements) or by the header an export gives them
+function buildTargetIndex(survey, columns) {
+  const index = new Map()
+  const add = (name, target) => {
+    if (!index.has(normalize(name))) index.set(normalize(name), target)
+  }
+
+  const exportColumns = [...RESPONSE_COLUMNS, ...LONG_COLUMNS]
+  exportColumns.forEach(([key, label]) => {
+    const target = { field: RESPONSE_FIELDS.includes(key) || LONG_ANSWER_FIELDS.includes(key) ? key : null }
+    add(key, target)
+    add(label, target)
+  })
+  columns.forEach((column) => add(column.key, { column }))
+  getAnswerLabels([survey], new Map([[survey._id.toString(), columns]])).forEach(({ column, label }) => {
+    add(label, { column })
+    add(`${survey.title}: ${label}`, { column })
+  })
+  return index
+}
+
+const describeTarget = (target) => target.field || target.column?.question || null
+
+/**
+ * Work out what each header holds, applying `mapping` ({ header: target }, a target of null ignores the column).
+ * Returns { targets: Map(header -> { field } | { column } | null) } or { error } for a mapping that names
+ * unknown headers or targets.
+ */
+function resolveHeaders(headers, index, mapping) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    return { error: "Column mapping must be an object of CSV column -> field or question" }
+  }
+  const unknownHeader = Object.keys(mapping).find((header) => !headers.includes(header.trim()))
+  if (unknownHeader) {
+    return { error: `The file has no column "${unknownHeader}" to map` }
+  }
+
+  const mapped = new Map(Object.entries(mapping).map(([header, target]) => [header.trim(), target]))
+  const targets = new Map()
+  for (const header of headers) {
+    if (!mapped.has(header)) {
+      targets.set(header, index.get(normalize(header)) || null)
+      continue
+    }
+    const target = mapped.get(header)
+    if (target === null || target === "") {
+      targets.set(header, null)
+      continue
+    }
+    const resolved = index.get(normalize(target))
+    if (!resolved || (!resolved.field && !resolved.column)) {
+      return { error: `Unknown mapping target "${target}" for column "${header}": use a response field or a question` }
+    }
+    targets.set(header, resolved)
+  }
+
+  const read = [...targets.values()].filter((target) => target?.field || target?.column)
+  const keys = read.map((target) => target.field || target.column.key)
+  const duplicate = read.find((target, position) => keys.indexOf(keys[position]) !== position)
+  if (duplicate) {
+    return { error: `More than one column holds "${describeTarget(duplicate)}"` }
+  }
+  return { targets }
+}
+
+// Option of a question matching an answer regardless of case, or the answer as it is for the validator to reject
+const matchOption = (options, answer) => options.find((option) => normalize(option) === normalize(answer)) ?? answer
+
+// YYYY-MM-DD of a date answer; dates written without a time zone are read in the server's
+function parseDateAnswer(text) {
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10)
+  const date = new Date(text)
+  if (Number.isNaN(date.getTime())) return text
+  const pad = (value) => String(value).padStart(2, "0")
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// Stored form of an answer read from a cell, in the format the export writes (see formatAnswer)
+function parseAnswer(question, text) {
+  switch (question.type) {
+    case "radio":
+    case "dropdown":
+      return matchOption(question.options, text)
+    case "checkbox":
+      return text.split(/;|, /).map((option) => matchOption(question.options, option.trim()))
+    case "ranking":
+      return text.split(RANKING_SEPARATOR.trim()).map((option) => matchOption(question.options, option.trim()))
+    case "star":
+      // Older exports wrote star ratings as "4 stars"
+      return text.replace(/\s*stars?$/i, "")
+    case "date":
+      return parseDateAnswer(text)
+    default:
+      return text
+  }
+}
+
+/**
+ * Response document for one record of the file: { fields, answers: Map(column key -> cell text) }.
+ * Returns { response }, { skip } with a reason, or { errors } with messages.
+ */
+function buildResponse(record, survey, columns, now) {
+  const { fields, answers: cells } = record
+  const surveyId = survey._id.toString()
+  if (fields.surveyId && fields.surveyId !== surveyId) {
+    return { skip: `belongs to survey ${fields.surveyId}` }
+  }
+
+  const errors = []
+  if (!fields.department) errors.push("Department is missing")
+  if (!fields.tenure) errors.push("Tenure is missing")
+  if (ANONYMITY_LABELS.includes(fields.department)) {
+    errors.push(`Department "${fields.department}" is a group of an anonymised export, not a department`)
+  }
+  if (ANONYMITY_LABELS.includes(fields.tenure)) {
+    errors.push(`Tenure "${fields.tenure}" is a group of an anonymised export, not a tenure`)
+  }
+
+  const timestamp = new Date(fields.submittedAt)
+  if (!fields.submittedAt) errors.push("Submission time is missing")
+  else if (Number.isNaN(timestamp.getTime())) errors.push(`Invalid submission time: ${fields.submittedAt}`)
+  else if (timestamp > now) errors.push(`Submission time is in the future: ${fields.submittedAt}`)
+
+  const versions = [survey.version || 1, ...(survey.questionHistory || []).map((entry) => entry.version)]
+  const version = fields.surveyVersion ? Number(fields.surveyVersion) : survey.version || 1
+  if (!versions.includes(version)) {
+    errors.push(`Survey version ${fields.surveyVersion} doesn't exist`)
+    return { errors }
+  }
+
+  // Answers to the questions of that version; matrix statements are gathered into one answer
+  const questions = getQuestionsForVersion(survey, version)
+  const questionIds = new Set(questions.map(getQuestionId))
+  const answers = {}
+  questions.forEach((question) => {
+    const questionId = getQuestionId(question)
+    if (question.type === "matrix") {
+      const statements = question.statements.map((statement, row) => cells.get(`${questionId}:${row}`) || "")
+      if (statements.some(Boolean)) {
+        answers[questionId] = statements.map((text) => (text ? matchOption(question.options, text) : text))
+      }
+    } else if (cells.get(questionId)) {
+      answers[questionId] = parseAnswer(question, cells.get(questionId))
+    }
+  })
+  cells.forEach((text, key) => {
+    const column = columns.find((entry) => entry.key === key)
+    if (text && !questionIds.has(column.questionId)) {
+      errors.push(`"${column.question}" isn't in version ${version} of the survey`)
+    }
+  })
+
+  const questionTexts = new Map(questions.map((question) => [getQuestionId(question), question.text]))
+  const validation = validateAnswers(questions, answers)
+  validation.errors.forEach(({ questionId, message }) => errors.push(`"${questionTexts.get(questionId)}": ${message}`))
+  if (errors.length > 0) return { errors }
+
+  return {
+    response: {
+      ...(mongoose.isValidObjectId(fields.responseId) ? { _id: new mongoose.Types.ObjectId(fields.responseId) } : {}),
+      surveyId: survey._id,
+      department: fields.department,
+      tenure: fields.tenure,
+      surveyVersion: version,
+      answers: validation.answers,
+      timestamp,
+    },
+  }
+}
+
+// Records of a wide file: one per row
+function readWideRecords(rows, targets) {
+  return rows.map((row, index) => {
+    const record = { rows: [index + 2], fields: {}, answers: new Map() }
+    targets.forEach((target, header) => {
+      const text = cellText(row[header])
+      if (target?.field) record.fields[target.field] = text
+      else if (target?.column) record.answers.set(target.column.key, text)
+    })
+    return record
+  })
+}
+
+/**
+ * Records of a long file: its rows grouped by response ID, each naming a question by ID (and a matrix statement by
+ * its text). Returns { records, errors } with the row errors found while grouping.
+ */
+function readLongRecords(rows, targets, columns) {
+  const headerOf = (field) => [...targets].find(([, target]) => target?.field === field)?.[0]
+  const records = new Map()
+  const errors = []
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2
+    const text = (field) => (headerOf(field) ? cellText(row[headerOf(field)]) : "")
+    const responseId = text("responseId")
+    if (!responseId) {
+      errors.push({ row: rowNumber, message: "Response ID is missing" })
+      return
+    }
+
+    const record = records.get(responseId) || { rows: [], fields: {}, answers: new Map() }
+    record.rows.push(rowNumber)
+    RESPONSE_FIELDS.forEach((field) => {
+      if (!record.fields[field]) record.fields[field] = text(field)
+    })
+
+    const questionId = text("questionId")
+    const statement = text("statement")
+    const column = columns.find(
+      (entry) => entry.questionId === questionId && normalize(entry.statement ?? "") === normalize(statement),
+    )
+    if (!column) {
+      errors.push({ row: rowNumber, message: `Unknown question ${questionId}${statement ? ` - ${statement}` : ""}` })
+    } else {
+      record.answers.set(column.key, text("answer"))
+    }
+    records.set(responseId, record)
+  })
+  return { records: [...records.values()], errors }
+}
+
+/**
+ * Check the rows of a CSV file against `survey` (a lean document with its question history) and build the
+ * responses to insert. Wide files have a row per response and a column per question, long files a row per answer
+ * with Response ID, Question ID and Answer columns (the two export layouts). Headers are matched to response fields
+ * and questions by their export names unless `mapping` says otherwise.
+ * Returns { plan } or { error } when the file can't be read this way. The plan has the `layout`, what each `column`
+ * was read as, the `responses` to insert and the rows `skipped` or in `errors`.
+ */
+export function planImport(survey, { headers, rows }, { mapping = {}, now = new Date() } = {}) {
+  const columns = getSurveyColumns(survey)
+  const { targets, error } = resolveHeaders(headers, buildTargetIndex(survey, columns), mapping)
+  if (error) return { error }
+
+  const fields = new Set([...targets.values()].map((target) => target?.field).filter(Boolean))
+  const layout = fields.has("questionId") && fields.has("answer") ? "long" : "wide"
+  if (layout === "long" && !fields.has("responseId")) {
+    return { error: "A file with one row per answer needs a Response ID column" }
+  }
+  if (!fields.has("submittedAt")) {
+    return { error: "The file has no submission time column; map one to submittedAt" }
+  }
+  if (layout === "wide" && ![...targets.values()].some((target) => target?.column)) {
+    return { error: "None of the columns matches a question of the survey; map them to questions" }
+  }
+
+  const read =
+    layout === "long"
+      ? readLongRecords(rows, targets, columns)
+      : { records: readWideRecords(rows, targets), errors: [] }
+  const errors = read.errors
+  const skipped = []
+  const responses = []
+  const responseIds = new Set()
+
+  read.records.forEach((record) => {
+    const row = record.rows[0]
+    const result = buildResponse(record, survey, columns, now)
+    if (result.skip) {
+      skipped.push({ row, reason: `Row ${result.skip}` })
+    } else if (result.errors) {
+      result.errors.forEach((message) => errors.push({ row, message }))
+    } else if (result.response._id && responseIds.has(result.response._id.toString())) {
+      errors.push({ row, message: `Response ID ${result.response._id} appears more than once` })
+    } else {
+      if (result.response._id) responseIds.add(result.response._id.toString())
+      responses.push({ row, response: result.response })
+    }
+  })
+
+  return {
+    plan: {
+      layout,
+      columns: headers.map((header) => ({
+        column: header,
+        readAs: targets.get(header) ? describeTarget(targets.get(header)) : null,
+      })),
+      responses,
+      skipped,
+      errors: errors.sort((a, b) => a.row - b.row),
+    },
+  }
+}
+
+// The plan without the responses whose IDs are already in the database (files exported from this app keep them)
+export function skipExisting(plan, existingIds) {
+  const existing = new Set(plan.responses.filter(({ response }) => existingIds.has(response._id?.toString())))
+  return {
+    ...plan,
+    responses: plan.responses.filter((entry) => !existing.has(entry)),
+    skipped: [
+      ...plan.skipped,
+      ...[...existing].map(({ row }) => ({ row, reason: "Response is already imported" })),
+    ].sort((a, b) => a.row - b.row),
+  }
+}
+
+// Import report for the API: counts plus the first row errors
+export function summarizeImport(survey, plan, { rowCount, dryRun, imported = 0 }) {
+  return {
+    survey: { id: survey._id, title: survey.title },
+    dryRun,
+    layout: plan.layout,
+    columns: plan.columns,
+    rowCount,
+    responseCount: plan.responses.length,
+    imported,
+    skipped: plan.skipped,
+    errorCount: plan.errors.length,
+    errors: plan.errors.slice(0, MAX_REPORTED_ERRORS),
+  }
+}
@@ -0,0 +1,141 @@
+import User from "../server/models/user.model.js"
+import { SUPPRESSED_GROUP } from "./anonymity.js"
+
+// Response rates: responses received against the headcount of the departments a survey was sent to.
+// A rate is null whenever part of its headcount is unknown, so a partial figure is never shown as the real one.
+
+// Headcount records keyed by department, with the tenure breakdown as a Map when there is one
+function indexHeadcounts(headcounts) {
+  return new Map(
+    headcounts.map((record) => [
+      record.department,
+      {
+        headcount: record.headcount,
+        tenures:
+          record.tenures?.length > 0 ? new Map(record.tenures.map((entry) => [entry.tenure, entry.headcount])) : null,
+      },
+    ]),
+  )
+}
+
+const sumOrNull = (values) => (values.some((value) => value === null) ? null : values.reduce((a, b) => a + b, 0))
+
+const rate = (responseCount, expectedResponses) => (expectedResponses ? responseCount / expectedResponses : null)
+
+/**
+ * How many responses each department and tenure group could have given: for every survey, the headcount of each
+ * department it was sent to (all departments with a headcount for all-department surveys). `department` and
+ * `tenure` narrow the count to a filtered selection. Returns Maps of group -> expected count (null if unknown).
+ */
+export function getExpectedResponses(surveys, headcounts, { department = null, tenure = null } = {}) {
+  const records = indexHeadcounts(headcounts)
+  const departments = new Map()
+  const tenures = new Map()
+  let tenuresKnown = true
+
+  surveys.forEach((survey) => {
+    let targets = survey.isAllDepartments ? [...records.keys()] : [survey.department]
+    if (department) targets = targets.filter((target) => target === department)
+
+    targets.forEach((target) => {
+      const record = records.get(target)
+      let expected = null
+      if (record && tenure) expected = record.tenures ? (record.tenures.get(tenure) ?? 0) : null
+      else if (record) expected = record.headcount
+      departments.set(target, sumOrNull([departments.has(target) ? departments.get(target) : 0, expected]))
+
+      if (!record?.tenures) {
+        tenuresKnown = false
+        return
+      }
+      record.tenures.forEach((count, group) => {
+        if (!tenure || group === tenure) tenures.set(group, (tenures.get(group) || 0) + count)
+      })
+    })
+  })
+
+  return { departments, tenures: tenuresKnown ? tenures : null }
+}
+
+/**
+ * Response counts and rates for a report, in its anonymised groups. A merged group ("Other") is expected to answer
+ * for all of its members, and groups that were sent the survey but haven't answered are listed with 0 responses.
+ * Suppressed groups count toward the totals but aren't listed.
+ * `departmentCounts`/`tenureCounts` are raw response counts and `departmentLabels`/`tenureLabels` the labels they
+ * are reported under (see utils/anonymity.js).
+ */
+export function calculateResponseRates({
+  surveys,
+  headcounts,
+  departmentCounts,
+  departmentLabels,
+  tenureCounts,
+  tenureLabels,
+  department = null,
+  tenure = null,
+}) {
+  const expected = getExpectedResponses(surveys, headcounts, { department, tenure })
+
+  const buildGroups = (counts, labels, expectedCounts) => {
+    const groups = new Map()
+    const add = (label, responseCount, expectedResponses) => {
+      const group = groups.get(label) || { responseCount: 0, expectedResponses: 0 }
+      group.responseCount += responseCount
+      group.expectedResponses = sumOrNull([group.expectedResponses, expectedResponses])
+      groups.set(label, group)
+    }
+
+    counts.forEach((count, group) =>
+      add(labels.get(group), count, expectedCounts ? (expectedCounts.get(group) ?? null) : null),
+    )
+    expectedCounts?.forEach((expectedResponses, group) => {
+      if (!counts.has(group)) add(group, 0, expectedResponses)
+    })
+
+    return groups
+  }
+
+  const toObject = (groups) =>
+    Object.fromEntries(
+      [...groups]
+        .filter(([label]) => label !== SUPPRESSED_GROUP)
+        .map(([label, group]) => [
+          label,
+          { ...group, responseRate: rate(group.responseCount, group.expectedResponses) },
+        ]),
+    )
+
+  const departments = buildGroups(departmentCounts, departmentLabels, expected.departments)
+  const responseCount = [...departmentCounts.values()].reduce((sum, count) => sum + count, 0)
+  const expectedResponses = sumOrNull([...departments.values()].map((group) => group.expectedResponses))
+
+  return {
+    responseCount,
+    expectedResponses,
+    responseRate: rate(responseCount, expectedResponses),
+    departments: toObject(departments),
+    tenures: toObject(buildGroups(tenureCounts, tenureLabels, expected.tenures)),
+  }
+}
+
+// "42%", or "-" when the headcount is unknown
+export function formatResponseRate(responseRate) {
+  return responseRate === null || responseRate === undefined ? "-" : `${Math.round(responseRate * 100)}%`
+}
+
+// Headcount per department and tenure group from the active employee accounts
+export async function countEmployees() {
+  const groups = await User.aggregate([
+    { $match: { role: "employee", disabled: { $ne: true } } },
+    { $group: { _id: { department: "$department", tenure: "$tenure" }, count: { $sum: 1 } } },
+  ])
+
+  const departments = new Map()
+  groups.forEach(({ _id, count }) => {
+    const record = departments.get(_id.department) || { department: _id.department, headcount: 0, tenures: [] }
+    record.headcount += count
+    record.tenures.push({ tenure: _id.tenure, headcount: count })
+    departments.set(_id.department, record)
+  })
+  return [...departments.values()].sort((a, b) => a.department.localeCompare(b.department))
+}
@@ -0,0 +1,134 @@
+import { getQuestionId } from "../server/models/survey.model.js"
+import { getVisibleQuestionIds } from "./questionConditions.js"
+
+// Checkbox answers are stored as one string joined with ", " (the same format the survey form submits)
+const CHECKBOX_SEPARATOR = ", "
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === ""
+
+// Checkbox questions are optional, every other type must be answered
+export function isQuestionRequired(question) {
+  return question.type !== "checkbox"
+}
+
+// Validate a single answer. Returns { value } with the normalised answer, or { error }.
+function validateAnswer(question, answer) {
+  switch (question.type) {
+    case "text":
+      if (typeof answer !== "string") return { error: "Answer must be text" }
+      return { value: answer.trim() }
+
+    case "radio":
+    case "dropdown":
+      if (!question.options.includes(answer)) return { error: `"${answer}" is not one of the options` }
+      return { value: answer }
+
+    case "checkbox": {
+      const selected = Array.isArray(answer) ? answer : String(answer).split(CHECKBOX_SEPARATOR)
+      const invalid = selected.filter((option) => !question.options.includes(option))
+      if (invalid.length) return { error: `Not valid options: ${invalid.join(", ")}` }
+      return { value: selected.join(CHECKBOX_SEPARATOR) }
+    }
+
+    case "star": {
+      const stars = Number(answer)
+      if (!Number.isInteger(stars) || stars < 1 || stars > 5) return { error: "Rating must be between 1 and 5 stars" }
+      return { value: String(stars) }
+    }
+
+    case "nps": {
+      const score = Number(answer)
+      if (!Number.isInteger(score) || score < 0 || score > 10) return { error: "Score must be between 0 and 10" }
+      return { value: String(score) }
+    }
+
+    case "number": {
+      const number = typeof answer === "number" ? answer : Number(String(answer).trim())
+      if (!Number.isFinite(number)) return { error: "Answer must be a number" }
+      if (question.min !== null && question.min !== undefined && number < question.min) {
+        return { error: `Answer must be at least ${question.min}` }
+      }
+      if (question.max !== null && question.max !== undefined && number > question.max) {
+        return { error: `Answer must be at most ${question.max}` }
+      }
+      return { value: String(number) }
+    }
+
+    case "date": {
+      // Dates are stored as YYYY-MM-DD, the format of <input type="date">
+      const date = String(answer).trim()
+      if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) return { error: "Answer must be a valid date" }
+      return { value: date }
+    }
+
+    case "matrix": {
+      // One scale option per statement, in statement order
+      if (!Array.isArray(answer) || answer.length !== question.statements.length || answer.some(isBlank)) {
+        return { error: "Please answer every statement" }
+      }
+      const invalid = answer.filter((option) => !question.options.includes(option))
+      if (invalid.length) return { error: `Not valid options: ${invalid.join(", ")}` }
+      return { value: answer }
+    }
+
+    case "ranking": {
+      // Every option exactly once, most preferred first
+      const ranked = Array.isArray(answer) ? answer : []
+      const isComplete =
+        ranked.length === question.options.length && question.options.every((option) => ranked.includes(option))
+      if (!isComplete) return { error: "Please rank every option" }
+      return { value: ranked }
+    }
+
+    default:
+      return { error: `Unsupported question type: ${question.type}` }
+  }
+}
+
+/**
+ * Validate submitted answers against a survey's questions.
+ * Answers must be keyed by question ID. Questions hidden by their display condition are skipped: they are
+ * not required and any answer to them is dropped. Returns the normalised answers and a list of
+ * per-question errors: { questionId, questionNumber, message } (questionNumber is 1-based, null for unknown keys).
+ */
+export function validateAnswers(questions, answers) {
+  const errors = []
+  const normalized = {}
+
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    return { answers: normalized, errors: [{ questionId: null, questionNumber: null, message: "Answers are required" }] }
+  }
+
+  const questionIds = new Set(questions.map(getQuestionId))
+  Object.keys(answers)
+    .filter((key) => !questionIds.has(key))
+    .forEach((key) => errors.push({ questionId: key, questionNumber: null, message: "Unknown question" }))
+
+  const visibleQuestionIds = getVisibleQuestionIds(questions, answers)
+
+  questions.forEach((question, index) => {
+    const questionId = getQuestionId(question)
+    if (!visibleQuestionIds.has(questionId)) return
+
+    const answer = answers[questionId]
+    const error = (message) => errors.push({ questionId, questionNumber: index + 1, message })
+
+    if (isBlank(answer) || (Array.isArray(answer) && answer.length === 0)) {
+      if (isQuestionRequired(question)) error("This question is required")
+      return
+    }
+
+    const result = validateAnswer(question, answer)
+    if (result.error) {
+      error(result.error)
+    } else if (isBlank(result.value) && isQuestionRequired(question)) {
+      error("This question is required")
+    } else {
+      normalized[questionId] = result.value
+    }
+  })
+
+  return { answers: normalized, errors }
+}
@@ -0,0 +1,201 @@
+// Confidence intervals and significance tests for report comparisons. Intervals are 95%; differences count as
+// significant below the 5% level, and only when the test's large-sample approximation holds.
+export const SIGNIFICANCE_LEVEL = 0.05
+
+const Z_95 = 1.959964
+
+// Two-sided 95% critical values of Student's t for 1-30 degrees of freedom; beyond that the normal value is close
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11,
+  2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+]
+
+const tCritical = (degreesOfFreedom) => T_95[degreesOfFreedom - 1] ?? Z_95
+
+// Wilson score interval for `successes` out of `n`; unlike the normal approximation it holds up for small n
+export function proportionInterval(successes, n) {
+  if (n === 0) return null
+
+  const estimate = successes / n
+  const z2 = Z_95 * Z_95
+  const center = (estimate + z2 / (2 * n)) / (1 + z2 / n)
+  const marginOfError = (Z_95 * Math.sqrt((estimate * (1 - estimate)) / n + z2 / (4 * n * n))) / (1 + z2 / n)
+
+  return {
+    estimate,
+    n,
+    marginOfError,
+    lower: Math.max(0, center - marginOfError),
+    upper: Math.min(1, center + marginOfError),
+  }
+}
+
+// Mean of a { value: count } distribution with a t-based interval (no interval for fewer than 2 values)
+export function meanInterval(counts) {
+  const values = Object.entries(counts)
+    .map(([value, count]) => [Number(value), count])
+    .filter(([value, count]) => Number.isFinite(value) && count > 0)
+  const n = values.reduce((sum, [, count]) => sum + count, 0)
+  if (n === 0) return null
+
+  const mean = values.reduce((sum, [value, count]) => sum + value * count, 0) / n
+  if (n < 2) {
+    return { mean, n, standardDeviation: null, marginOfError: null, lower: null, upper: null }
+  }
+
+  const variance = values.reduce((sum, [value, count]) => sum + count * (value - mean) ** 2, 0) / (n - 1)
+  const standardDeviation = Math.sqrt(variance)
+  const marginOfError = tCritical(n - 1) * (standardDeviation / Math.sqrt(n))
+  return { mean, n, standardDeviation, marginOfError, lower: mean - marginOfError, upper: mean + marginOfError }
+}
+
+// Lanczos approximation of ln(Gamma(x))
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2,
+    -0.5395239384953e-5,
+  ]
+  let y = x
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5)
+  let series = 1.000000000190015
+  coefficients.forEach((coefficient) => {
+    y += 1
+    series += coefficient / y
+  })
+  return -tmp + Math.log((2.5066282746310005 * series) / x)
+}
+
+// Regularized upper incomplete gamma function Q(a, x), by series or continued fraction depending on x
+function upperIncompleteGamma(a, x) {
+  if (x <= 0) return 1
+  const logPrefix = -x + a * Math.log(x) - logGamma(a)
+
+  if (x < a + 1) {
+    let term = 1 / a
+    let sum = term
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+      term *= x / (a + n)
+      sum += term
+    }
+    return Math.max(0, 1 - sum * Math.exp(logPrefix))
+  }
+
+  const tiny = 1e-300
+  let b = x + 1 - a
+  let c = 1 / tiny
+  let d = 1 / b
+  let fraction = d
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a)
+    b += 2
+    d = an * d + b
+    d = Math.abs(d) < tiny ? tiny : d
+    c = b + an / c
+    c = Math.abs(c) < tiny ? tiny : c
+    d = 1 / d
+    const delta = d * c
+    fraction *= delta
+    if (Math.abs(delta - 1) < 1e-14) break
+  }
+  return Math.min(1, Math.exp(logPrefix) * fraction)
+}
+
+// Probability of a chi-square statistic at least this large
+export function chiSquarePValue(statistic, degreesOfFreedom) {
+  return degreesOfFreedom > 0 ? upperIncompleteGamma(degreesOfFreedom / 2, statistic / 2) : 1
+}
+
+/**
+ * Pearson's chi-square test of independence on a contingency table (one row of category counts per group).
+ * Empty rows and columns are dropped. The result is only `reliable` when no expected count is below 1 and at
+ * most 20% are below 5. Returns null when there is nothing to compare.
+ */
+export function chiSquareTest(table) {
+  const rows = table.filter((row) => row.some((count) => count > 0))
+  const columns = (rows[0] || []).map((_, column) => column).filter((column) => rows.some((row) => row[column] > 0))
+  if (rows.length < 2 || columns.length < 2) return null
+
+  const rowTotals = rows.map((row) => columns.reduce((sum, column) => sum + row[column], 0))
+  const columnTotals = columns.map((column) => rows.reduce((sum, row) => sum + row[column], 0))
+  const total = rowTotals.reduce((sum, count) => sum + count, 0)
+
+  let statistic = 0
+  let smallCells = 0
+  let minExpected = Infinity
+  rows.forEach((row, rowIndex) => {
+    columns.forEach((column, columnIndex) => {
+      const expected = (rowTotals[rowIndex] * columnTotals[columnIndex]) / total
+      statistic += (row[column] - expected) ** 2 / expected
+      minExpected = Math.min(minExpected, expected)
+      if (expected < 5) smallCells++
+    })
+  })
+
+  const degreesOfFreedom = (rows.length - 1) * (columns.length - 1)
+  const pValue = chiSquarePValue(statistic, degreesOfFreedom)
+  const reliable = minExpected >= 1 && smallCells <= 0.2 * rows.length * columns.length
+  return {
+    test: "chi-square",
+    statistic,
+    degreesOfFreedom,
+    pValue,
+    reliable,
+    significant: reliable && pValue < SIGNIFICANCE_LEVEL,
+  }
+}
+
+/**
+ * Kruskal-Wallis H test (with the correction for ties) on groups given as { value: count } distributions.
+ * The result is only `reliable` when every group has at least 5 values. Returns null for fewer than 2 groups.
+ */
+export function kruskalWallisTest(groups) {
+  const samples = groups
+    .map((counts) =>
+      Object.entries(counts)
+        .map(([value, count]) => [Number(value), count])
+        .filter(([value, count]) => Number.isFinite(value) && count > 0),
+    )
+    .filter((sample) => sample.length > 0)
+  if (samples.length < 2) return null
+
+  // Mid-rank of every distinct value across all groups
+  const valueCounts = new Map()
+  samples.flat().forEach(([value, count]) => valueCounts.set(value, (valueCounts.get(value) || 0) + count))
+  const ranks = new Map()
+  let nextRank = 1
+  let tieSum = 0
+  const sortedValues = [...valueCounts.keys()].sort((a, b) => a - b)
+  sortedValues.forEach((value) => {
+    const ties = valueCounts.get(value)
+    ranks.set(value, nextRank + (ties - 1) / 2)
+    nextRank += ties
+    tieSum += ties ** 3 - ties
+  })
+
+  const total = nextRank - 1
+  const sizes = samples.map((sample) => sample.reduce((sum, [, count]) => sum + count, 0))
+  const rankSums = samples.map((sample) => sample.reduce((sum, [value, count]) => sum + ranks.get(value) * count, 0))
+  const tieCorrection = 1 - tieSum / (total ** 3 - total)
+
+  const h =
+    (12 / (total * (total + 1))) * rankSums.reduce((sum, rankSum, index) => sum + rankSum ** 2 / sizes[index], 0) -
+    3 * (total + 1)
+  const statistic = tieCorrection > 0 ? h / tieCorrection : 0
+  const degreesOfFreedom = samples.length - 1
+  const pValue = chiSquarePValue(statistic, degreesOfFreedom)
+  const reliable = sizes.every((size) => size >= 5)
+
+  return {
+    test: "Kruskal-Wallis",
+    statistic,
+    degreesOfFreedom,
+    pValue,
+    reliable,
+    significant: reliable && pValue < SIGNIFICANCE_LEVEL,
+  }
+}
+
+// "p = 0.032" / "p < 0.001"
+export function formatPValue(pValue) {
+  return pValue < 0.001 ? "p < 0.001" : `p = ${pValue.toFixed(3)}`
+}
@@ -0,0 +1,123 @@
+import { OPTION_QUESTION_TYPES } from "../server/models/survey.model.js"
+
+// Survey definitions: a survey's questions and settings as portable JSON, to move surveys between environments.
+// Definitions hold no responses, lifecycle, question history or series.
+export const DEFINITION_FORMAT = "survey-definition"
+
+// Raise when the shape changes in a way older servers can't read; parseDefinition keeps reading older versions
+export const DEFINITION_VERSION = 1
+
+// A question as the survey builder sends it, with only the fields its type uses. Works on documents and lean objects.
+function toQuestionDefinition(question) {
+  const definition = { _id: question._id ? String(question._id) : null, text: question.text, type: question.type }
+
+  if (OPTION_QUESTION_TYPES.includes(question.type)) definition.options = [...(question.options || [])]
+  if (question.type === "matrix") definition.statements = [...(question.statements || [])]
+  if (question.type === "number") {
+    definition.min = question.min ?? null
+    definition.max = question.max ?? null
+  }
+  if (question.condition?.questionId) {
+    definition.condition = {
+      questionId: String(question.condition.questionId),
+      operator: question.condition.operator,
+      value: question.condition.value ?? "",
+    }
+  } else if (Number.isInteger(question.condition?.questionIndex)) {
+    // Hand-written definitions may point at the trigger question by position, like the builder
+    definition.condition = {
+      questionIndex: question.condition.questionIndex,
+      operator: question.condition.operator,
+      value: question.condition.value ?? "",
+    }
+  }
+  if (question.scale) {
+    definition.scale = {
+      scores: (question.scale.scores || []).map(({ option, score }) => ({ option, score })),
+      countsTowardSatisfaction: question.scale.countsTowardSatisfaction !== false,
+    }
+  }
+  return definition
+}
+
+// The definition file of a survey. Question IDs only link conditions to their trigger question; imports get new IDs.
+export function toDefinition(survey, now = new Date()) {
+  return {
+    format: DEFINITION_FORMAT,
+    formatVersion: DEFINITION_VERSION,
+    exportedAt: now.toISOString(),
+    survey: {
+      title: survey.title,
+      department: survey.isAllDepartments ? null : survey.department,
+      isAllDepartments: survey.isAllDepartments === true,
+      color: survey.color || null,
+      questions: (survey.questions || []).map(toQuestionDefinition),
+    },
+  }
+}
+
+/**
+ * Questions in the builder's format without IDs, so a new survey made from them gets its own: conditions point at
+ * their trigger question by position (questionIndex) instead of by ID. Used for copies, templates and imported
+ * definitions, whose questions may have no ID or repeat one; conditions point at the first question with the ID.
+ */
+export function toBuilderQuestions(questions) {
+  const definitions = questions.map(toQuestionDefinition)
+  const positions = new Map()
+  definitions.forEach((question, index) => {
+    if (question._id && !positions.has(question._id)) positions.set(question._id, index)
+  })
+
+  return definitions.map(({ _id, condition, ...question }) =>
+    condition
+      ? {
+          ...question,
+          condition: {
+            questionIndex: condition.questionIndex ?? positions.get(condition.questionId),
+            operator: condition.operator,
+            value: condition.value,
+          },
+        }
+      : question,
+  )
+}
+
+/**
+ * Read an uploaded definition file. Returns { definition } with the survey fields to create a survey from, or
+ * { error } when it isn't a definition or was written by a newer version. The questions are checked like the
+ * builder's when the survey is saved.
+ */
+export function parseDefinition(body) {
+  if (!body || typeof body !== "object" || body.format !== DEFINITION_FORMAT) {
+    return { error: "Not a survey definition file" }
+  }
+  if (!Number.isInteger(body.formatVersion) || body.formatVersion < 1) {
+    return { error: "The definition has no valid formatVersion" }
+  }
+  if (body.formatVersion > DEFINITION_VERSION) {
+    return {
+      error: `The definition has format version ${body.formatVersion}; this server reads up to version ${DEFINITION_VERSION}`,
+    }
+  }
+
+  const survey = body.survey
+  if (!survey || typeof survey.title !== "string" || !survey.title.trim()) {
+    return { error: "The definition has no survey title" }
+  }
+  if (
+    !Array.isArray(survey.questions) ||
+    survey.questions.some((question) => typeof question !== "object" || !question)
+  ) {
+    return { error: "The definition has no valid list of questions" }
+  }
+
+  return {
+    definition: {
+      title: survey.title.trim(),
+      department: typeof survey.department === "string" ? survey.department : null,
+      isAllDepartments: survey.isAllDepartments === true,
+      color: typeof survey.color === "string" ? survey.color : null,
+      questions: survey.questions,
+    },
+  }
+}
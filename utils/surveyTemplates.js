@@ -0,0 +1,131 @@
+// Built-in survey templates, offered next to the templates saved in the admin panel (surveyTemplate.model.js).
+// Questions are in the survey builder's format: conditions point at their trigger question by position.
+
+// Only the satisfaction scale counts toward overall satisfaction, as in the scales of older surveys
+const scored = (options, countsTowardSatisfaction) => ({
+  options,
+  scale: {
+    scores: options.map((option, index) => ({ option, score: options.length - index })),
+    countsTowardSatisfaction,
+  },
+})
+
+const SATISFACTION = scored(["Very Satisfied", "Satisfied", "Neutral", "Dissatisfied", "Very Dissatisfied"], true)
+const AGREEMENT = scored(["Strongly Agree", "Agree", "Neutral", "Disagree", "Strongly Disagree"], false)
+
+const RECOMMEND_QUESTION = {
+  text: "How likely are you to recommend this company as a place to work?",
+  type: "nps",
+}
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    _id: "builtin-enps",
+    name: "Employee Net Promoter Score (eNPS)",
+    description: "Short pulse on how likely employees are to recommend the company as a place to work, and why.",
+    questions: [
+      RECOMMEND_QUESTION,
+      { text: "What is the main reason for your score?", type: "text" },
+      {
+        text: "What would make you more likely to recommend us?",
+        type: "text",
+        condition: { questionIndex: 0, operator: "lte", value: "8" },
+      },
+      {
+        text: "What do you value most about working here?",
+        type: "text",
+        condition: { questionIndex: 0, operator: "gte", value: "9" },
+      },
+    ],
+  },
+  {
+    _id: "builtin-onboarding",
+    name: "Onboarding",
+    description: "How new joiners experienced their first weeks: equipment, training, manager and team.",
+    questions: [
+      { text: "How satisfied are you with your onboarding overall?", type: "radio", ...SATISFACTION },
+      {
+        text: "How much do you agree with the following?",
+        type: "matrix",
+        statements: [
+          "I had the equipment and access I needed on my first day",
+          "My role and responsibilities were explained clearly",
+          "The training prepared me for my role",
+          "My manager made time to support me",
+          "My team made me feel welcome",
+        ],
+        ...AGREEMENT,
+      },
+      { text: "How would you rate your first week?", type: "star" },
+      { text: "What could we improve about onboarding?", type: "text" },
+    ],
+  },
+  {
+    _id: "builtin-exit",
+    name: "Exit Interview",
+    description: "Why employees leave and what would have kept them.",
+    questions: [
+      {
+        text: "What is the main reason you are leaving?",
+        type: "dropdown",
+        options: [
+          "Career growth",
+          "Pay and benefits",
+          "Management",
+          "Workload",
+          "Work-life balance",
+          "Relocation or personal reasons",
+          "Other",
+        ],
+      },
+      {
+        text: "Please describe your reason for leaving",
+        type: "text",
+        condition: { questionIndex: 0, operator: "equals", value: "Other" },
+      },
+      { text: "Overall, how satisfied were you working here?", type: "radio", ...SATISFACTION },
+      {
+        text: "How much do you agree with the following?",
+        type: "matrix",
+        statements: [
+          "I was recognised for my work",
+          "I had opportunities to grow",
+          "My workload was manageable",
+          "My manager supported me",
+        ],
+        ...AGREEMENT,
+      },
+      RECOMMEND_QUESTION,
+      { text: "Would you consider working here again?", type: "radio", options: ["Yes", "Maybe", "No"] },
+      { text: "What could we have done to keep you?", type: "text" },
+    ],
+  },
+  {
+    _id: "builtin-training",
+    name: "Training Feedback",
+    description: "Feedback on a training session: content, trainer and what participants can apply.",
+    questions: [
+      { text: "Which training did you attend?", type: "text" },
+      { text: "When did you attend it?", type: "date" },
+      { text: "How satisfied are you with the training overall?", type: "radio", ...SATISFACTION },
+      {
+        text: "How much do you agree with the following?",
+        type: "matrix",
+        statements: [
+          "The objectives were clear",
+          "The content was relevant to my role",
+          "The pace was right",
+          "I can apply what I learned",
+        ],
+        ...AGREEMENT,
+      },
+      { text: "How would you rate the trainer?", type: "star" },
+      {
+        text: "Rank the formats you learn best from",
+        type: "ranking",
+        options: ["Hands-on practice", "Classroom sessions", "Videos", "Reading material"],
+      },
+      { text: "What would improve this training?", type: "text" },
+    ],
+  },
+].map((template) => ({ ...template, builtIn: true }))
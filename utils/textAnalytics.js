@@ -0,0 +1,217 @@
+// Offline analysis of free-text answers: keywords, bigrams, lexicon-based sentiment and workplace themes.
+// Everything runs in-process on the answer counts of a report (no external services). English only.
+
+const STOP_WORDS = new Set(
+  (
+    "a about above after again against all almost also although always am an and any anything are aren't around as " +
+    "at be because been before being below between both but by can can't cannot could couldn't did didn't do does " +
+    "doesn't doing don't down during each either else even ever every everything few for from further get gets " +
+    "getting got had hadn't has hasn't have haven't having he he's her here hers herself him himself his how i i'd " +
+    "i'll i'm i've if in into is isn't it it's its itself just let's like lot lots may me might more most much must " +
+    "mustn't my myself need needs no nor not now of off often on once one only or other others our ours ourselves " +
+    "out over own per quite rather really same shall she she's should shouldn't so some something sometimes still " +
+    "such than that that's the their theirs them themselves then there there's these they they'd they'll they're " +
+    "they've thing things this those though through thus to too under until up upon us very via was wasn't we we'd " +
+    "we'll we're we've well were weren't what what's when where which while who whom why will with within without " +
+    "won't would wouldn't yes yet you you'd you'll you're you've your yours yourself yourselves n/a na nothing none please etc"
+  ).split(" "),
+)
+
+// Words that reverse the sentiment of the few words after them ("not happy")
+const NEGATIONS = new Set(
+  (
+    "not no never none nobody nothing neither nor without hardly barely cannot can't don't doesn't didn't isn't " +
+    "aren't wasn't weren't won't wouldn't shouldn't couldn't haven't hasn't hadn't"
+  ).split(" "),
+)
+const NEGATION_WINDOW = 3
+
+// Words that strengthen the sentiment word right after them ("very happy")
+const INTENSIFIERS = new Set("very really extremely so too highly totally completely super".split(" "))
+
+// Sentiment words by score, from -3 (very negative) to 3 (very positive)
+const SENTIMENT_WORDS = {
+  3: "amazing awesome excellent fantastic outstanding wonderful love loved perfect",
+  2:
+    "great good happy enjoy enjoyed helpful supportive appreciated appreciate satisfied friendly fair flexible " +
+    "motivated motivating rewarding proud thanks thank valued respect respected recommend encouraging inspiring " +
+    "positive fun",
+  1:
+    "nice better improved improving improvement clear easy fine ok okay liked interesting collaborative " +
+    "transparent stable efficient growth opportunity opportunities open calm comfortable safe balanced benefit",
+  "-1":
+    "unclear confusing confused slow lack lacking missing difficult hard problem problems issue issues tired boring " +
+    "busy delay delays delayed outdated limited pressure complaint complaints concern concerns worried worry low " +
+    "crowded noisy",
+  "-2":
+    "bad poor unfair unhappy stressful stress stressed burnout burnt frustrated frustrating disappointed " +
+    "disappointing overworked underpaid rude ignored micromanagement micromanaging favoritism favouritism " +
+    "demotivated worse overload overloaded unsafe",
+  "-3": "terrible horrible awful toxic hate hated worst abusive harassment",
+}
+const SENTIMENT_LEXICON = new Map(
+  Object.entries(SENTIMENT_WORDS).flatMap(([score, words]) => words.split(" ").map((word) => [word, Number(score)])),
+)
+
+/**
+ * Workplace themes and the words that mark a comment as being about them. A trailing "*" matches any word
+ * starting with it ("manag*" matches manager, management, managing).
+ */
+const THEMES = [
+  ["Management & leadership", "manag* boss* supervis* leader* lead micromanag*"],
+  ["Workload & stress", "workload overwork* overload* stress* burnout deadline* pressure busy overtime"],
+  ["Pay & benefits", "pay paid underpaid salar* wage* bonus* compensation benefit* raise* incentive* insurance"],
+  ["Career growth", "career* promot* growth grow advance* opportunit* progress*"],
+  ["Training & development", "train* learn* skill* course* mentor* coach* development"],
+  ["Communication", "communicat* inform* transparen* feedback meeting* update* email*"],
+  ["Team & colleagues", "team* colleague* coworker* co-worker* peer* collaborat* staff"],
+  ["Work-life balance", "balance flexib* remote hybrid home leave holiday* vacation* hours shift* family"],
+  ["Recognition", "recogni* appreciat* reward* valued credit acknowledg*"],
+  ["Tools & resources", "tool* system* software equipment laptop* computer* resource* process*"],
+  ["Workplace & facilities", "office* facilit* canteen parking space desk* environment clean* safety"],
+  ["Culture & fairness", "culture fair* unfair* favorit* favourit* respect* toxic inclusi* divers* politic*"],
+].map(([theme, list]) => {
+  const words = list.split(" ")
+  return {
+    theme,
+    exact: new Set(words.filter((word) => !word.endsWith("*"))),
+    prefixes: words.filter((word) => word.endsWith("*")).map((word) => word.slice(0, -1)),
+  }
+})
+
+// Lower-case words of a text, without accents, punctuation or possessive "'s"; other apostrophes are kept ("don't")
+export function tokenize(text) {
+  const words =
+    String(text)
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[\u2018\u2019]/g, "'")
+      .match(/[a-z0-9]+(?:['/-][a-z0-9]+)*/g) || []
+  return words.filter((word) => !/^\d+$/.test(word)).map((word) => word.replace(/'s$/, ""))
+}
+
+// Words worth counting as keywords
+const isContentWord = (word) => word.length > 2 && !STOP_WORDS.has(word) && !NEGATIONS.has(word)
+
+/**
+ * Lexicon score of a list of words: each sentiment word counts with its lexicon score, 1.5 times as much after an
+ * intensifier and reversed (at half strength) after a negation. `score` is the sum squashed into -1..1.
+ */
+export function scoreSentiment(words) {
+  let total = 0
+  words.forEach((word, index) => {
+    let value = SENTIMENT_LEXICON.get(word)
+    if (!value) return
+    if (index > 0 && INTENSIFIERS.has(words[index - 1])) value *= 1.5
+    const negated = words.slice(Math.max(0, index - NEGATION_WINDOW), index).some((previous) => NEGATIONS.has(previous))
+    if (negated) value *= -0.5
+    total += value
+  })
+
+  const score = total / Math.sqrt(total * total + 15)
+  return { score, label: score > 0.05 ? "positive" : score < -0.05 ? "negative" : "neutral" }
+}
+
+// Themes a list of words touches, with the words that matched each
+function matchThemes(words) {
+  const matches = new Map()
+  words.forEach((word) => {
+    THEMES.forEach(({ theme, exact, prefixes }) => {
+      if (exact.has(word) || prefixes.some((prefix) => word.startsWith(prefix))) {
+        if (!matches.has(theme)) matches.set(theme, new Set())
+        matches.get(theme).add(word)
+      }
+    })
+  })
+  return matches
+}
+
+// Most frequent terms of a term -> count Map, most frequent first (ties alphabetically)
+const topTerms = (counts, limit, minCount = 1) =>
+  [...counts]
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }))
+
+const addCount = (counts, key, count) => counts.set(key, (counts.get(key) || 0) + count)
+
+/**
+ * Analyse free-text answers given as { answer: count }. Keyword, bigram and theme counts are the number of answers
+ * mentioning them, so a word repeated within one comment counts once. Answers without any content word ("n/a",
+ * "nothing") count as responses but aren't analysed.
+ */
+export function analyzeText(responses, { limit = 10 } = {}) {
+  const keywords = new Map()
+  const bigrams = new Map()
+  const themes = new Map()
+  const sentiment = { positive: 0, neutral: 0, negative: 0 }
+  let responseCount = 0
+  let analyzedResponses = 0
+  let scoreTotal = 0
+
+  Object.entries(responses).forEach(([answer, count]) => {
+    responseCount += count
+    // Phrases don't run across punctuation ("too high, constant overtime" has no "high constant")
+    const clauses = answer.split(/[.,;:!?()\n]+/).map(tokenize)
+    const words = clauses.flat()
+    const contentWords = words.filter(isContentWord)
+    if (contentWords.length === 0) return
+    analyzedResponses += count
+
+    new Set(contentWords).forEach((word) => addCount(keywords, word, count))
+    const pairs = new Set()
+    clauses.forEach((clause) =>
+      clause.forEach((word, index) => {
+        const next = clause[index + 1]
+        if (next && isContentWord(word) && isContentWord(next)) pairs.add(`${word} ${next}`)
+      }),
+    )
+    pairs.forEach((pair) => addCount(bigrams, pair, count))
+
+    const { score, label } = scoreSentiment(words)
+    sentiment[label] += count
+    scoreTotal += score * count
+
+    matchThemes(words).forEach((matched, theme) => {
+      const totals = themes.get(theme) || {
+        responseCount: 0,
+        scoreTotal: 0,
+        sentiment: { positive: 0, neutral: 0, negative: 0 },
+        words: new Map(),
+      }
+      totals.responseCount += count
+      totals.scoreTotal += score * count
+      totals.sentiment[label] += count
+      matched.forEach((word) => addCount(totals.words, word, count))
+      themes.set(theme, totals)
+    })
+  })
+
+  return {
+    responseCount,
+    analyzedResponses,
+    keywords: topTerms(keywords, limit),
+    // A pair of words only says something when several people used it
+    bigrams: topTerms(bigrams, limit, 2),
+    sentiment: { ...sentiment, averageScore: analyzedResponses > 0 ? scoreTotal / analyzedResponses : null },
+    themes: [...themes]
+      .map(([theme, totals]) => ({
+        theme,
+        responseCount: totals.responseCount,
+        share: totals.responseCount / analyzedResponses,
+        sentiment: { ...totals.sentiment, averageScore: totals.scoreTotal / totals.responseCount },
+        keywords: topTerms(totals.words, 5).map(({ term }) => term),
+      }))
+      .sort((a, b) => b.responseCount - a.responseCount || a.theme.localeCompare(b.theme)),
+  }
+}
+
+// "mostly positive" / "mixed" / "mostly negative" for an average sentiment score
+export function describeSentiment(averageScore) {
+  if (averageScore === null) return "no sentiment"
+  if (averageScore >= 0.2) return "mostly positive"
+  if (averageScore <= -0.2) return "mostly negative"
+  return "mixed"
+}
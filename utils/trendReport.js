@@ -0,0 +1,502 @@
+import fs from "fs"
+import PDFDocument from "pdfkit"
+import path from "path"
+import ReportGenerator, { QUESTION_TYPE_LABELS } from "./reportGenerator.js"
+import { scoreResponses } from "./questionScale.js"
+import { formatResponseRate } from "./responseRates.js"
+import { chiSquareTest, meanInterval, proportionInterval } from "./statistics.js"
+
+// Line colours of the trend charts: every respondent first, then one per department
+const TREND_COLORS = ["#253074", "#e67e22", "#27ae60", "#8e44ad", "#c0392b", "#16a085", "#f1c40f", "#7f8c8d"]
+
+/**
+ * Trend report of a survey series. Every wave is analysed like a single survey (same anonymity threshold,
+ * scales and statistics), then questions are matched across waves to show how their score, satisfaction and
+ * participation changed from wave to wave, per department and tenure group.
+ */
+class TrendReportGenerator extends ReportGenerator {
+  /**
+   * Analyse the waves of a series. `waves` are its surveys ordered by wave number and `filter` is a $match stage
+   * (department, tenure, dates) applied to each of them. The result is plain JSON, served by
+   * GET /api/series/:id/trends (see the README for the format).
+   */
+  async generateTrendAnalysis(series, waves, filter = {}, { filterSummary = [] } = {}) {
+    if (!this.d3) {
+      await this.initialize()
+    }
+
+    const waveResults = []
+    const questions = new Map()
+    const keys = new Map()
+    // Trend key -> the last wave a question was answered in, to compare the next wave against
+    const previous = new Map()
+    let previousSatisfaction = null
+
+    for (const [index, survey] of waves.entries()) {
+      const wave = {
+        wave: survey.wave,
+        surveyId: survey._id.toString(),
+        title: survey.title,
+        status: survey.status,
+        opensAt: survey.opensAt ?? null,
+        closesAt: survey.closesAt ?? null,
+        responseCount: 0,
+        expectedResponses: null,
+        responseRate: null,
+        departments: {},
+        tenures: {},
+        satisfaction: null,
+        satisfactionChange: null,
+        anonymityNote: null,
+      }
+      waveResults.push(wave)
+
+      // Groups come from the participation figures, so groups that were sent the wave but didn't answer are listed
+      const summarizeStats = (groups, stats = {}) =>
+        Object.fromEntries(
+          Object.entries(groups).map(([group, { responseCount, expectedResponses, responseRate }]) => [
+            group,
+            {
+              responseCount,
+              expectedResponses,
+              responseRate,
+              satisfaction: stats[group]?.satisfaction.satisfactionInterval ?? null,
+            },
+          ]),
+        )
+
+      // Waves nobody answered (yet) stay in the timeline with their response rates but without statistics, and so do
+      // waves with fewer responses than the anonymity threshold, whose statistics would show a handful of answers
+      const match = { ...filter, surveyId: survey._id }
+      const responseCount = [...(await this.countResponsesBy(match, "department")).values()].reduce((a, b) => a + b, 0)
+      if (responseCount === 0 || responseCount < this.anonymityThreshold) {
+        const { participation } = await this.generateParticipation(match, [survey])
+        if (responseCount > 0) {
+          wave.anonymityNote = `Fewer than ${this.anonymityThreshold} responses, so their answers are left out.`
+        }
+        wave.responseCount = participation.responseCount
+        wave.expectedResponses = participation.expectedResponses
+        wave.responseRate = participation.responseRate
+        wave.departments = summarizeStats(participation.departments)
+        wave.tenures = summarizeStats(participation.tenures)
+        continue
+      }
+
+      const analysis = await this.generateAnalysis(match)
+      wave.responseCount = analysis.overview.totalResponses
+      wave.expectedResponses = analysis.participation.expectedResponses
+      wave.responseRate = analysis.participation.responseRate
+      wave.departments = summarizeStats(analysis.participation.departments, analysis.departmentStats)
+      wave.tenures = summarizeStats(analysis.participation.tenures, analysis.tenureStats)
+      wave.satisfaction = analysis.overview.satisfactionInterval
+      wave.anonymityNote = analysis.anonymity.note
+
+      if (wave.satisfaction) {
+        if (previousSatisfaction) {
+          wave.satisfactionChange = this.compareSatisfaction(previousSatisfaction, wave)
+        }
+        previousSatisfaction = wave
+      }
+
+      Object.values(analysis.questionAnalysis).forEach((entry) => {
+        const key = this.getTrendKey(keys, entry)
+        if (!questions.has(key)) {
+          questions.set(key, {
+            question: entry.question,
+            statement: entry.statement,
+            type: entry.questionType,
+            waves: waves.map(() => null),
+          })
+        }
+        const trend = questions.get(key)
+        // Show the latest wording
+        trend.question = entry.question
+
+        const summarizeGroups = (groups) =>
+          Object.fromEntries([...groups].map(([group, tally]) => [group, this.summarizeTrendPoint(entry, tally)]))
+        const tally = this.mergeTallies(entry)
+        const point = {
+          wave: survey.wave,
+          surveyId: entry.surveyId,
+          questionId: entry.questionId,
+          ...this.summarizeTrendPoint(entry, tally),
+          byDepartment: summarizeGroups(entry.departmentResponses),
+          byTenure: summarizeGroups(entry.tenureResponses),
+          change: null,
+        }
+
+        const current = { wave: survey.wave, entry, tally, point }
+        if (previous.has(key)) {
+          point.change = this.describeChange(previous.get(key), current)
+        }
+        previous.set(key, current)
+        trend.waves[index] = point
+      })
+    }
+
+    return {
+      series: { id: series._id.toString(), name: series.name, description: series.description || "" },
+      filterSummary,
+      waves: waveResults,
+      questions: [...questions.values()],
+    }
+  }
+
+  // Key a question is followed by across waves: its ID (waves added from the previous wave keep their question IDs),
+  // otherwise its type and wording. Each statement of a matrix is followed on its own.
+  getTrendKey(keys, entry) {
+    const idKey = `id:${entry.questionId}:${entry.statement ?? ""}`
+    const textKey = `text:${entry.questionType}:${entry.question.trim().toLowerCase()}`
+    const key = keys.get(idKey) ?? keys.get(textKey) ?? idKey
+    keys.set(idKey, key)
+    keys.set(textKey, key)
+    return key
+  }
+
+  // Response count, average score and satisfied share (each with its 95% margin of error) of one question in one wave
+  summarizeTrendPoint(entry, tally) {
+    const scores = this.getScoreDistribution(entry, tally)
+    const mean = scores && meanInterval(scores)
+    const score = entry.scale && scoreResponses(tally.responses, entry.scale.scores)
+    const satisfied = score && proportionInterval(score.satisfied, score.count)
+
+    const point = {
+      responseCount: tally.responseCount,
+      score: mean ? mean.mean : null,
+      scoreMarginOfError: mean ? mean.marginOfError : null,
+      satisfied: satisfied ? satisfied.estimate : null,
+      satisfiedMarginOfError: satisfied ? satisfied.marginOfError : null,
+    }
+    if (entry.type === "NPS") {
+      point.npsScore = this.calculateNPS(tally.responses).score
+    }
+    return point
+  }
+
+  // Change of a question since the last wave it was answered in, with a test of whether the answers differ
+  describeChange(previous, current) {
+    const difference = (field) =>
+      previous.point[field] === null || current.point[field] === null
+        ? null
+        : current.point[field] - previous.point[field]
+
+    return {
+      fromWave: previous.wave,
+      responseCount: current.point.responseCount - previous.point.responseCount,
+      score: difference("score"),
+      satisfied: difference("satisfied"),
+      test: this.compareGroups(
+        current.entry,
+        new Map([
+          ["previous", previous.tally],
+          ["current", current.tally],
+        ]),
+      ),
+    }
+  }
+
+  // Change of the overall satisfied share between two waves, with a chi-square test
+  compareSatisfaction(previous, current) {
+    const counts = ({ estimate, n }) => {
+      const satisfied = Math.round(estimate * n)
+      return [satisfied, n - satisfied]
+    }
+    return {
+      fromWave: previous.wave,
+      satisfied: current.satisfaction.estimate - previous.satisfaction.estimate,
+      test: chiSquareTest([counts(previous.satisfaction), counts(current.satisfaction)]),
+    }
+  }
+
+  async generateTrendPDF(trend) {
+    try {
+      const doc = new PDFDocument({
+        autoFirstPage: true,
+        size: "A4",
+        margin: 80,
+        info: {
+          Title: "Survey Trend Report",
+          Author: "Survey Analysis System",
+          Subject: `Trends of ${trend.series.name}`,
+          Keywords: "survey, trends, waves, analysis",
+        },
+      })
+
+      const outputPath = path.join(this.outputDir, `survey_trends_${Date.now()}.pdf`)
+      if (!fs.existsSync(this.outputDir)) {
+        fs.mkdirSync(this.outputDir, { recursive: true })
+      }
+
+      const stream = fs.createWriteStream(outputPath)
+      doc.pipe(stream)
+
+      // Cover page
+      doc.fontSize(32).fillColor("#253074").text("Survey Trend Report", { align: "center" })
+      doc.moveDown()
+      doc.fontSize(20).text(trend.series.name, { align: "center" })
+      if (trend.series.description) {
+        doc.fontSize(12).fillColor("#333333").text(trend.series.description, { align: "center" })
+      }
+      doc.moveDown()
+      doc
+        .fontSize(16)
+        .fillColor("#666666")
+        .text(`Generated on: ${new Date().toLocaleDateString()}`, { align: "center" })
+      doc.text(`Waves: ${trend.waves.length}`, { align: "center" })
+      doc.moveDown(2)
+      this.addFilterSummary(doc, trend)
+
+      doc
+        .lineWidth(3)
+        .strokeColor("#253074")
+        .rect(50, 50, doc.page.width - 100, doc.page.height - 100)
+        .stroke()
+
+      doc.addPage()
+      this.addParticipationSection(doc, trend)
+
+      trend.questions.forEach((question, index) => {
+        doc.addPage()
+        this.renderQuestionTrend(doc, question, index + 1, trend.waves)
+      })
+
+      doc.end()
+
+      return new Promise((resolve, reject) => {
+        stream.on("finish", () => resolve(outputPath))
+        stream.on("error", reject)
+      })
+    } catch (error) {
+      console.error("Trend PDF Generation Error:", error)
+      throw new Error(`Failed to generate trend PDF: ${error.message}`)
+    }
+  }
+
+  // Responses (with response rates) and overall satisfaction per wave, then responses per department and tenure group
+  addParticipationSection(doc, trend) {
+    doc.fontSize(24).fillColor("#253074").text("Participation & Satisfaction", { align: "center" })
+    doc.moveDown()
+
+    this.drawTable(
+      doc,
+      ["Wave", "Survey", "Responses", "Satisfaction", "Change"],
+      trend.waves.map((wave) => [
+        `Wave ${wave.wave}`,
+        wave.title,
+        this.formatResponses(wave),
+        wave.satisfaction ? `${this.formatProportion(wave.satisfaction)} (n = ${wave.satisfaction.n})` : "-",
+        wave.satisfactionChange
+          ? `${this.formatDifference(wave.satisfactionChange.satisfied * 100, 0)} pts, ${this.describeSignificance(wave.satisfactionChange.test)}`
+          : "",
+      ]),
+      { firstColumnWidth: 60 },
+    )
+
+    const waveHeaders = trend.waves.map((wave) => `Wave ${wave.wave}`)
+    const groupRows = (field) => {
+      const groups = [...new Set(trend.waves.flatMap((wave) => Object.keys(wave[field])))]
+      return groups.map((group) => [
+        group,
+        ...trend.waves.map((wave) => (wave[field][group] ? this.formatResponses(wave[field][group]) : "-")),
+      ])
+    }
+
+    doc.moveDown()
+    doc.fontSize(14).fillColor("#253074").text("Responses by Department", 70, doc.y)
+    doc.moveDown(0.3)
+    this.drawTable(doc, ["Department", ...waveHeaders], groupRows("departments"))
+
+    doc.moveDown()
+    doc.fontSize(14).fillColor("#253074").text("Responses by Tenure", 70, doc.y)
+    doc.moveDown(0.3)
+    this.drawTable(doc, ["Tenure", ...waveHeaders], groupRows("tenures"))
+
+    doc.moveDown()
+    doc.fontSize(10).fillColor("#666666")
+    trend.waves
+      .filter((wave) => wave.anonymityNote)
+      .forEach((wave) =>
+        doc.text(`Wave ${wave.wave}: ${wave.anonymityNote}`, 70, doc.y, { width: doc.page.width - 120 }),
+      )
+    doc.text(
+      "Changes are marked significant when they are statistically significant at the 5% level. " +
+        "In figures given as x ± y, y is the 95% margin of error; n is the number of answers a figure is based on.",
+      70,
+      doc.y,
+      { width: doc.page.width - 120 },
+    )
+  }
+
+  // One question across the waves: a chart of its average score, a table per group and the change between waves
+  renderQuestionTrend(doc, question, number, waves) {
+    const points = question.waves
+    const askedIn = points.filter(Boolean).length
+
+    doc.fontSize(16).fillColor("#253074").text(`Question ${number}: ${question.question}`)
+    doc
+      .fontSize(12)
+      .fillColor("#666666")
+      .text(`Question Type: ${QUESTION_TYPE_LABELS[question.type]} | Answered in ${askedIn} of ${waves.length} waves`)
+    doc.moveDown(0.5)
+
+    const waveHeaders = waves.map((wave) => `Wave ${wave.wave}`)
+    const isScored = points.some((point) => point && point.score !== null)
+    const groupNames = (field) => [...new Set(points.flatMap((point) => (point ? Object.keys(point[field]) : [])))]
+    const departments = groupNames("byDepartment")
+    const tenures = groupNames("byTenure")
+
+    if (isScored) {
+      doc.fontSize(13).fillColor("#253074").text("Average score by wave:", 70, doc.y)
+      doc.moveDown(0.3)
+      const lines = [
+        { label: "All respondents", values: points.map((point) => point?.score ?? null) },
+        ...departments.map((department) => ({
+          label: department,
+          values: points.map((point) => point?.byDepartment[department]?.score ?? null),
+        })),
+      ]
+      this.drawLineChart(doc, waveHeaders, lines.slice(0, TREND_COLORS.length))
+    }
+
+    // Average score (or response count for unscored questions) and number of answers per group and wave
+    const cell = (point) => {
+      if (!point) return "-"
+      return point.score === null
+        ? `n = ${point.responseCount}`
+        : `${point.score.toFixed(1)} (n = ${point.responseCount})`
+    }
+    const rows = [
+      ["All respondents", ...points.map(cell)],
+      ...departments.map((department) => [department, ...points.map((point) => cell(point?.byDepartment[department]))]),
+      ...tenures.map((tenure) => [tenure, ...points.map((point) => cell(point?.byTenure[tenure]))]),
+    ]
+    if (points.some((point) => point && point.satisfied !== null)) {
+      rows.splice(1, 0, [
+        "Satisfied",
+        ...points.map((point) =>
+          !point || point.satisfied === null
+            ? "-"
+            : this.formatProportion({ estimate: point.satisfied, marginOfError: point.satisfiedMarginOfError }),
+        ),
+      ])
+    }
+    doc.moveDown(0.3)
+    doc
+      .fontSize(13)
+      .fillColor("#253074")
+      .text(isScored ? "Average score per group:" : "Answers per group:", 70, doc.y)
+    doc.moveDown(0.3)
+    this.drawTable(doc, ["Group", ...waveHeaders], rows)
+
+    const changes = points.filter((point) => point?.change)
+    if (changes.length > 0) {
+      doc.moveDown(0.3)
+      this.ensureSpace(doc, 20 + changes.length * 14)
+      doc.fontSize(13).fillColor("#253074").text("Change between waves:", 70, doc.y)
+      doc.fontSize(10).fillColor("#333333")
+      changes.forEach(({ wave, change }) => {
+        const parts = [`responses ${this.formatDifference(change.responseCount, 0)}`]
+        if (change.score !== null) parts.push(`score ${this.formatDifference(change.score, 1)}`)
+        if (change.satisfied !== null) parts.push(`satisfied ${this.formatDifference(change.satisfied * 100, 0)} pts`)
+        doc.text(
+          `Wave ${change.fromWave} to Wave ${wave}: ${parts.join(", ")} - ${this.describeComparison(change.test)}`,
+          70,
+          doc.y,
+          { width: doc.page.width - 120 },
+        )
+      })
+    }
+  }
+
+  // "22 (55%)": responses and the response rate, when the headcount is known
+  formatResponses({ responseCount, responseRate }) {
+    return responseRate === null ? String(responseCount) : `${responseCount} (${formatResponseRate(responseRate)})`
+  }
+
+  // "+0.3" / "-5"
+  formatDifference(value, digits) {
+    const formatted = value.toFixed(digits)
+    return value > 0 ? `+${formatted}` : formatted
+  }
+
+  // Short outcome of a test for table cells
+  describeSignificance(result) {
+    if (!result) return "not tested"
+    if (!result.reliable) return "too few to test"
+    return result.significant ? "significant" : "not significant"
+  }
+
+  // Line chart with a point per wave for each line ({ label, values }; null leaves a gap), and a legend below
+  drawLineChart(doc, labels, lines) {
+    const left = 100
+    const width = doc.page.width - left - 80
+    const height = 120
+    const values = lines.flatMap((line) => line.values).filter((value) => value !== null)
+    let min = Math.min(...values)
+    let max = Math.max(...values)
+    if (min === max) {
+      min -= 1
+      max += 1
+    }
+    const padding = (max - min) * 0.1
+    min -= padding
+    max += padding
+
+    this.ensureSpace(doc, height + 50 + Math.ceil(lines.length / 4) * 12)
+    const top = doc.y + 5
+    const xAt = (index) => (labels.length === 1 ? left + width / 2 : left + (index / (labels.length - 1)) * width)
+    const yAt = (value) => top + height - ((value - min) / (max - min)) * height
+
+    // Grid lines with their values, and the wave labels below
+    const ticks = [max - padding, (min + max) / 2, min + padding]
+    doc.fontSize(8)
+    ticks.forEach((tick) => {
+      doc
+        .lineWidth(0.5)
+        .strokeColor("#dddddd")
+        .moveTo(left, yAt(tick))
+        .lineTo(left + width, yAt(tick))
+        .stroke()
+      doc.fillColor("#666666").text(tick.toFixed(1), left - 35, yAt(tick) - 4, { width: 30, align: "right" })
+    })
+    labels.forEach((label, index) => {
+      doc.fillColor("#333333").text(label, xAt(index) - 30, top + height + 6, { width: 60, align: "center" })
+    })
+
+    lines.forEach((line, lineIndex) => {
+      const color = TREND_COLORS[lineIndex]
+      let drawing = false
+      doc.lineWidth(lineIndex === 0 ? 2 : 1).strokeColor(color)
+      line.values.forEach((value, index) => {
+        if (value === null) {
+          drawing = false
+          return
+        }
+        if (drawing) doc.lineTo(xAt(index), yAt(value))
+        else doc.moveTo(xAt(index), yAt(value))
+        drawing = true
+      })
+      doc.stroke()
+      line.values.forEach((value, index) => {
+        if (value !== null) doc.circle(xAt(index), yAt(value), 2.5).fill(color)
+      })
+    })
+
+    // Legend, four entries per line
+    let legendY = top + height + 22
+    lines.forEach((line, index) => {
+      const x = left + (index % 4) * (width / 4)
+      if (index > 0 && index % 4 === 0) legendY += 12
+      doc.rect(x, legendY, 8, 8).fill(TREND_COLORS[index])
+      doc
+        .fontSize(8)
+        .fillColor("#333333")
+        .text(line.label, x + 11, legendY, { width: width / 4 - 14, height: 9, ellipsis: true, lineBreak: false })
+    })
+
+    doc.x = 70
+    doc.y = legendY + 18
+  }
+}
+
+export default TrendReportGenerator